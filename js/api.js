@@ -130,13 +130,19 @@ async function login(email, password) {
     try {
         const data = await apiRequest('/auth/login', {
             method: 'POST',
-            body: JSON.stringify({ email, password }),
+            body: JSON.stringify({
+                emailOrPhone: email,
+                password,
+                cartToken: localStorage.getItem('tuavec_cart_token') || undefined
+            }),
             skipAuth: true
         });
         
         // Save token and user data
         localStorage.setItem('tuavec_token', data.token);
         localStorage.setItem('tuavec_user', JSON.stringify(data.user));
+        // The guest cart now lives on the account
+        localStorage.removeItem('tuavec_cart_token');
         
         currentUser = data.user;
         updateAuthUI();
@@ -219,6 +225,52 @@ async function trackOrder(orderNumber) {
     }
 }
 
+// ========== CART API ==========
+
+// Guest carts are identified by a token the server hands out on first add
+function cartRequest(endpoint, options = {}) {
+    const cartToken = localStorage.getItem('tuavec_cart_token');
+    return apiRequest(`/cart${endpoint}`, {
+        ...options,
+        headers: {
+            ...(cartToken && { 'X-Cart-Token': cartToken }),
+            ...options.headers
+        }
+    }).then(data => {
+        if (data.cart && data.cart.cartToken) {
+            localStorage.setItem('tuavec_cart_token', data.cart.cartToken);
+        }
+        return data.cart;
+    });
+}
+
+async function fetchServerCart() {
+    try {
+        return await cartRequest('');
+    } catch (error) {
+        console.error('Failed to fetch cart:', error);
+        return null;
+    }
+}
+
+async function addServerCartItem(productId, quantity = 1, variantId) {
+    return await cartRequest('/items', {
+        method: 'POST',
+        body: JSON.stringify({ productId, variantId, quantity })
+    });
+}
+
+async function updateServerCartItem(itemId, quantity) {
+    return await cartRequest(`/items/${itemId}`, {
+        method: 'PATCH',
+        body: JSON.stringify({ quantity })
+    });
+}
+
+async function removeServerCartItem(itemId) {
+    return await cartRequest(`/items/${itemId}`, { method: 'DELETE' });
+}
+
 // ========== UI UPDATE FUNCTIONS ==========
 
 function updateAuthUI() {
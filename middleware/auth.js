@@ -109,18 +109,19 @@ const rateLimitStore = new Map();
 
 const rateLimit = (options = {}) => {
     const {
+        name = 'default', // each limiter counts separately
         windowMs = 15 * 60 * 1000, // 15 minutes
         max = 100, // Max requests per window
         message = 'Too many requests, please try again later.'
     } = options;
     
     return (req, res, next) => {
-        const key = req.ip || req.connection.remoteAddress;
+        const key = `${name}:${req.ip || req.connection.remoteAddress}`;
         const now = Date.now();
         
         // Clean up old entries
         for (const [k, v] of rateLimitStore.entries()) {
-            if (now - v.resetTime > windowMs) {
+            if (k.startsWith(`${name}:`) && now - v.resetTime > windowMs) {
                 rateLimitStore.delete(k);
             }
         }
@@ -165,18 +166,21 @@ const rateLimit = (options = {}) => {
 
 // Specific rate limiters
 const loginRateLimit = rateLimit({
+    name: 'login',
     windowMs: 15 * 60 * 1000, // 15 minutes
     max: 5, // 5 login attempts
     message: 'Too many login attempts. Please try again after 15 minutes.'
 });
 
 const otpRateLimit = rateLimit({
+    name: 'otp',
     windowMs: 5 * 60 * 1000, // 5 minutes
     max: 3, // 3 OTP requests
     message: 'Too many OTP requests. Please try again after 5 minutes.'
 });
 
 const orderRateLimit = rateLimit({
+    name: 'order',
     windowMs: 60 * 60 * 1000, // 1 hour
     max: 10, // 10 orders per hour
     message: 'Too many orders. Please try again later.'
@@ -0,0 +1,109 @@
+const crypto = require('crypto');
+const { IdempotencyKey } = require('../models');
+
+// A request still marked as processing after this long is assumed to have died mid-flight.
+const STALE_PROCESSING_MS = 2 * 60 * 1000;
+
+// JSON with sorted keys, so the same body always hashes the same way.
+const stableStringify = (value) => {
+    if (Array.isArray(value)) {
+        return `[${value.map(stableStringify).join(',')}]`;
+    }
+    if (value && typeof value === 'object') {
+        return `{${Object.keys(value).sort().map(key => `${JSON.stringify(key)}:${stableStringify(value[key])}`).join(',')}}`;
+    }
+    return JSON.stringify(value);
+};
+
+const hashRequest = (req) => crypto
+    .createHash('sha256')
+    .update(stableStringify(req.body || {}))
+    .digest('hex');
+
+// ========== IDEMPOTENCY MIDDLEWARE ==========
+
+// Replays the stored response for a retried request carrying the same
+// Idempotency-Key and body. Requests without the header pass through untouched.
+const idempotent = (scope) => {
+    return async (req, res, next) => {
+        const key = req.headers['idempotency-key'];
+        if (!key) return next();
+
+        if (key.length > 255) {
+            return res.status(400).json({
+                success: false,
+                error: 'Idempotency-Key must be at most 255 characters'
+            });
+        }
+
+        const requestHash = hashRequest(req);
+        let record;
+
+        try {
+            record = await IdempotencyKey.create({ key, scope, requestHash });
+        } catch (error) {
+            if (error.code !== 11000) {
+                console.error('Idempotency key error:', error);
+                return res.status(500).json({ success: false, error: 'Failed to process request' });
+            }
+
+            const existing = await IdempotencyKey.findOne({ key, scope });
+
+            if (existing && existing.requestHash !== requestHash) {
+                return res.status(422).json({
+                    success: false,
+                    error: 'Idempotency-Key was already used with a different request'
+                });
+            }
+
+            if (existing && existing.status === 'completed') {
+                res.setHeader('Idempotent-Replayed', 'true');
+                return res.status(existing.responseStatus).json(existing.responseBody);
+            }
+
+            const isStale = existing && Date.now() - existing.createdAt.getTime() > STALE_PROCESSING_MS;
+            if (!isStale) {
+                return res.status(409).json({
+                    success: false,
+                    error: 'A request with this Idempotency-Key is still being processed'
+                });
+            }
+
+            // Take over an abandoned key
+            record = await IdempotencyKey.findOneAndUpdate(
+                { _id: existing._id, status: 'processing', createdAt: existing.createdAt },
+                { createdAt: new Date() },
+                { new: true }
+            );
+            if (!record) {
+                return res.status(409).json({
+                    success: false,
+                    error: 'A request with this Idempotency-Key is still being processed'
+                });
+            }
+        }
+
+        // Store the first response. Server errors release the key so the client may retry.
+        const originalJson = res.json.bind(res);
+        res.json = (body) => {
+            const settle = res.statusCode >= 500
+                ? IdempotencyKey.deleteOne({ _id: record._id })
+                : IdempotencyKey.updateOne(
+                    { _id: record._id },
+                    { status: 'completed', responseStatus: res.statusCode, responseBody: body }
+                );
+
+            // Send only after the record settles, so a fast retry sees the stored response
+            settle
+                .catch(error => console.error('Failed to store idempotent response:', error))
+                .then(() => originalJson(body));
+            return res;
+        };
+
+        next();
+    };
+};
+
+module.exports = {
+    idempotent
+};
@@ -48,6 +48,23 @@ const uploadSingle = upload.single('image');
 // Middleware for multiple files upload
 const uploadMultiple = upload.array('images', 10); // Max 10 images
 
+// Merchant statements and courier settlements (CSV) are parsed straight from memory, never written to disk
+const uploadStatement = multer({
+    storage: multer.memoryStorage(),
+    fileFilter: (req, file, cb) => {
+        const isCsv = path.extname(file.originalname).toLowerCase() === '.csv'
+            || /csv|text\/plain|ms-excel/.test(file.mimetype);
+        if (isCsv) {
+            cb(null, true);
+        } else {
+            cb(new Error('Only CSV statements are allowed'));
+        }
+    },
+    limits: {
+        fileSize: 5 * 1024 * 1024 // 5MB max
+    }
+}).single('statement');
+
 // Error handling middleware for multer
 const handleUploadError = (err, req, res, next) => {
     if (err instanceof multer.MulterError) {
@@ -79,5 +96,6 @@ const handleUploadError = (err, req, res, next) => {
 module.exports = {
     uploadSingle,
     uploadMultiple,
+    uploadStatement,
     handleUploadError
 };
@@ -0,0 +1,221 @@
+// Local stand-in for the bKash tokenized checkout API.
+//
+//   npm run mock:bkash
+//
+// then start the backend with
+//
+//   BKASH_BASE_URL=http://localhost:4010 BKASH_APP_KEY=mock BKASH_APP_SECRET=mock
+//
+// Opening a payment's bkashURL simulates the customer approving it and redirects
+// to the merchant callback. Add ?status=cancel or ?status=failure to simulate
+// the other outcomes. MOCK_BKASH_TOKEN_TTL (seconds) shortens token lifetime to
+// exercise refresh-token renewal.
+const express = require('express');
+const crypto = require('crypto');
+
+const PORT = process.env.MOCK_BKASH_PORT || 4010;
+const TOKEN_TTL = Number(process.env.MOCK_BKASH_TOKEN_TTL) || 3600;
+const BASE_URL = `http://localhost:${PORT}`;
+
+const app = express();
+app.use(express.json());
+
+const tokens = new Map(); // id_token -> expiresAt
+const refreshTokens = new Set();
+const payments = new Map(); // paymentID -> payment
+const transactions = new Map(); // trxID -> paymentID
+
+const randomId = (prefix, length = 10) => `${prefix}${crypto.randomBytes(length).toString('hex').slice(0, length).toUpperCase()}`;
+const now = () => new Date().toISOString();
+
+const issueToken = () => {
+    const idToken = randomId('MOCKTOKEN', 24);
+    const refreshToken = randomId('MOCKREFRESH', 24);
+    tokens.set(idToken, Date.now() + TOKEN_TTL * 1000);
+    refreshTokens.add(refreshToken);
+    return {
+        statusCode: '0000',
+        statusMessage: 'Successful',
+        id_token: idToken,
+        token_type: 'Bearer',
+        expires_in: TOKEN_TTL,
+        refresh_token: refreshToken
+    };
+};
+
+const fail = (res, status, statusCode, statusMessage) => res.status(status).json({ statusCode, statusMessage });
+
+// ========== TOKEN ==========
+
+app.post('/tokenized/checkout/token/grant', (req, res) => {
+    if (!req.body.app_key || !req.body.app_secret) {
+        return fail(res, 400, '2001', 'Invalid App Key');
+    }
+    console.log('[mock bkash] token granted');
+    res.json(issueToken());
+});
+
+app.post('/tokenized/checkout/token/refresh', (req, res) => {
+    if (!refreshTokens.has(req.body.refresh_token)) {
+        return fail(res, 400, '2079', 'Invalid refresh token');
+    }
+    refreshTokens.delete(req.body.refresh_token);
+    console.log('[mock bkash] token refreshed');
+    res.json(issueToken());
+});
+
+// Everything below needs a live id_token
+app.use('/tokenized/checkout', (req, res, next) => {
+    const expiresAt = tokens.get(req.headers.authorization);
+    if (!expiresAt || expiresAt < Date.now()) {
+        return fail(res, 401, '2079', 'Invalid or expired token');
+    }
+    next();
+});
+
+// ========== PAYMENTS ==========
+
+app.post('/tokenized/checkout/create', (req, res) => {
+    const { amount, merchantInvoiceNumber, callbackURL, intent, currency } = req.body;
+
+    if (!(Number(amount) > 0)) {
+        return fail(res, 400, '2007', 'Invalid Amount');
+    }
+
+    const payment = {
+        paymentID: randomId('TR0011', 14),
+        amount: Number(amount).toFixed(2),
+        currency: currency || 'BDT',
+        intent: intent || 'sale',
+        merchantInvoiceNumber,
+        callbackURL,
+        transactionStatus: 'Initiated',
+        paymentCreateTime: now(),
+        refunds: []
+    };
+    payments.set(payment.paymentID, payment);
+
+    res.json({
+        statusCode: '0000',
+        statusMessage: 'Successful',
+        paymentID: payment.paymentID,
+        bkashURL: `${BASE_URL}/checkout/${payment.paymentID}`,
+        callbackURL,
+        successCallbackURL: `${callbackURL}?paymentID=${payment.paymentID}&status=success`,
+        failureCallbackURL: `${callbackURL}?paymentID=${payment.paymentID}&status=failure`,
+        cancelledCallbackURL: `${callbackURL}?paymentID=${payment.paymentID}&status=cancel`,
+        amount: payment.amount,
+        intent: payment.intent,
+        currency: payment.currency,
+        paymentCreateTime: payment.paymentCreateTime,
+        transactionStatus: payment.transactionStatus,
+        merchantInvoiceNumber
+    });
+});
+
+// The page the customer would see; approves immediately unless told otherwise
+app.get('/checkout/:paymentID', (req, res) => {
+    const payment = payments.get(req.params.paymentID);
+    if (!payment) return res.status(404).send('Unknown payment');
+
+    const status = req.query.status || 'success';
+    if (status === 'success') payment.approved = true;
+
+    res.redirect(`${payment.callbackURL}?paymentID=${payment.paymentID}&status=${status}`);
+});
+
+const paymentView = (payment) => ({
+    statusCode: '0000',
+    statusMessage: 'Successful',
+    paymentID: payment.paymentID,
+    trxID: payment.trxID,
+    amount: payment.amount,
+    currency: payment.currency,
+    intent: payment.intent,
+    merchantInvoiceNumber: payment.merchantInvoiceNumber,
+    transactionStatus: payment.transactionStatus,
+    paymentExecuteTime: payment.paymentExecuteTime,
+    customerMsisdn: payment.customerMsisdn,
+    payerReference: payment.merchantInvoiceNumber
+});
+
+app.post('/tokenized/checkout/execute', (req, res) => {
+    const payment = payments.get(req.body.paymentID);
+    if (!payment) return fail(res, 404, '2056', 'Invalid Payment State');
+    if (payment.transactionStatus === 'Completed') return fail(res, 400, '2062', 'The payment has already been completed');
+    if (!payment.approved) return fail(res, 400, '2056', 'Invalid Payment State');
+
+    payment.transactionStatus = 'Completed';
+    payment.trxID = randomId('MOCK', 8);
+    payment.paymentExecuteTime = now();
+    payment.customerMsisdn = '01770618575';
+    transactions.set(payment.trxID, payment.paymentID);
+
+    res.json(paymentView(payment));
+});
+
+app.post('/tokenized/checkout/payment/status', (req, res) => {
+    const payment = payments.get(req.body.paymentID);
+    if (!payment) return fail(res, 404, '2056', 'Invalid Payment State');
+    res.json(paymentView(payment));
+});
+
+app.post('/tokenized/checkout/general/searchTran', (req, res) => {
+    const payment = payments.get(transactions.get(req.body.trxID));
+    if (!payment) return fail(res, 404, '2117', 'Transaction not found');
+
+    res.json({
+        statusCode: '0000',
+        statusMessage: 'Successful',
+        trxID: payment.trxID,
+        amount: payment.amount,
+        currency: payment.currency,
+        transactionStatus: payment.transactionStatus,
+        transactionType: 'bKash Tokenized Checkout via API',
+        merchantInvoiceNumber: payment.merchantInvoiceNumber,
+        customerMsisdn: payment.customerMsisdn,
+        initiationTime: payment.paymentCreateTime,
+        completedTime: payment.paymentExecuteTime
+    });
+});
+
+// Refund when amount is given, refund status otherwise
+app.post('/tokenized/checkout/payment/refund', (req, res) => {
+    const { paymentID, trxID, amount, reason } = req.body;
+    const payment = payments.get(paymentID);
+
+    if (!payment || payment.trxID !== trxID || payment.transactionStatus !== 'Completed') {
+        return fail(res, 400, '2071', 'Original transaction not found');
+    }
+
+    if (amount === undefined) {
+        const latest = payment.refunds[payment.refunds.length - 1];
+        if (!latest) return fail(res, 404, '2072', 'Refund not found');
+        return res.json({ ...latest, refunds: payment.refunds });
+    }
+
+    const refunded = payment.refunds.reduce((sum, refund) => sum + Number(refund.amount), 0);
+    if (!(Number(amount) > 0) || refunded + Number(amount) > Number(payment.amount)) {
+        return fail(res, 400, '2076', 'Refund amount exceeds the refundable amount');
+    }
+
+    const refund = {
+        statusCode: '0000',
+        statusMessage: 'Successful',
+        originalTrxID: payment.trxID,
+        refundTrxID: randomId('RF', 8),
+        transactionStatus: 'Completed',
+        amount: Number(amount).toFixed(2),
+        currency: payment.currency,
+        charge: '0.00',
+        reason,
+        completedTime: now()
+    };
+    payment.refunds.push(refund);
+
+    res.json(refund);
+});
+
+app.listen(PORT, () => {
+    console.log(`Mock bKash API listening on ${BASE_URL}`);
+});
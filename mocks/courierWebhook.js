@@ -0,0 +1,37 @@
+const axios = require('axios');
+const crypto = require('crypto');
+
+// Shared by the courier fakes: push a status change to the backend the way
+// the real courier would, when MOCK_WEBHOOK_URL is set (normally
+// http://localhost:5000/api/v1/logistics/webhook). Events are signed with
+// <COURIER>_WEBHOOK_SECRET or LOGISTICS_WEBHOOK_SECRET, as the backend expects.
+const sendWebhook = async (courier, payload) => {
+    const url = process.env.MOCK_WEBHOOK_URL;
+    if (!url) return null;
+
+    const body = JSON.stringify(payload);
+    const timestamp = Math.floor(Date.now() / 1000);
+    const secret = process.env[`${courier.toUpperCase()}_WEBHOOK_SECRET`] || process.env.LOGISTICS_WEBHOOK_SECRET || '';
+    const headers = {
+        'Content-Type': 'application/json',
+        'X-Webhook-Event-Id': crypto.randomUUID(),
+        'X-Webhook-Timestamp': String(timestamp)
+    };
+    if (secret) {
+        headers['X-Webhook-Signature'] = 'sha256=' + crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+    }
+
+    try {
+        const resp = await axios.post(`${url.replace(/\/$/, '')}/${courier}`, body, {
+            headers,
+            validateStatus: () => true
+        });
+        console.log(`[mock ${courier}] webhook ${payload.status} -> ${resp.status}`);
+        return resp.status;
+    } catch (error) {
+        console.warn(`[mock ${courier}] webhook failed:`, error.message);
+        return null;
+    }
+};
+
+module.exports = { sendWebhook };
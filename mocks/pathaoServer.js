@@ -0,0 +1,117 @@
+// Local stand-in for the Pathao merchant (Aladdin) API.
+//
+//   npm run mock:pathao
+//
+// then start the backend with
+//
+//   PATHAO_BASE_URL=http://localhost:4020 PATHAO_CLIENT_ID=mock PATHAO_CLIENT_SECRET=mock PATHAO_STORE_ID=1
+//
+// POST /mock/consignments/:id/status { "status": "delivered" } moves a
+// consignment along (any order_status_slug) and, with MOCK_WEBHOOK_URL set,
+// posts the update to the backend's logistics webhook.
+const express = require('express');
+const crypto = require('crypto');
+const { sendWebhook } = require('./courierWebhook');
+
+const PORT = process.env.MOCK_PATHAO_PORT || 4020;
+
+const app = express();
+app.use(express.json());
+
+const tokens = new Set();
+const consignments = new Map(); // consignment_id -> consignment
+
+const randomId = (prefix, length = 10) => `${prefix}${crypto.randomBytes(length).toString('hex').slice(0, length).toUpperCase()}`;
+
+const fail = (res, status, message, errors) => res.status(status).json({ message, type: 'error', code: status, errors });
+
+const requireToken = (req, res, next) => {
+    const token = String(req.headers.authorization || '').replace(/^Bearer\s+/i, '');
+    if (!tokens.has(token)) {
+        return fail(res, 401, 'Unauthenticated.');
+    }
+    next();
+};
+
+// ========== TOKEN ==========
+
+app.post('/aladdin/api/v1/issue-token', (req, res) => {
+    if (!req.body.client_id || !req.body.client_secret) {
+        return fail(res, 401, 'Client authentication failed');
+    }
+    const accessToken = randomId('MOCKPATHAO', 32);
+    tokens.add(accessToken);
+    console.log('[mock pathao] token issued');
+    res.json({ token_type: 'Bearer', expires_in: 432000, access_token: accessToken, refresh_token: randomId('MOCKREFRESH', 32) });
+});
+
+// ========== ORDERS ==========
+
+app.post('/aladdin/api/v1/orders', requireToken, (req, res) => {
+    const body = req.body;
+    const missing = ['store_id', 'recipient_name', 'recipient_phone', 'recipient_address', 'item_weight', 'amount_to_collect']
+        .filter(field => body[field] === undefined || body[field] === '');
+    if (missing.length) {
+        return fail(res, 422, 'Please fix the given errors', Object.fromEntries(missing.map(field => [field, [`The ${field} field is required.`]])));
+    }
+
+    const consignment = {
+        consignment_id: randomId('DL', 12),
+        merchant_order_id: body.merchant_order_id,
+        order_status: 'Pending',
+        order_status_slug: 'Pending',
+        delivery_fee: Number(body.item_weight) > 1 ? 75 : 60,
+        amount_to_collect: Number(body.amount_to_collect),
+        item_weight: Number(body.item_weight),
+        updated_at: new Date().toISOString()
+    };
+    consignments.set(consignment.consignment_id, consignment);
+    console.log(`[mock pathao] consignment ${consignment.consignment_id} for ${body.merchant_order_id}, collect ${consignment.amount_to_collect}`);
+
+    res.json({
+        message: 'Order Created Successfully',
+        type: 'success',
+        code: 200,
+        data: {
+            consignment_id: consignment.consignment_id,
+            merchant_order_id: consignment.merchant_order_id,
+            order_status: consignment.order_status,
+            delivery_fee: consignment.delivery_fee
+        }
+    });
+});
+
+app.get('/aladdin/api/v1/orders/:id/info', requireToken, (req, res) => {
+    const consignment = consignments.get(req.params.id);
+    if (!consignment) {
+        return fail(res, 404, 'Order not found');
+    }
+    res.json({ message: 'Order info', type: 'success', code: 200, data: consignment });
+});
+
+// ========== TEST HELPERS ==========
+
+app.post('/mock/consignments/:id/status', async (req, res) => {
+    const consignment = consignments.get(req.params.id);
+    if (!consignment || !req.body.status) {
+        return res.status(404).json({ error: 'Unknown consignment or missing status' });
+    }
+
+    consignment.order_status_slug = String(req.body.status);
+    consignment.order_status = consignment.order_status_slug;
+    consignment.updated_at = new Date().toISOString();
+
+    const webhookStatus = await sendWebhook('pathao', {
+        courier: 'pathao',
+        consignment_id: consignment.consignment_id,
+        orderNumber: consignment.merchant_order_id,
+        trackingId: consignment.consignment_id,
+        status: consignment.order_status_slug,
+        updated_at: consignment.updated_at
+    });
+    res.json({ consignment, webhookStatus });
+});
+
+app.listen(PORT, () => {
+    console.log(`Mock Pathao API listening on http://localhost:${PORT}`);
+});
@@ -0,0 +1,127 @@
+// Local stand-in for the RedX open API.
+//
+//   npm run mock:redx
+//
+// then start the backend with
+//
+//   REDX_BASE_URL=http://localhost:4022 REDX_ACCESS_TOKEN=mock
+//
+// POST /mock/parcels/:id/status { "status": "delivered" } moves a parcel
+// along (any RedX parcel status) and, with MOCK_WEBHOOK_URL set, posts the
+// update to the backend's logistics webhook.
+const express = require('express');
+const crypto = require('crypto');
+const { sendWebhook } = require('./courierWebhook');
+
+const PORT = process.env.MOCK_REDX_PORT || 4022;
+
+const app = express();
+app.use(express.json());
+
+const parcels = new Map(); // tracking_id -> parcel
+
+const randomId = (length = 8) => `${new Date().toISOString().slice(2, 10).replace(/-/g, '')}${crypto.randomBytes(length).toString('hex').slice(0, length).toUpperCase()}`;
+
+// Parcels RedX still holds at the pickup store
+const CANCELLABLE = new Set(['pickup-pending', 'pickup-in-progress']);
+
+// What a delivery exception may change on a parcel already picked up
+const UPDATABLE_PROPERTIES = ['delivery_date', 'customer_address', 'status'];
+
+const requireToken = (req, res, next) => {
+    if (!/^Bearer\s+\S+/i.test(String(req.headers['api-access-token'] || ''))) {
+        return res.status(401).json({ message: 'Unauthorized' });
+    }
+    next();
+};
+
+// ========== PARCELS ==========
+
+app.post('/parcel', requireToken, (req, res) => {
+    const body = req.body;
+    const missing = ['customer_name', 'customer_phone', 'customer_address', 'cash_collection_amount', 'parcel_weight']
+        .filter(field => body[field] === undefined || body[field] === '');
+    if (missing.length) {
+        return res.status(400).json({ message: `Missing fields: ${missing.join(', ')}` });
+    }
+
+    const parcel = {
+        tracking_id: randomId(),
+        merchant_invoice_id: body.merchant_invoice_id,
+        customer_name: body.customer_name,
+        customer_phone: body.customer_phone,
+        customer_address: body.customer_address,
+        delivery_area: body.delivery_area,
+        cash_collection_amount: String(body.cash_collection_amount),
+        parcel_weight: Number(body.parcel_weight),
+        status: 'pickup-pending',
+        created_at: new Date().toISOString()
+    };
+    parcels.set(parcel.tracking_id, parcel);
+    console.log(`[mock redx] parcel ${parcel.tracking_id} for ${body.merchant_invoice_id}, collect ${parcel.cash_collection_amount}`);
+
+    res.json({ tracking_id: parcel.tracking_id });
+});
+
+app.get('/parcel/info/:id', requireToken, (req, res) => {
+    const parcel = parcels.get(req.params.id);
+    if (!parcel) {
+        return res.status(404).json({ message: 'Parcel not found' });
+    }
+    res.json({ parcel });
+});
+
+app.patch('/parcels', requireToken, (req, res) => {
+    const { entity_id: trackingId, update_details: details = {} } = req.body;
+    const parcel = parcels.get(String(trackingId));
+    if (!parcel) {
+        return res.status(404).json({ success: false, message: 'Parcel not found' });
+    }
+    if (details.property_name === 'status' && details.new_value === 'cancelled') {
+        if (!CANCELLABLE.has(parcel.status)) {
+            return res.json({ success: false, message: `Parcel is ${parcel.status} and can no longer be cancelled` });
+        }
+        parcel.status = 'cancelled';
+        console.log(`[mock redx] parcel ${parcel.tracking_id} cancelled: ${details.reason || '-'}`);
+        return res.json({ success: true, message: 'Parcel cancelled' });
+    }
+
+    // Delivery changes for a parcel out for delivery
+    if (!UPDATABLE_PROPERTIES.includes(details.property_name)) {
+        return res.status(400).json({ success: false, message: `Cannot update ${details.property_name}` });
+    }
+    if (CANCELLABLE.has(parcel.status) || ['delivered', 'returned', 'cancelled'].includes(parcel.status)) {
+        return res.json({ success: false, message: `Parcel is ${parcel.status}; delivery details cannot be changed` });
+    }
+    if (details.property_name === 'status') {
+        parcel.status = details.new_value;
+    } else {
+        parcel[details.property_name] = details.new_value;
+    }
+    console.log(`[mock redx] parcel ${parcel.tracking_id} ${details.property_name} -> ${details.new_value}`);
+    res.json({ success: true, message: 'Parcel updated' });
+});
+
+// ========== TEST HELPERS ==========
+
+app.post('/mock/parcels/:id/status', async (req, res) => {
+    const parcel = parcels.get(req.params.id);
+    if (!parcel || !req.body.status) {
+        return res.status(404).json({ error: 'Unknown parcel or missing status' });
+    }
+
+    parcel.status = String(req.body.status);
+
+    const webhookStatus = await sendWebhook('redx', {
+        courier: 'redx',
+        tracking_number: parcel.tracking_id,
+        orderNumber: parcel.merchant_invoice_id,
+        status: parcel.status,
+        timestamp: new Date().toISOString()
+    });
+    res.json({ parcel, webhookStatus });
+});
+
+app.listen(PORT, () => {
+    console.log(`Mock RedX API listening on http://localhost:${PORT}`);
+});
@@ -0,0 +1,153 @@
+// Local stand-in for the Steadfast (Packzy) merchant API.
+//
+//   npm run mock:steadfast
+//
+// then start the backend with
+//
+//   STEADFAST_BASE_URL=http://localhost:4021 STEADFAST_API_KEY=mock STEADFAST_SECRET_KEY=mock
+//
+// POST /mock/consignments/:id/status { "status": "delivered" } moves a
+// consignment along (any delivery_status) and, with MOCK_WEBHOOK_URL set,
+// posts the update to the backend's logistics webhook.
+//
+// POST /mock/payments { "deliveryCharge": 60, "codChargePercent": 1, "short": 0 }
+// pays out every delivered consignment not paid yet, keeping back `short`
+// taka per parcel to test shortfalls.
+const express = require('express');
+const crypto = require('crypto');
+const { sendWebhook } = require('./courierWebhook');
+
+const PORT = process.env.MOCK_STEADFAST_PORT || 4021;
+
+const app = express();
+app.use(express.json());
+
+const consignments = new Map(); // consignment_id -> consignment
+let nextConsignmentId = 1000001;
+
+const payments = new Map(); // payment id -> { payment, consignments }
+let nextPaymentId = 5001;
+
+const randomCode = (length = 8) => crypto.randomBytes(length).toString('hex').slice(0, length).toUpperCase();
+
+const requireKeys = (req, res, next) => {
+    if (!req.headers['api-key'] || !req.headers['secret-key']) {
+        return res.status(401).json({ status: 401, message: 'Unauthorized' });
+    }
+    next();
+};
+
+// ========== CONSIGNMENTS ==========
+
+app.post('/create_order', requireKeys, (req, res) => {
+    const body = req.body;
+    const missing = ['invoice', 'recipient_name', 'recipient_phone', 'recipient_address', 'cod_amount']
+        .filter(field => body[field] === undefined || body[field] === '');
+    if (missing.length) {
+        return res.status(422).json({ status: 422, errors: Object.fromEntries(missing.map(field => [field, [`The ${field} field is required.`]])) });
+    }
+
+    const consignment = {
+        consignment_id: nextConsignmentId++,
+        invoice: body.invoice,
+        tracking_code: randomCode(),
+        recipient_name: body.recipient_name,
+        recipient_phone: body.recipient_phone,
+        recipient_address: body.recipient_address,
+        cod_amount: Number(body.cod_amount),
+        status: 'in_review',
+        note: body.note || null,
+        created_at: new Date().toISOString(),
+        updated_at: new Date().toISOString()
+    };
+    consignments.set(String(consignment.consignment_id), consignment);
+    console.log(`[mock steadfast] consignment ${consignment.consignment_id} for ${body.invoice}, collect ${consignment.cod_amount}`);
+
+    res.json({ status: 200, message: 'Consignment has been created successfully.', consignment });
+});
+
+app.get('/status_by_cid/:id', requireKeys, (req, res) => {
+    const consignment = consignments.get(req.params.id);
+    if (!consignment) {
+        return res.status(404).json({ status: 404, message: 'Consignment not found' });
+    }
+    res.json({ status: 200, delivery_status: consignment.status });
+});
+
+// ========== PAYMENTS ==========
+
+app.get('/payments', requireKeys, (req, res) => {
+    res.json({ status: 200, data: [...payments.values()].map(entry => entry.payment) });
+});
+
+app.get('/payments/:id', requireKeys, (req, res) => {
+    const entry = payments.get(req.params.id);
+    if (!entry) {
+        return res.status(404).json({ status: 404, message: 'Payment not found' });
+    }
+    res.json({ status: 200, ...entry });
+});
+
+// ========== TEST HELPERS ==========
+
+app.post('/mock/payments', (req, res) => {
+    const deliveryCharge = Number(req.body.deliveryCharge ?? 60);
+    const codChargePercent = Number(req.body.codChargePercent ?? 1);
+    const short = Number(req.body.short || 0);
+
+    const paid = [...consignments.values()]
+        .filter(consignment => ['delivered', 'partial_delivered'].includes(consignment.status) && !consignment.paid)
+        .map(consignment => {
+            consignment.paid = true;
+            const codCharge = Math.round(consignment.cod_amount * codChargePercent) / 100;
+            return {
+                consignment_id: consignment.consignment_id,
+                invoice: consignment.invoice,
+                tracking_code: consignment.tracking_code,
+                cod_amount: consignment.cod_amount,
+                delivery_charge: deliveryCharge,
+                cod_charge: codCharge,
+                payable_amount: consignment.cod_amount - deliveryCharge - codCharge - short
+            };
+        });
+    if (!paid.length) {
+        return res.status(404).json({ error: 'No delivered consignments waiting for payment' });
+    }
+
+    const payment = {
+        id: nextPaymentId++,
+        amount: paid.reduce((sum, line) => sum + line.payable_amount, 0),
+        consignment_count: paid.length,
+        created_at: new Date().toISOString()
+    };
+    payments.set(String(payment.id), { payment, consignments: paid });
+    console.log(`[mock steadfast] payment ${payment.id}: ${paid.length} consignments, ${payment.amount}`);
+
+    res.json({ payment, consignments: paid });
+});
+
+app.post('/mock/consignments/:id/status', async (req, res) => {
+    const consignment = consignments.get(req.params.id);
+    if (!consignment || !req.body.status) {
+        return res.status(404).json({ error: 'Unknown consignment or missing status' });
+    }
+
+    consignment.status = String(req.body.status);
+    consignment.updated_at = new Date().toISOString();
+
+    const webhookStatus = await sendWebhook('steadfast', {
+        courier: 'steadfast',
+        consignment_id: consignment.consignment_id,
+        invoice: consignment.invoice,
+        orderNumber: consignment.invoice,
+        trackingId: consignment.tracking_code,
+        status: consignment.status,
+        cod_amount: consignment.cod_amount,
+        updated_at: consignment.updated_at
+    });
+    res.json({ consignment, webhookStatus });
+});
+
+app.listen(PORT, () => {
+    console.log(`Mock Steadfast API listening on http://localhost:${PORT}`);
+});
@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const { publishOrderChanges } = require('../services/orderEvents');
 
 // ========== USER MODEL ==========
 const userSchema = new mongoose.Schema({
@@ -20,6 +21,7 @@ const userSchema = new mongoose.Schema({
         isDefault: { type: Boolean, default: false }
     }],
     wishlist: [{ type: mongoose.Schema.Types.ObjectId, ref: 'Post' }],
+    storeCredit: { type: Number, default: 0, min: 0 }, // legacy; moved into the wallet on first use
     createdAt: { type: Date, default: Date.now },
     lastLogin: Date
 });
@@ -67,7 +69,7 @@ postSchema.pre('save', function(next) {
 const otpSchema = new mongoose.Schema({
     phone: { type: String, required: true },
     otp: { type: String, required: true },
-    purpose: { type: String, enum: ['signup', 'login', 'reset'], required: true },
+    purpose: { type: String, enum: ['signup', 'login', 'reset', 'order_cancel'], required: true },
     expiresAt: { type: Date, required: true },
     verified: { type: Boolean, default: false },
     attempts: { type: Number, default: 0 },
@@ -211,6 +213,9 @@ const reviewSchema = new mongoose.Schema({
 });
 
 // ========== ORDER MODEL ==========
+// Who an order timeline entry came from
+const TIMELINE_SOURCES = ['admin', 'customer', 'courier', 'payment', 'system'];
+
 const orderSchema = new mongoose.Schema({
     orderNumber: { type: String, unique: true, required: true },
     user: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
@@ -224,7 +229,9 @@ const orderSchema = new mongoose.Schema({
         name: { type: String, required: true },
         price: { type: Number, required: true },
         quantity: { type: Number, required: true, min: 1 },
-        variant: String,
+        variant: String, // display label, e.g. "Size: M"
+        variantId: mongoose.Schema.Types.ObjectId, // _id of the entry in product.variants
+        sku: String,
         image: String
     }],
     shippingAddress: {
@@ -237,25 +244,85 @@ const orderSchema = new mongoose.Schema({
     },
     paymentMethod: { type: String, required: true },
     paymentDetails: {
+        // Gateway session and refunds, keyed by provider (see services/payments)
         bKash: mongoose.Schema.Types.Mixed,
+        nagad: mongoose.Schema.Types.Mixed,
+        rocket: mongoose.Schema.Types.Mixed,
+        sslcommerz: mongoose.Schema.Types.Mixed,
         transactionId: String,
         senderNumber: String,
         amount: Number,
         verifiedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
         verifiedAt: Date
     },
-    paymentStatus: { type: String, enum: ['pending', 'paid', 'failed', 'refunded'], default: 'pending' },
+    paymentStatus: { type: String, enum: ['pending', 'partially_paid', 'paid', 'failed', 'refunded', 'voided'], default: 'pending' },
+    // Part of a COD order paid online before dispatch (see services/codAdvance)
+    advancePayment: {
+        required: { type: Boolean, default: false },
+        amount: Number,
+        method: String, // online provider taking the advance
+        reason: String  // threshold | risky_area
+    },
+    // Every amount received; amountPaid and balanceDue are kept in step with it
+    payments: [{
+        kind: { type: String, enum: ['full', 'advance', 'on_delivery'], required: true },
+        method: String,
+        source: { type: String, enum: ['gateway', 'manual', 'courier', 'wallet'], required: true },
+        amount: { type: Number, required: true },
+        reference: String, // trxID, or the courier consignment for cash collected
+        recordedAt: { type: Date, default: Date.now },
+        recordedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' }
+    }],
+    amountPaid: { type: Number, default: 0 },
+    balanceDue: Number,
+    // Every amount given back, whichever way it went; amountRefunded is their sum
+    refunds: [{
+        amount: { type: Number, required: true },
+        destination: { type: String, enum: ['original', 'wallet', 'manual'], required: true },
+        method: String, // provider id, 'wallet', or the method refunded by hand
+        reference: String, // gateway refund id, wallet transaction id or manual reference
+        reason: String,
+        refundedAt: { type: Date, default: Date.now },
+        refundedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' }
+    }],
+    amountRefunded: { type: Number, default: 0 },
+    refundLockedAt: Date, // set while a refund is being made (see withRefundLock in services/orderPayments)
+    // Send-money payments the customer reports themselves, checked by staff (see services/paymentProofs)
+    paymentProofs: [{
+        method: String, // bkash | nagad | rocket
+        trxID: { type: String, required: true },
+        senderNumber: String,
+        amount: Number,
+        screenshot: String,
+        status: { type: String, enum: ['pending', 'approved', 'rejected'], default: 'pending' },
+        submittedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+        submittedAt: { type: Date, default: Date.now },
+        reviewedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+        reviewedAt: Date,
+        rejectionReason: String
+    }],
     orderStatus: { type: String, enum: ['pending', 'confirmed', 'processing', 'shipped', 'delivered', 'cancelled', 'returned'], default: 'pending' },
+    inventoryStatus: { type: String, enum: ['reserved', 'released'], default: 'reserved' }, // stock held for this order
     timeline: [{
         status: { type: String, required: true },
         message: String,
+        reason: String,
+        source: { type: String, enum: TIMELINE_SOURCES }, // who caused the entry; unset on older orders
         timestamp: { type: Date, default: Date.now },
         updatedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' }
     }],
     courier: {
         name: String,
         trackingNumber: String,
-        provider: String
+        provider: String, // adapter id when booked through the courier API (see services/couriers)
+        consignmentId: String,
+        status: String, // the courier's own status code
+        codAmount: Number, // what the rider collects
+        weightGrams: Number,
+        deliveryFee: Number,
+        bookedAt: Date,
+        pickupRequestedAt: Date,
+        cancelledAt: Date
     },
     logistics: {
         courierName: String,
@@ -275,16 +342,36 @@ const orderSchema = new mongoose.Schema({
             timestamp: { type: Date, default: Date.now },
             notes: String
         }],
-        unboxingVideoUrl: String
+        lastEventAt: Date, // courier's time for the latest webhook event applied; older ones are ignored
+        unboxingVideoUrl: String, // set once an unboxing video finishes uploading
+        unboxingVideo: { type: mongoose.Schema.Types.ObjectId, ref: 'UnboxingVideo' }
+    },
+    // The courier paying us the cash it collected (see services/codRemittance)
+    codRemittance: {
+        status: { type: String, enum: ['settled', 'short'] },
+        remittance: { type: mongoose.Schema.Types.ObjectId, ref: 'CodRemittance' },
+        collected: Number,
+        deliveryFee: Number,
+        codCharge: Number,
+        paidOut: Number,
+        shortfall: Number,
+        settledAt: Date
     },
     returnRequest: {
         requested: { type: Boolean, default: false },
+        returnNumber: String, // latest RMA raised against this order
         reason: String,
         status: { type: String, enum: ['pending', 'approved', 'rejected'], default: 'pending' },
         requestedAt: Date
     },
     subtotal: { type: Number, required: true },
     shippingCost: { type: Number, default: 0 },
+    codSurcharge: { type: Number, default: 0 },
+    shippingQuote: {
+        zone: { type: mongoose.Schema.Types.ObjectId, ref: 'ShippingZone' },
+        courier: String,
+        chargeableWeight: Number // grams
+    },
     discount: { type: Number, default: 0 },
     totalAmount: { type: Number, required: true },
     couponCode: String,
@@ -292,11 +379,560 @@ const orderSchema = new mongoose.Schema({
     giftWrap: { type: Boolean, default: false },
     trackingNumber: String,
     estimatedDelivery: Date,
+    estimatedDeliveryRange: {
+        earliest: Date,
+        latest: Date
+    },
+    paymentExpiredAt: Date, // online payment not received in time (see services/paymentSweeper)
     deliveredAt: Date,
+    cancelledAt: Date,
+    createdAt: { type: Date, default: Date.now },
+    updatedAt: { type: Date, default: Date.now }
+});
+
+orderSchema.index({ 'paymentProofs.status': 1, 'paymentProofs.submittedAt': 1 });
+orderSchema.index({ 'courier.trackingNumber': 1 }, { sparse: true });
+orderSchema.index({ 'courier.consignmentId': 1 }, { sparse: true });
+
+// Tell open tracking streams what a save added
+orderSchema.pre('save', function(next) {
+    this.$locals.newTimeline = this.timeline.filter(entry => entry.isNew);
+    this.$locals.logisticsChanged = !this.isNew && this.isModified('logistics.currentStatus');
+    next();
+});
+orderSchema.post('save', function(order) {
+    publishOrderChanges(order, { timeline: order.$locals.newTimeline, logisticsChanged: order.$locals.logisticsChanged });
+});
+
+// ========== COUPON MODEL ==========
+const couponSchema = new mongoose.Schema({
+    code: { type: String, required: true, unique: true, uppercase: true, trim: true },
+    description: String,
+    type: { type: String, enum: ['percentage', 'fixed', 'free_shipping'], required: true },
+    value: { type: Number, default: 0, min: 0 }, // percent for 'percentage', taka for 'fixed'
+    maxDiscount: { type: Number, min: 0 }, // cap for percentage coupons
+    minOrder: { type: Number, default: 0, min: 0 },
+    minItems: { type: Number, default: 0, min: 0 },
+    usageLimit: { type: Number, min: 0 }, // global redemptions, unlimited when unset
+    usageLimitPerCustomer: { type: Number, min: 0 },
+    usedCount: { type: Number, default: 0 },
+    // Redemptions per customer account (`user_<id>`) and phone (`phone_<digits>`), see utils/coupons
+    customerUses: { type: Map, of: Number, default: {}, select: false },
+    validFrom: Date,
+    validUntil: Date,
+    isActive: { type: Boolean, default: true },
+    createdBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    createdAt: { type: Date, default: Date.now },
+    updatedAt: { type: Date, default: Date.now }
+});
+
+couponSchema.pre('save', function(next) {
+    this.updatedAt = Date.now();
+    next();
+});
+
+// Also when only the type changes
+couponSchema.pre('validate', function(next) {
+    if (this.type === 'percentage' && this.value > 100) {
+        this.invalidate('value', 'Percentage value must be 100 or less', this.value);
+    }
+    next();
+});
+
+// ========== RETURN (RMA) MODEL ==========
+const RETURN_REASON_CODES = ['damaged', 'defective', 'wrong_item', 'not_as_described', 'size_issue', 'changed_mind', 'other'];
+
+const returnSchema = new mongoose.Schema({
+    returnNumber: { type: String, unique: true, required: true },
+    order: { type: mongoose.Schema.Types.ObjectId, ref: 'Order', required: true },
+    orderNumber: { type: String, required: true, index: true },
+    user: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    items: [{
+        orderItem: { type: mongoose.Schema.Types.ObjectId, required: true }, // _id within order.items
+        product: { type: mongoose.Schema.Types.ObjectId, ref: 'Product', required: true },
+        variantId: mongoose.Schema.Types.ObjectId,
+        name: String,
+        price: { type: Number, required: true },
+        quantity: { type: Number, required: true, min: 1 },
+        reasonCode: { type: String, enum: RETURN_REASON_CODES, default: 'other' },
+        note: String,
+        restocked: { type: Boolean, default: false }
+    }],
+    reason: String,
+    photos: [String],
+    unboxingVideo: { type: mongoose.Schema.Types.ObjectId, ref: 'UnboxingVideo' }, // evidence for damage claims
+    status: {
+        type: String,
+        enum: ['requested', 'approved', 'rejected', 'pickup_scheduled', 'in_transit', 'received', 'inspected', 'refunded'],
+        default: 'requested',
+        index: true
+    },
+    adminNotes: String,
+    pickup: {
+        courierName: String,
+        trackingId: String,
+        scheduledAt: Date,
+        pickedUpAt: Date
+    },
+    receivedAt: Date,
+    inspection: {
+        passed: Boolean,
+        notes: String,
+        inspectedAt: Date,
+        inspectedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' }
+    },
+    refund: {
+        method: { type: String, enum: ['original', 'store_credit'] },
+        amount: Number,
+        reference: String,
+        refundedAt: Date,
+        refundedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' }
+    },
+    createdAt: { type: Date, default: Date.now },
+    updatedAt: { type: Date, default: Date.now }
+});
+
+returnSchema.pre('save', function(next) {
+    this.updatedAt = Date.now();
+    next();
+});
+
+// ========== CART MODEL ==========
+// Guest carts are identified by `token`, account carts by `user`.
+const cartSchema = new mongoose.Schema({
+    token: { type: String, unique: true, sparse: true },
+    user: { type: mongoose.Schema.Types.ObjectId, ref: 'User', index: true },
+    items: [{
+        product: { type: mongoose.Schema.Types.ObjectId, ref: 'Product', required: true },
+        variantId: mongoose.Schema.Types.ObjectId,
+        quantity: { type: Number, required: true, min: 1 },
+        priceAtAdd: Number, // unit price the customer last saw, used to flag price changes
+        addedAt: { type: Date, default: Date.now }
+    }],
+    status: { type: String, enum: ['active', 'merged', 'converted'], default: 'active' },
+    order: { type: mongoose.Schema.Types.ObjectId, ref: 'Order' }, // set once checked out
+    expiresAt: Date, // guest carts only
+    createdAt: { type: Date, default: Date.now },
+    updatedAt: { type: Date, default: Date.now }
+});
+
+cartSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+cartSchema.pre('save', function(next) {
+    this.updatedAt = Date.now();
+    next();
+});
+
+// ========== SHIPPING ZONE MODEL ==========
+// A zone covers a division, optionally narrowed to a district and area.
+// The most specific active zone matching an address wins.
+const shippingZoneSchema = new mongoose.Schema({
+    name: { type: String, required: true },
+    division: { type: String, required: true, index: true }, // shippingAddress.region
+    district: String, // shippingAddress.city
+    area: String, // shippingAddress.area
+    rates: [{
+        courier: { type: String, required: true },
+        baseWeight: { type: Number, default: 500, min: 0 }, // grams covered by basePrice
+        basePrice: { type: Number, required: true, min: 0 },
+        additionalWeightUnit: { type: Number, default: 500, min: 1 }, // grams
+        additionalPrice: { type: Number, default: 0, min: 0 }, // per started additional unit
+        codSurchargePercent: { type: Number, default: 0, min: 0 }, // of the amount collected
+        minCodSurcharge: { type: Number, default: 0, min: 0 },
+        transitDays: { // business days from dispatch
+            min: { type: Number, min: 0 },
+            max: { type: Number, min: 0 }
+        },
+        isActive: { type: Boolean, default: true }
+    }],
+    freeShippingThreshold: { type: Number, min: 0 }, // subtotal from which delivery is free
+    isActive: { type: Boolean, default: true },
     createdAt: { type: Date, default: Date.now },
     updatedAt: { type: Date, default: Date.now }
 });
 
+shippingZoneSchema.pre('save', function(next) {
+    this.updatedAt = Date.now();
+    next();
+});
+
+// ========== HOLIDAY MODEL ==========
+// Days the warehouse does not dispatch and couriers do not deliver.
+// Dates are calendar days; endDate is inclusive for multi-day closures such as Eid.
+const holidaySchema = new mongoose.Schema({
+    name: { type: String, required: true },
+    date: { type: Date, required: true, index: true },
+    endDate: Date,
+    type: { type: String, enum: ['public', 'religious', 'closure'], default: 'public' },
+    isActive: { type: Boolean, default: true },
+    createdBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    createdAt: { type: Date, default: Date.now }
+});
+
+// ========== SETTING MODEL ==========
+// Admin-editable runtime configuration, one document per key.
+const settingSchema = new mongoose.Schema({
+    key: { type: String, required: true, unique: true },
+    value: mongoose.Schema.Types.Mixed,
+    updatedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    updatedAt: { type: Date, default: Date.now }
+});
+
+// ========== IDEMPOTENCY KEY MODEL ==========
+// Stored responses for retried POSTs carrying an Idempotency-Key header.
+const idempotencyKeySchema = new mongoose.Schema({
+    key: { type: String, required: true },
+    scope: { type: String, required: true }, // which endpoint the key belongs to
+    requestHash: { type: String, required: true },
+    status: { type: String, enum: ['processing', 'completed'], default: 'processing' },
+    responseStatus: Number,
+    responseBody: mongoose.Schema.Types.Mixed,
+    createdAt: { type: Date, default: Date.now }
+});
+
+idempotencyKeySchema.index({ key: 1, scope: 1 }, { unique: true });
+// Keys are only honoured for 24 hours
+idempotencyKeySchema.index({ createdAt: 1 }, { expireAfterSeconds: 24 * 60 * 60 });
+
+// ========== PAYMENT ATTEMPT MODEL ==========
+// One record per gateway callback, kept whether it was accepted or not.
+const paymentAttemptSchema = new mongoose.Schema({
+    provider: { type: String, required: true },
+    order: { type: mongoose.Schema.Types.ObjectId, ref: 'Order' },
+    orderNumber: String,
+    paymentId: { type: String, index: true },
+    trxID: String,
+    callbackStatus: String, // what the gateway redirect claimed (success, failure, cancel)
+    status: {
+        type: String,
+        enum: ['received', 'completed', 'failed', 'cancelled', 'rejected', 'duplicate'],
+        default: 'received'
+    },
+    rejectionReason: String,
+    amount: Number,
+    invoiceNumber: String,
+    request: {
+        method: String,
+        query: mongoose.Schema.Types.Mixed,
+        body: mongoose.Schema.Types.Mixed,
+        ip: String
+    },
+    gatewayResponse: mongoose.Schema.Types.Mixed,
+    createdAt: { type: Date, default: Date.now }
+});
+
+// A gateway transaction can settle at most one order
+paymentAttemptSchema.index(
+    { provider: 1, trxID: 1 },
+    { unique: true, partialFilterExpression: { status: 'completed' } }
+);
+
+// ========== RECONCILIATION RUN MODEL ==========
+// One comparison of a merchant statement (uploaded CSV or pulled from the
+// gateway API) against our orders. Items hold everything that did not line up
+// cleanly, plus the matches for audit.
+const RECONCILIATION_ITEM_TYPES = [
+    'matched',
+    'amount_mismatch',    // same trxID, different amount
+    'trx_mismatch',       // invoice paid, but we recorded another trxID for it
+    'duplicate_trx',      // trxID twice in the statement, or on more than one order
+    'unrecorded_payment', // money received for an order we still show as unpaid
+    'orphan_payment',     // statement line with no order behind it
+    'missing_payment'     // order marked paid with no statement line
+];
+
+const reconciliationRunSchema = new mongoose.Schema({
+    provider: { type: String, required: true },
+    source: { type: String, enum: ['upload', 'api'], required: true },
+    fileName: String,
+    periodStart: Date,
+    periodEnd: Date,
+    summary: {
+        statementRows: { type: Number, default: 0 },
+        skippedRows: { type: Number, default: 0 }, // no trxID or no credit amount
+        gatewayErrors: { type: Number, default: 0 }, // orders the gateway could not be asked about
+        ordersChecked: { type: Number, default: 0 },
+        matched: { type: Number, default: 0 },
+        amountMismatches: { type: Number, default: 0 },
+        trxMismatches: { type: Number, default: 0 },
+        duplicates: { type: Number, default: 0 },
+        unrecordedPayments: { type: Number, default: 0 },
+        orphanPayments: { type: Number, default: 0 },
+        missingPayments: { type: Number, default: 0 }
+    },
+    items: [{
+        type: { type: String, enum: RECONCILIATION_ITEM_TYPES, required: true },
+        trxID: String,
+        invoiceNumber: String,
+        transactionDate: Date,
+        statementAmount: Number,
+        orderAmount: Number,
+        order: { type: mongoose.Schema.Types.ObjectId, ref: 'Order' },
+        orderNumber: String,
+        orderNumbers: [String], // every order involved in a duplicate trxID
+        note: String,
+        resolved: { type: Boolean, default: false },
+        resolvedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+        resolvedAt: Date,
+        resolution: String
+    }],
+    createdBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    createdAt: { type: Date, default: Date.now }
+});
+
+// ========== COD REMITTANCE MODEL ==========
+// One courier settlement (uploaded CSV or fetched from the courier API): the
+// cash its riders collected for us, minus its fees, paid out in one transfer.
+// Each line is matched to an order by tracking ID and checked against what we
+// expected to receive.
+const COD_REMITTANCE_ITEM_TYPES = [
+    'settled',         // paid out what we expected
+    'short',           // paid out less than the collection minus the fees we expected
+    'over',            // paid out more than expected
+    'not_delivered',   // order is not a delivered COD order
+    'wrong_courier',   // order went out with another courier
+    'already_settled', // order was settled by an earlier remittance
+    'duplicate',       // tracking ID twice in the settlement
+    'unmatched'        // no order with this tracking ID
+];
+
+const codRemittanceSchema = new mongoose.Schema({
+    courier: { type: String, required: true }, // adapter id
+    source: { type: String, enum: ['upload', 'api'], required: true },
+    fileName: String,
+    reference: String, // the courier's payment/invoice id for the transfer
+    paidAt: Date,
+    summary: {
+        lines: { type: Number, default: 0 },
+        skippedRows: { type: Number, default: 0 }, // no tracking ID or no collected amount
+        settled: { type: Number, default: 0 },
+        short: { type: Number, default: 0 },
+        over: { type: Number, default: 0 },
+        notDelivered: { type: Number, default: 0 },
+        wrongCourier: { type: Number, default: 0 },
+        alreadySettled: { type: Number, default: 0 },
+        duplicates: { type: Number, default: 0 },
+        unmatched: { type: Number, default: 0 },
+        // Taka totals over every line of the settlement
+        collected: { type: Number, default: 0 },
+        deliveryFees: { type: Number, default: 0 },
+        codCharges: { type: Number, default: 0 },
+        paidOut: { type: Number, default: 0 },
+        shortfall: { type: Number, default: 0 } // net of overpayments, matched orders only
+    },
+    items: [{
+        type: { type: String, enum: COD_REMITTANCE_ITEM_TYPES, required: true },
+        trackingNumber: String,
+        order: { type: mongoose.Schema.Types.ObjectId, ref: 'Order' },
+        orderNumber: String,
+        // As the courier reports them
+        collected: Number,
+        deliveryFee: Number,
+        codCharge: Number,
+        paidOut: Number,
+        // What we expected: the cash the order owed on delivery, the booked delivery fee and our COD charge rate
+        expectedCollection: Number,
+        expectedDeliveryFee: Number,
+        expectedCodCharge: Number,
+        expectedPayout: Number,
+        shortfall: Number, // expectedPayout - paidOut; negative when overpaid
+        note: String,
+        resolved: { type: Boolean, default: false },
+        resolvedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+        resolvedAt: Date,
+        resolution: String
+    }],
+    createdBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    createdAt: { type: Date, default: Date.now }
+});
+
+codRemittanceSchema.index({ courier: 1, createdAt: -1 });
+// Each courier payment is imported once
+codRemittanceSchema.index(
+    { courier: 1, reference: 1 },
+    { unique: true, partialFilterExpression: { reference: { $type: 'string' } } }
+);
+
+// ========== WALLET MODELS ==========
+// Store credit per customer. `balance` is a running total of the
+// transactions, which are never changed once written.
+const walletSchema = new mongoose.Schema({
+    user: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true, unique: true },
+    balance: { type: Number, default: 0, min: 0 },
+    createdAt: { type: Date, default: Date.now },
+    updatedAt: { type: Date, default: Date.now }
+});
+
+const WALLET_TRANSACTION_TYPES = [
+    'credit', // store credit granted by staff; may expire
+    'debit',  // spent at checkout or taken back by staff
+    'refund', // order money refunded into the wallet
+    'expiry'  // unspent credit that ran out
+];
+
+const walletTransactionSchema = new mongoose.Schema({
+    wallet: { type: mongoose.Schema.Types.ObjectId, ref: 'Wallet', required: true },
+    user: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+    type: { type: String, enum: WALLET_TRANSACTION_TYPES, required: true },
+    amount: { type: Number, required: true, min: 0 },
+    balanceAfter: { type: Number, required: true },
+    order: { type: mongoose.Schema.Types.ObjectId, ref: 'Order' },
+    orderNumber: String,
+    reason: String,
+    expiresAt: Date, // credits only
+    createdBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    createdAt: { type: Date, default: Date.now }
+});
+
+walletTransactionSchema.index({ user: 1, createdAt: -1 });
+
+// The ledger is append-only
+walletTransactionSchema.pre('save', function(next) {
+    next(this.isNew ? undefined : new Error('Wallet transactions cannot be changed'));
+});
+['updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne', 'deleteOne', 'deleteMany', 'findOneAndDelete'].forEach(operation => {
+    walletTransactionSchema.pre(operation, function(next) {
+        next(new Error('Wallet transactions cannot be changed'));
+    });
+});
+
+// ========== LOGISTICS EVENT MODEL ==========
+// Every courier webhook delivery exactly as received, with what became of it.
+const LOGISTICS_EVENT_STATUSES = [
+    'received',
+    'processed', // applied to the order
+    'duplicate', // same courier event id already processed
+    'stale',     // older than the last event applied to the order
+    'rejected',  // bad signature or timestamp; never applied
+    'failed'     // could not be applied; may be replayed
+];
+
+const logisticsEventSchema = new mongoose.Schema({
+    courier: { type: String, required: true }, // adapter id, or 'generic' when no courier is named
+    eventId: { type: String, required: true }, // courier's event id, or a hash of the raw body
+    eventAt: Date, // when the courier says it happened
+    status: { type: String, enum: LOGISTICS_EVENT_STATUSES, default: 'received' },
+    failureReason: String,
+    signatureVerified: { type: Boolean, default: false }, // false when no secret is configured
+    order: { type: mongoose.Schema.Types.ObjectId, ref: 'Order' },
+    orderNumber: String,
+    courierStatus: String,
+    logisticsStatus: String,
+    orderTransitions: [String], // order statuses the event moved the order through
+    rawBody: String,
+    payload: mongoose.Schema.Types.Mixed,
+    headers: mongoose.Schema.Types.Mixed,
+    ip: String,
+    processedAt: Date,
+    replayCount: { type: Number, default: 0 },
+    replayedAt: Date,
+    replayedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    createdAt: { type: Date, default: Date.now }
+});
+
+// An event is applied at most once
+logisticsEventSchema.index(
+    { courier: 1, eventId: 1 },
+    { unique: true, partialFilterExpression: { status: 'processed' } }
+);
+logisticsEventSchema.index({ status: 1, createdAt: -1 });
+logisticsEventSchema.index({ orderNumber: 1, createdAt: -1 });
+
+// ========== DELIVERY EXCEPTION MODEL ==========
+// A parcel the courier is holding or failed to deliver, and what the customer
+// (through their SMS link) or staff decided to do about it.
+const DELIVERY_EXCEPTION_ACTIONS = ['reschedule', 'change_address', 'cancel'];
+
+const deliveryExceptionSchema = new mongoose.Schema({
+    order: { type: mongoose.Schema.Types.ObjectId, ref: 'Order', required: true },
+    orderNumber: { type: String, required: true },
+    courier: String, // adapter id, or the courier name from the webhook
+    status: {
+        type: String,
+        enum: [
+            'awaiting_customer',  // link sent, no answer yet
+            'customer_responded', // decision taken and passed on to the courier
+            'escalated',          // needs staff: too many attempts or no answer in time
+            'resolved'
+        ],
+        default: 'awaiting_customer'
+    },
+    failedAttempts: { type: Number, default: 0 },
+    events: [{
+        courierStatus: String,
+        notes: String,
+        failedAttempt: { type: Boolean, default: false },
+        occurredAt: { type: Date, default: Date.now }
+    }],
+    lastEventAt: Date,
+    tokenHash: String, // sha256 of the customer's link token; cleared once used
+    tokenExpiresAt: Date,
+    decision: {
+        action: { type: String, enum: DELIVERY_EXCEPTION_ACTIONS },
+        preferredDate: Date, // reschedule
+        address: { // change_address
+            fullName: String,
+            phone: String,
+            region: String,
+            city: String,
+            area: String,
+            address: String
+        },
+        note: String,
+        channel: { type: String, enum: ['link', 'staff'] },
+        decidedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' }, // staff only
+        decidedAt: Date
+    },
+    // Passing the decision on to the courier; manual and failed need staff
+    courierUpdate: {
+        status: { type: String, enum: ['sent', 'manual', 'failed'] },
+        error: String,
+        updatedAt: Date
+    },
+    escalatedAt: Date,
+    escalationReason: String, // max_attempts | no_response
+    resolvedAt: Date,
+    resolvedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    resolution: String,
+    createdAt: { type: Date, default: Date.now },
+    updatedAt: { type: Date, default: Date.now }
+});
+
+deliveryExceptionSchema.index({ order: 1, status: 1 });
+deliveryExceptionSchema.index({ tokenHash: 1 }, { sparse: true });
+deliveryExceptionSchema.index({ status: 1, lastEventAt: 1 });
+
+// ========== UNBOXING VIDEO MODEL ==========
+// A customer's recording of opening a delivered parcel, kept as evidence for
+// returns and damage claims. Uploaded in chunks (see services/unboxingVideos);
+// the bytes live on disk, outside the public uploads folder.
+const UNBOXING_VIDEO_TYPES = ['video/mp4', 'video/webm'];
+
+const unboxingVideoSchema = new mongoose.Schema({
+    order: { type: mongoose.Schema.Types.ObjectId, ref: 'Order', required: true },
+    orderNumber: { type: String, required: true, index: true },
+    user: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+    status: { type: String, enum: ['uploading', 'complete', 'expired'], default: 'uploading' },
+    fileName: String, // as named on the customer's device
+    mimeType: { type: String, enum: UNBOXING_VIDEO_TYPES, required: true },
+    size: { type: Number, required: true }, // bytes announced when the upload started
+    receivedBytes: { type: Number, default: 0 },
+    storageKey: { type: String, required: true }, // file name under the video storage folder
+    sha256: String, // of the finished file
+    expiresAt: Date, // unfinished uploads are discarded after this
+    completedAt: Date,
+    createdAt: { type: Date, default: Date.now },
+    updatedAt: { type: Date, default: Date.now }
+});
+
+unboxingVideoSchema.index({ order: 1, status: 1 });
+unboxingVideoSchema.index({ status: 1, expiresAt: 1 });
+
+unboxingVideoSchema.pre('save', function(next) {
+    this.updatedAt = Date.now();
+    next();
+});
+
 // ========== EXPORTS ==========
 module.exports = {
     User: mongoose.model('User', userSchema),
@@ -304,6 +940,29 @@ module.exports = {
     Product: mongoose.model('Product', productSchema),
     Review: mongoose.model('Review', reviewSchema),
     Order: mongoose.model('Order', orderSchema),
+    TIMELINE_SOURCES,
+    Coupon: mongoose.model('Coupon', couponSchema),
+    Return: mongoose.model('Return', returnSchema),
+    RETURN_REASON_CODES,
+    Cart: mongoose.model('Cart', cartSchema),
+    ShippingZone: mongoose.model('ShippingZone', shippingZoneSchema),
+    Holiday: mongoose.model('Holiday', holidaySchema),
+    Setting: mongoose.model('Setting', settingSchema),
+    IdempotencyKey: mongoose.model('IdempotencyKey', idempotencyKeySchema),
+    PaymentAttempt: mongoose.model('PaymentAttempt', paymentAttemptSchema),
+    ReconciliationRun: mongoose.model('ReconciliationRun', reconciliationRunSchema),
+    RECONCILIATION_ITEM_TYPES,
+    CodRemittance: mongoose.model('CodRemittance', codRemittanceSchema),
+    COD_REMITTANCE_ITEM_TYPES,
+    Wallet: mongoose.model('Wallet', walletSchema),
+    WalletTransaction: mongoose.model('WalletTransaction', walletTransactionSchema),
+    WALLET_TRANSACTION_TYPES,
+    LogisticsEvent: mongoose.model('LogisticsEvent', logisticsEventSchema),
+    LOGISTICS_EVENT_STATUSES,
+    DeliveryException: mongoose.model('DeliveryException', deliveryExceptionSchema),
+    DELIVERY_EXCEPTION_ACTIONS,
+    UnboxingVideo: mongoose.model('UnboxingVideo', unboxingVideoSchema),
+    UNBOXING_VIDEO_TYPES,
     OTP: mongoose.model('OTP', otpSchema),
     Category: mongoose.model('Category', categorySchema),
     Notification: mongoose.model('Notification', notificationSchema)
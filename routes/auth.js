@@ -13,6 +13,7 @@ const {
     sanitizePhone
 } = require('../utils/helpers');
 const { authenticate, loginRateLimit, otpRateLimit } = require('../middleware/auth');
+const { mergeGuestCart } = require('../services/cartService');
 
 // ========== SEND OTP ==========
 router.post('/send-otp', otpRateLimit, async (req, res) => {
@@ -245,6 +246,16 @@ router.post('/login', loginRateLimit, async (req, res) => {
         user.lastLogin = new Date();
         await user.save();
         
+        // Bring along anything the customer added to a guest cart before logging in
+        let cart = null;
+        if (req.body.cartToken) {
+            try {
+                cart = await mergeGuestCart(user._id, req.body.cartToken);
+            } catch (mergeError) {
+                console.error('Guest cart merge error:', mergeError);
+            }
+        }
+        
         // Generate token
         const token = generateToken(user._id);
         
@@ -252,6 +263,7 @@ router.post('/login', loginRateLimit, async (req, res) => {
             success: true,
             message: 'Login successful',
             token,
+            ...(cart && { cartId: cart._id }),
             user: {
                 id: user._id,
                 name: user.name,
@@ -2,57 +2,116 @@ const express = require('express');
 const router = express.Router();
 const { Order } = require('../models');
 const bkash = require('../utils/bkash');
+const { authenticate, optionalAuth, adminOnly } = require('../middleware/auth');
+const { idempotent } = require('../middleware/idempotency');
+const { createOnlinePayment, getGatewayRefundedAmount } = require('../services/orderPayments');
+const { getPaymentProvider, getOrderProvider } = require('../services/payments');
+const { handleCallback, isOrderCustomer } = require('./payments');
 
-// bKash callback/webhook endpoint
-router.post('/callback', async (req, res) => {
-    try {
-        const payload = req.body;
-        console.log('📣 bKash callback received:', payload);
+// bKash-specific endpoints. Payment start and callbacks work the same for
+// every provider under /api/payments, and refunds go through
+// /api/orders/:orderNumber/refund; the routes here stay for existing clients.
 
-        // The exact payload shape depends on bKash configuration. Try to find paymentID or merchantInvoiceNumber
-        const paymentId = payload && (payload.paymentID || payload.paymentId || payload.trxID || payload.transactionId);
-        const merchantInvoice = payload && (payload.merchantInvoiceNumber || payload.merchantInvoice || payload.invoice);
+// Create (or re-create) a bKash payment link for an unpaid bKash order.
+// Guests confirm the order phone (`phone`).
+router.post('/create', optionalAuth, idempotent('bkash-payment-create'), async (req, res) => {
+    try {
+        const { orderNumber } = req.body;
 
-        // Try to locate the order
-        let order = null;
-        if (merchantInvoice) {
-            order = await Order.findOne({ orderNumber: merchantInvoice });
-        }
-        if (!order && paymentId) {
-            order = await Order.findOne({ 'paymentDetails.bkash.paymentId': paymentId });
+        if (!orderNumber) {
+            return res.status(400).json({ success: false, error: 'Order number is required' });
         }
 
+        const order = await Order.findOne({ orderNumber });
+
         if (!order) {
-            console.warn('bKash callback: order not found for payload', payload);
             return res.status(404).json({ success: false, error: 'Order not found' });
         }
 
-        // Verify with bKash to ensure transaction is valid
-        try {
-            const verification = await bkash.verifyPayment(paymentId || (order.paymentDetails && order.paymentDetails.bkash && order.paymentDetails.bkash.paymentId));
-            // Basic check - real implementations should inspect verification object carefully
-            if (verification && (verification.paymentID || verification.transactionStatus || verification.transactionStatusCode === '0000' || verification.status === 'completed')) {
-                order.paymentStatus = 'paid';
-                order.orderStatus = 'confirmed';
-                order.paymentDetails = order.paymentDetails || {};
-                order.paymentDetails.bkash = {
-                    ...order.paymentDetails.bkash,
-                    verifiedAt: new Date(),
-                    verification
-                };
-                await order.save();
-
-                return res.json({ success: true, message: 'Order payment verified and updated' });
-            }
-        } catch (verErr) {
-            console.error('bKash verification error:', verErr);
-            return res.status(400).json({ success: false, error: 'Payment verification failed', details: verErr.message });
+        if (!isOrderCustomer(order, req)) {
+            return res.status(403).json({ success: false, error: 'Enter the phone number used for this order' });
+        }
+
+        if (getOrderProvider(order)?.id !== 'bkash') {
+            return res.status(400).json({ success: false, error: 'This order is not paid by bKash' });
+        }
+
+        // Failed = the previous payment expired; the customer may try again
+        const payable = ['pending', 'failed'].includes(order.paymentStatus);
+        if (!payable || order.orderStatus === 'cancelled') {
+            return res.status(400).json({ success: false, error: `Payment cannot be started for an order that is ${payable ? order.orderStatus : order.paymentStatus}` });
+        }
+
+        const payment = await createOnlinePayment(order);
+
+        res.status(201).json({
+            success: true,
+            orderNumber: order.orderNumber,
+            amount: payment.amount,
+            paymentUrl: payment.paymentUrl
+        });
+    } catch (err) {
+        console.error('bKash create payment error:', err);
+        res.status(err.status || 500).json({ success: false, error: err.status ? err.message : 'Failed to create bKash payment link', details: err.message });
+    }
+});
+
+// ========== CALLBACK ==========
+// Payment links created before the generic /api/payments/bkash/callback still point here
+const bkashCallback = (req, res) => {
+    req.paymentProvider = getPaymentProvider('bkash');
+    return handleCallback(req, res);
+};
+
+router.get('/callback', bkashCallback);
+router.post('/callback', bkashCallback);
+
+// ========== ADMIN: QUERY PAYMENT ==========
+router.get('/admin/payments/:paymentId', authenticate, adminOnly, async (req, res) => {
+    try {
+        const payment = await bkash.queryPayment(req.params.paymentId);
+        res.json({ success: true, payment });
+    } catch (err) {
+        console.error('bKash query payment error:', err);
+        res.status(502).json({ success: false, error: 'Failed to query bKash payment', details: err.message });
+    }
+});
+
+// ========== ADMIN: SEARCH TRANSACTION ==========
+router.get('/admin/transactions/:trxId', authenticate, adminOnly, async (req, res) => {
+    try {
+        const transaction = await bkash.searchTransaction(req.params.trxId);
+        res.json({ success: true, transaction });
+    } catch (err) {
+        console.error('bKash search transaction error:', err);
+        res.status(502).json({ success: false, error: 'Failed to search bKash transaction', details: err.message });
+    }
+});
+
+// ========== ADMIN: REFUND STATUS ==========
+router.get('/admin/orders/:orderNumber/refund', authenticate, adminOnly, async (req, res) => {
+    try {
+        const order = await Order.findOne({ orderNumber: req.params.orderNumber });
+        const details = order && order.paymentDetails && order.paymentDetails.bKash;
+
+        if (!details || !details.paymentId) {
+            return res.status(404).json({ success: false, error: 'No bKash payment found for this order' });
         }
 
-        res.status(400).json({ success: false, error: 'Unverified payment' });
+        const status = await bkash.refundStatus({
+            paymentId: details.paymentId,
+            trxId: details.trxID || order.paymentDetails.transactionId
+        });
+
+        res.json({
+            success: true,
+            refundedAmount: getGatewayRefundedAmount(order),
+            refunds: details.refunds || [],
+            status
+        });
     } catch (err) {
-        console.error('bKash callback handler error:', err);
-        res.status(500).json({ success: false, error: 'Internal server error' });
+        console.error('bKash refund status error:', err);
+        res.status(502).json({ success: false, error: 'Failed to fetch bKash refund status', details: err.message });
     }
 });
 
@@ -0,0 +1,150 @@
+const express = require('express');
+const router = express.Router();
+const { Product } = require('../models');
+const { authenticate, optionalAuth } = require('../middleware/auth');
+const { findVariant } = require('../utils/inventory');
+const {
+    getCartToken,
+    findActiveCart,
+    createCart,
+    touchCart,
+    getUnitPrice,
+    priceCart,
+    addCartItem,
+    mergeGuestCart
+} = require('../services/cartService');
+
+// ========== GET CART ==========
+// Prices are always recomputed from the product catalogue on read.
+router.get('/', optionalAuth, async (req, res) => {
+    try {
+        const cart = await findActiveCart(req);
+        res.json({ success: true, cart: await priceCart(cart) });
+    } catch (error) {
+        console.error('Get cart error:', error);
+        res.status(500).json({ success: false, error: 'Failed to fetch cart' });
+    }
+});
+
+// ========== ADD ITEM ==========
+router.post('/items', optionalAuth, async (req, res) => {
+    try {
+        const { productId, variantId, quantity = 1 } = req.body;
+
+        if (!productId) {
+            return res.status(400).json({ success: false, error: 'productId is required' });
+        }
+
+        const cart = (await findActiveCart(req)) || createCart(req);
+        const result = await addCartItem(cart, { productId, variantId, quantity: Number(quantity) });
+
+        if (!result.success) {
+            return res.status(400).json(result);
+        }
+
+        await cart.save();
+
+        res.status(201).json({ success: true, message: 'Added to cart', cart: await priceCart(cart) });
+    } catch (error) {
+        console.error('Add to cart error:', error);
+        res.status(500).json({ success: false, error: 'Failed to add item to cart' });
+    }
+});
+
+// ========== UPDATE ITEM QUANTITY ==========
+router.patch('/items/:itemId', optionalAuth, async (req, res) => {
+    try {
+        const quantity = Number(req.body.quantity);
+
+        if (!Number.isInteger(quantity) || quantity < 0) {
+            return res.status(400).json({ success: false, error: 'Quantity must be a whole number' });
+        }
+
+        const cart = await findActiveCart(req);
+        const item = cart && cart.items.id(req.params.itemId);
+
+        if (!item) {
+            return res.status(404).json({ success: false, error: 'Cart item not found' });
+        }
+
+        if (quantity === 0) {
+            cart.items.pull(item._id);
+        } else {
+            item.quantity = quantity;
+
+            // Changing a line counts as seeing its current price
+            const product = await Product.findById(item.product);
+            if (product) {
+                const variant = item.variantId ? findVariant(product, { variantId: item.variantId }) : undefined;
+                item.priceAtAdd = getUnitPrice(product, variant);
+            }
+        }
+
+        touchCart(cart);
+        await cart.save();
+
+        res.json({ success: true, message: 'Cart updated', cart: await priceCart(cart) });
+    } catch (error) {
+        console.error('Update cart item error:', error);
+        res.status(500).json({ success: false, error: 'Failed to update cart' });
+    }
+});
+
+// ========== REMOVE ITEM ==========
+router.delete('/items/:itemId', optionalAuth, async (req, res) => {
+    try {
+        const cart = await findActiveCart(req);
+
+        if (!cart || !cart.items.id(req.params.itemId)) {
+            return res.status(404).json({ success: false, error: 'Cart item not found' });
+        }
+
+        cart.items.pull(req.params.itemId);
+        touchCart(cart);
+        await cart.save();
+
+        res.json({ success: true, message: 'Removed from cart', cart: await priceCart(cart) });
+    } catch (error) {
+        console.error('Remove cart item error:', error);
+        res.status(500).json({ success: false, error: 'Failed to remove item from cart' });
+    }
+});
+
+// ========== CLEAR CART ==========
+router.delete('/', optionalAuth, async (req, res) => {
+    try {
+        const cart = await findActiveCart(req);
+
+        if (cart) {
+            cart.items = [];
+            touchCart(cart);
+            await cart.save();
+        }
+
+        res.json({ success: true, message: 'Cart cleared', cart: await priceCart(cart) });
+    } catch (error) {
+        console.error('Clear cart error:', error);
+        res.status(500).json({ success: false, error: 'Failed to clear cart' });
+    }
+});
+
+// ========== MERGE GUEST CART ==========
+router.post('/merge', authenticate, async (req, res) => {
+    try {
+        const token = getCartToken(req);
+
+        if (!token) {
+            return res.status(400).json({ success: false, error: 'Cart token is required' });
+        }
+
+        const merged = await mergeGuestCart(req.userId, token);
+        const cart = merged || (await findActiveCart(req));
+
+        res.json({ success: true, message: merged ? 'Cart merged' : 'Nothing to merge', cart: await priceCart(cart) });
+    } catch (error) {
+        console.error('Merge cart error:', error);
+        res.status(500).json({ success: false, error: 'Failed to merge cart' });
+    }
+});
+
+module.exports = router;
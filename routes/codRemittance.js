@@ -0,0 +1,131 @@
+const express = require('express');
+const router = express.Router();
+const mongoose = require('mongoose');
+const { CodRemittance } = require('../models');
+const { authenticate, adminOnly } = require('../middleware/auth');
+const { uploadStatement, handleUploadError } = require('../middleware/upload');
+const {
+    importRemittance,
+    buildRemittanceReport,
+    resolveRemittanceItem,
+    getReceivablesReport
+} = require('../services/codRemittance');
+
+const loadRemittance = async (req, res, next) => {
+    try {
+        const remittance = mongoose.Types.ObjectId.isValid(req.params.id)
+            ? await CodRemittance.findById(req.params.id)
+            : null;
+        if (!remittance) {
+            return res.status(404).json({ success: false, error: 'Remittance not found' });
+        }
+        req.remittance = remittance;
+        next();
+    } catch (error) {
+        next(error);
+    }
+};
+
+// ========== IMPORT SETTLEMENT (ADMIN) ==========
+// Upload the courier's settlement CSV as multipart field `statement` (or send
+// its text as `csv`), or send `reference` to fetch that payment from the
+// courier API where it has one. `paidAt` overrides the payment date.
+router.post('/', authenticate, adminOnly, uploadStatement, handleUploadError, async (req, res) => {
+    try {
+        const { courier, reference, paidAt } = req.body;
+
+        if (!courier) {
+            return res.status(400).json({ success: false, error: 'Courier is required' });
+        }
+
+        const remittance = await importRemittance({
+            courier,
+            csv: req.file ? req.file.buffer.toString('utf8') : req.body.csv,
+            fileName: req.file ? req.file.originalname : undefined,
+            reference,
+            paidAt,
+            createdBy: req.userId
+        });
+
+        res.status(201).json({ success: true, report: buildRemittanceReport(remittance) });
+    } catch (error) {
+        console.error('COD remittance import error:', error);
+        res.status(error.status || 500).json({ success: false, error: error.status ? error.message : 'Failed to import remittance' });
+    }
+});
+
+// ========== OUTSTANDING RECEIVABLES (ADMIN) ==========
+// Per courier: COD cash collected but not yet paid out, aged by delivery
+// date, and shortfalls on settled parcels. Optional `courier`, `from`, `to`.
+router.get('/receivables', authenticate, adminOnly, async (req, res) => {
+    try {
+        const report = await getReceivablesReport(req.query);
+        res.json({ success: true, report });
+    } catch (error) {
+        console.error('COD receivables report error:', error);
+        res.status(error.status || 500).json({ success: false, error: error.status ? error.message : 'Failed to build receivables report' });
+    }
+});
+
+// ========== LIST REMITTANCES (ADMIN) ==========
+router.get('/', authenticate, adminOnly, async (req, res) => {
+    try {
+        const { courier, page = 1, limit = 20 } = req.query;
+
+        const query = {};
+        if (courier) query.courier = courier;
+
+        const remittances = await CodRemittance.find(query)
+            .select('-items')
+            .sort({ createdAt: -1 })
+            .limit(parseInt(limit))
+            .skip((parseInt(page) - 1) * parseInt(limit));
+
+        const count = await CodRemittance.countDocuments(query);
+
+        res.json({
+            success: true,
+            remittances,
+            totalPages: Math.ceil(count / limit),
+            currentPage: parseInt(page),
+            total: count
+        });
+    } catch (error) {
+        console.error('Get COD remittances error:', error);
+        res.status(500).json({ success: false, error: 'Failed to fetch remittances' });
+    }
+});
+
+// ========== REMITTANCE DETAILS (ADMIN) ==========
+router.get('/:id', authenticate, adminOnly, loadRemittance, (req, res) => {
+    const { type } = req.query;
+    const { remittance } = req;
+    const items = type ? remittance.items.filter(item => item.type === type) : remittance.items;
+
+    res.json({ success: true, remittance: { ...remittance.toObject(), items } });
+});
+
+router.get('/:id/report', authenticate, adminOnly, loadRemittance, (req, res) => {
+    res.json({
+        success: true,
+        report: buildRemittanceReport(req.remittance, { includeResolved: req.query.includeResolved === 'true' })
+    });
+});
+
+// ========== RESOLVE ITEM (ADMIN) ==========
+// E.g. after the courier paid a shortfall or it was written off
+router.patch('/:id/items/:itemId', authenticate, adminOnly, loadRemittance, async (req, res) => {
+    try {
+        const item = await resolveRemittanceItem(req.remittance, req.params.itemId, {
+            resolution: req.body.resolution,
+            resolvedBy: req.userId
+        });
+
+        res.json({ success: true, message: 'Item resolved', item });
+    } catch (error) {
+        console.error('Resolve remittance item error:', error);
+        res.status(error.status || 500).json({ success: false, error: error.status ? error.message : 'Failed to resolve item' });
+    }
+});
+
+module.exports = router;
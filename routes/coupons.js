@@ -0,0 +1,165 @@
+const express = require('express');
+const router = express.Router();
+const { Coupon } = require('../models');
+const { authenticate, optionalAuth, adminOnly } = require('../middleware/auth');
+const { evaluateCoupon, normalizeCode } = require('../utils/coupons');
+const { getPaginationData } = require('../utils/helpers');
+
+const editableFields = [
+    'code', 'description', 'type', 'value', 'maxDiscount', 'minOrder', 'minItems',
+    'usageLimit', 'usageLimitPerCustomer', 'validFrom', 'validUntil', 'isActive'
+];
+
+const pickCouponFields = (body) => {
+    const data = {};
+    editableFields.forEach(field => {
+        if (body[field] !== undefined) data[field] = body[field];
+    });
+    if (data.code) data.code = normalizeCode(data.code);
+    return data;
+};
+
+// ========== VALIDATE COUPON (PUBLIC) ==========
+router.post('/validate', optionalAuth, async (req, res) => {
+    try {
+        const { code, subtotal = 0, itemCount = 0, shippingCost = 0, phone } = req.body;
+
+        const result = await evaluateCoupon({
+            code,
+            subtotal: Number(subtotal) || 0,
+            itemCount: Number(itemCount) || 0,
+            shippingCost: Number(shippingCost) || 0,
+            userId: req.userId,
+            phone
+        });
+
+        if (!result.success) {
+            return res.status(400).json(result);
+        }
+
+        res.json({
+            success: true,
+            coupon: {
+                code: result.coupon.code,
+                type: result.coupon.type,
+                value: result.coupon.value,
+                description: result.coupon.description
+            },
+            discount: result.discount,
+            freeShipping: result.freeShipping
+        });
+    } catch (error) {
+        console.error('Validate coupon error:', error);
+        res.status(500).json({ success: false, error: 'Failed to validate coupon' });
+    }
+});
+
+// ========== LIST COUPONS (ADMIN) ==========
+router.get('/', authenticate, adminOnly, async (req, res) => {
+    try {
+        const { page = 1, limit = 20, active, search } = req.query;
+
+        const query = {};
+        if (active === 'true') query.isActive = true;
+        if (active === 'false') query.isActive = false;
+        // Matched as plain text, not as a pattern
+        if (search) query.code = new RegExp(String(search).replace(/[.*+?^${}()|[\]\\]/g, '\\$&'), 'i');
+
+        const total = await Coupon.countDocuments(query);
+        const pagination = getPaginationData(page, limit, total);
+
+        const coupons = await Coupon.find(query)
+            .sort({ createdAt: -1 })
+            .skip(pagination.skip)
+            .limit(pagination.itemsPerPage)
+            .select('-__v');
+
+        res.json({ success: true, coupons, pagination });
+    } catch (error) {
+        console.error('Get coupons error:', error);
+        res.status(500).json({ success: false, error: 'Failed to fetch coupons' });
+    }
+});
+
+// ========== GET COUPON (ADMIN) ==========
+router.get('/:id', authenticate, adminOnly, async (req, res) => {
+    try {
+        const coupon = await Coupon.findById(req.params.id);
+
+        if (!coupon) {
+            return res.status(404).json({ success: false, error: 'Coupon not found' });
+        }
+
+        res.json({ success: true, coupon });
+    } catch (error) {
+        console.error('Get coupon error:', error);
+        res.status(500).json({ success: false, error: 'Failed to fetch coupon' });
+    }
+});
+
+// ========== CREATE COUPON (ADMIN) ==========
+router.post('/', authenticate, adminOnly, async (req, res) => {
+    try {
+        const data = pickCouponFields(req.body);
+
+        if (!data.code || !data.type) {
+            return res.status(400).json({ success: false, error: 'Code and type are required' });
+        }
+
+        if (data.type === 'percentage' && (data.value <= 0 || data.value > 100)) {
+            return res.status(400).json({ success: false, error: 'Percentage value must be between 1 and 100' });
+        }
+
+        const existing = await Coupon.findOne({ code: data.code });
+        if (existing) {
+            return res.status(400).json({ success: false, error: 'Coupon code already exists' });
+        }
+
+        const coupon = await Coupon.create({ ...data, createdBy: req.userId });
+
+        res.status(201).json({ success: true, message: 'Coupon created successfully', coupon });
+    } catch (error) {
+        console.error('Create coupon error:', error);
+        res.status(500).json({ success: false, error: 'Failed to create coupon' });
+    }
+});
+
+// ========== UPDATE COUPON (ADMIN) ==========
+router.put('/:id', authenticate, adminOnly, async (req, res) => {
+    try {
+        const coupon = await Coupon.findById(req.params.id);
+
+        if (!coupon) {
+            return res.status(404).json({ success: false, error: 'Coupon not found' });
+        }
+
+        Object.assign(coupon, pickCouponFields(req.body));
+        await coupon.save();
+
+        res.json({ success: true, message: 'Coupon updated successfully', coupon });
+    } catch (error) {
+        console.error('Update coupon error:', error);
+        if (error.name === 'ValidationError') {
+            return res.status(400).json({ success: false, error: error.message });
+        }
+        res.status(500).json({ success: false, error: 'Failed to update coupon' });
+    }
+});
+
+// ========== DELETE COUPON (ADMIN) ==========
+router.delete('/:id', authenticate, adminOnly, async (req, res) => {
+    try {
+        const coupon = await Coupon.findByIdAndDelete(req.params.id);
+
+        if (!coupon) {
+            return res.status(404).json({ success: false, error: 'Coupon not found' });
+        }
+
+        res.json({ success: true, message: 'Coupon deleted successfully' });
+    } catch (error) {
+        console.error('Delete coupon error:', error);
+        res.status(500).json({ success: false, error: 'Failed to delete coupon' });
+    }
+});
+
+module.exports = router;
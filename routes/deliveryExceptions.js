@@ -0,0 +1,133 @@
+const express = require('express');
+const router = express.Router();
+const mongoose = require('mongoose');
+const { Order, DeliveryException, DELIVERY_EXCEPTION_ACTIONS } = require('../models');
+const { authenticate, adminOnly } = require('../middleware/auth');
+const {
+    findExceptionByToken,
+    decideDeliveryException,
+    listDeliveryExceptions,
+    resolveDeliveryException
+} = require('../services/deliveryExceptions');
+const { getSetting } = require('../utils/settings');
+
+const sendExceptionError = (res, error, fallback) => {
+    console.error(`${fallback}:`, error);
+    res.status(error.status || 500).json({
+        success: false,
+        error: error.status ? error.message : fallback
+    });
+};
+
+// ========== CUSTOMER RESPONSE (TOKEN LINK) ==========
+// The token comes from the SMS sent when a delivery fails; it works once and
+// only until the exception is handed to staff.
+const loadByToken = async (req, res, next) => {
+    try {
+        const exception = await findExceptionByToken(req.params.token);
+        if (!exception) {
+            return res.status(404).json({ success: false, error: 'This link has expired or was already used' });
+        }
+        req.exception = exception;
+        next();
+    } catch (error) {
+        next(error);
+    }
+};
+
+router.get('/respond/:token', loadByToken, async (req, res) => {
+    try {
+        const { exception } = req;
+        const order = await Order.findById(exception.order).select('orderNumber shippingAddress courier.name');
+        const lastEvent = exception.events[exception.events.length - 1];
+
+        res.json({
+            success: true,
+            exception: {
+                orderNumber: exception.orderNumber,
+                failedAttempts: exception.failedAttempts,
+                courierNote: lastEvent && lastEvent.notes,
+                courier: order && order.courier && order.courier.name,
+                shippingAddress: order && order.shippingAddress,
+                expiresAt: exception.tokenExpiresAt,
+                actions: DELIVERY_EXCEPTION_ACTIONS,
+                rescheduleMaxDays: await getSetting('deliveryRescheduleMaxDays')
+            }
+        });
+    } catch (error) {
+        sendExceptionError(res, error, 'Failed to load delivery exception');
+    }
+});
+
+// Body: { action: reschedule | change_address | cancel, preferredDate, address, note }
+router.post('/respond/:token', loadByToken, async (req, res) => {
+    try {
+        const exception = await decideDeliveryException(req.exception, req.body, { channel: 'link' });
+
+        res.json({
+            success: true,
+            message: exception.courierUpdate.status === 'sent'
+                ? 'Thanks, the courier has been told'
+                : 'Thanks, our team will pass this on to the courier',
+            decision: exception.decision
+        });
+    } catch (error) {
+        sendExceptionError(res, error, 'Failed to save your choice');
+    }
+});
+
+// ========== EXCEPTION QUEUE (ADMIN) ==========
+// Without `status`: escalated exceptions and decisions the courier still has to be told about
+router.get('/admin', authenticate, adminOnly, async (req, res) => {
+    try {
+        const exceptions = await listDeliveryExceptions(req.query);
+        res.json({ success: true, exceptions });
+    } catch (error) {
+        sendExceptionError(res, error, 'Failed to fetch delivery exceptions');
+    }
+});
+
+const loadById = async (req, res, next) => {
+    try {
+        const exception = mongoose.Types.ObjectId.isValid(req.params.id)
+            ? await DeliveryException.findById(req.params.id)
+            : null;
+        if (!exception) {
+            return res.status(404).json({ success: false, error: 'Delivery exception not found' });
+        }
+        req.exception = exception;
+        next();
+    } catch (error) {
+        next(error);
+    }
+};
+
+router.get('/admin/:id', authenticate, adminOnly, loadById, (req, res) => {
+    const exception = req.exception.toObject();
+    delete exception.tokenHash;
+    res.json({ success: true, exception });
+});
+
+// Staff record the customer's choice, e.g. after calling them
+router.post('/admin/:id/decision', authenticate, adminOnly, loadById, async (req, res) => {
+    try {
+        const exception = await decideDeliveryException(req.exception, req.body, { channel: 'staff', decidedBy: req.userId });
+        res.json({ success: true, message: 'Decision recorded', courierUpdate: exception.courierUpdate, decision: exception.decision });
+    } catch (error) {
+        sendExceptionError(res, error, 'Failed to record decision');
+    }
+});
+
+router.post('/admin/:id/resolve', authenticate, adminOnly, loadById, async (req, res) => {
+    try {
+        const exception = await resolveDeliveryException(req.exception, {
+            resolution: req.body.resolution,
+            resolvedBy: req.userId
+        });
+        res.json({ success: true, message: 'Delivery exception resolved', exception });
+    } catch (error) {
+        sendExceptionError(res, error, 'Failed to resolve delivery exception');
+    }
+});
+
+module.exports = router;
@@ -1,115 +1,175 @@
 const express = require('express');
 const router = express.Router();
-const { Order } = require('../models');
-const { notifyLogisticsAlertSMS, buildLogisticsStatusMessage } = require('../services/smsService');
-
-const normalizedStatusMap = {
-    pending: 'pending',
-    confirmed: 'confirmed',
-    dispatched: 'dispatched',
-    shipped: 'dispatched',
-    'in_transit': 'in-transit',
-    'in-transit': 'in-transit',
-    'in transit': 'in-transit',
-    transit: 'in-transit',
-    'failed_delivery_attempt': 'delayed',
-    'failed-delivery-attempt': 'delayed',
-    hold: 'delayed',
-    delayed: 'delayed',
-    delivered: 'delivered',
-    returned: 'returned',
-    'returned_to_sender': 'returned',
-    'returned-to-sender': 'returned'
-};
-
-const delayStates = new Set(['delayed', 'hold', 'failed_delivery_attempt', 'failed-delivery-attempt', 'attempted_delivery', 'attempted-delivery', 'delivery_failed_attempt']);
-
-router.post('/webhook', async (req, res) => {
+const mongoose = require('mongoose');
+const { Order, LogisticsEvent } = require('../models');
+const { authenticate, adminOnly } = require('../middleware/auth');
+const { listCouriers } = require('../services/couriers');
+const { receiveLogisticsEvent, replayLogisticsEvent } = require('../services/logisticsEvents');
+const {
+    bookConsignment,
+    requestPickup,
+    cancelConsignment,
+    getConsignmentStatus
+} = require('../services/courierBooking');
+
+// ========== COURIER WEBHOOK ==========
+// Signed per courier (see services/logisticsEvents). Couriers should post to
+// /webhook/<courier>; /webhook takes the courier from the payload.
+router.post(['/webhook', '/webhook/:courier'], async (req, res) => {
     try {
-        const signature = req.headers['x-logistics-webhook-signature'] || req.headers['x-webhook-signature'] || req.headers['x-webhook-secret'];
-        if (process.env.LOGISTICS_WEBHOOK_SECRET) {
-            if (!signature || signature !== process.env.LOGISTICS_WEBHOOK_SECRET) {
-                return res.status(401).json({ success: false, error: 'Unauthorized webhook request' });
-            }
+        const result = await receiveLogisticsEvent({
+            courierName: req.params.courier,
+            rawBody: req.rawBody,
+            payload: req.body || {},
+            headers: req.headers,
+            ip: req.ip
+        });
+
+        if (result.outcome === 'rejected') {
+            console.warn(`Logistics webhook rejected (${result.event.failureReason}) from ${req.ip}`);
         }
 
-        const payload = req.body || {};
-        const orderIdentifier = String(payload.orderNumber || payload.order_id || payload.reference || payload.trackingId || payload.tracking_id || payload.trackingNumber || payload.tracking_number || '').trim();
-        const rawStatus = String(payload.status || payload.currentStatus || payload.event || payload.state || '').trim().toLowerCase();
+        res.status(result.httpStatus).json({
+            success: ['processed', 'duplicate', 'stale'].includes(result.outcome),
+            outcome: result.outcome,
+            message: result.message,
+            eventId: result.event && result.event._id,
+            ...(result.outcome === 'processed' && { logistics: result.order.logistics })
+        });
+    } catch (error) {
+        console.error('Logistics webhook error:', error);
+        res.status(500).json({ success: false, error: 'Failed to process logistics webhook' });
+    }
+});
 
-        if (!orderIdentifier) {
-            return res.status(400).json({ success: false, error: 'Missing order identifier in webhook payload' });
-        }
+// ========== WEBHOOK EVENTS (ADMIN) ==========
+router.get('/events', authenticate, adminOnly, async (req, res) => {
+    try {
+        const { courier, status, orderNumber, limit = 50 } = req.query;
 
-        const normalizedStatus = normalizedStatusMap[rawStatus] || 'pending';
-        const courierName = String(payload.courierName || payload.courier || payload.carrier || payload.provider || '').trim() || undefined;
-        const trackingId = String(payload.trackingId || payload.tracking_id || payload.trackingNumber || payload.tracking_number || '').trim() || undefined;
-        const notes = String(payload.notes || payload.remark || payload.description || payload.message || '').trim() || undefined;
+        const query = {};
+        if (courier) query.courier = courier;
+        if (status) query.status = status;
+        if (orderNumber) query.orderNumber = orderNumber;
 
-        const order = await Order.findOne({ orderNumber: orderIdentifier })
-            || await Order.findOne({ _id: orderIdentifier })
-            || await Order.findOne({ 'logistics.trackingId': orderIdentifier })
-            || await Order.findOne({ 'courier.trackingNumber': orderIdentifier });
+        const events = await LogisticsEvent.find(query)
+            .select('-rawBody')
+            .sort({ createdAt: -1 })
+            .limit(Math.min(parseInt(limit) || 50, 200));
 
-        if (!order) {
-            console.warn('Logistics webhook could not find order for identifier:', orderIdentifier);
-            return res.status(404).json({ success: false, error: 'Order not found' });
-        }
+        res.json({ success: true, events });
+    } catch (error) {
+        console.error('Logistics events error:', error);
+        res.status(500).json({ success: false, error: 'Failed to fetch logistics events' });
+    }
+});
 
-        if (!order.logistics) {
-            order.logistics = {
-                courierName: courierName || order.logistics?.courierName,
-                trackingId: trackingId || order.logistics?.trackingId,
-                currentStatus: 'pending',
-                statusLogs: [],
-                unboxingVideoUrl: order.logistics?.unboxingVideoUrl
-            };
+router.get('/events/:id', authenticate, adminOnly, async (req, res) => {
+    try {
+        const event = mongoose.Types.ObjectId.isValid(req.params.id) ? await LogisticsEvent.findById(req.params.id) : null;
+        if (!event) {
+            return res.status(404).json({ success: false, error: 'Logistics event not found' });
         }
+        res.json({ success: true, event });
+    } catch (error) {
+        console.error('Logistics event error:', error);
+        res.status(500).json({ success: false, error: 'Failed to fetch logistics event' });
+    }
+});
 
-        order.logistics.courierName = courierName || order.logistics.courierName;
-        order.logistics.trackingId = trackingId || order.logistics.trackingId;
-
-        const currentStatus = delayStates.has(rawStatus) ? 'delayed' : normalizedStatus;
-        order.logistics.currentStatus = currentStatus;
+// Signatures are not checked again; they were checked when the event arrived
+router.post('/events/:id/replay', authenticate, adminOnly, async (req, res) => {
+    try {
+        const result = await replayLogisticsEvent(req.params.id, { replayedBy: req.userId });
 
-        order.logistics.statusLogs.push({
-            status: currentStatus,
-            updatedBy: 'logistics-webhook',
-            timestamp: new Date(),
-            notes
+        res.status(result.httpStatus).json({
+            success: result.outcome === 'processed',
+            outcome: result.outcome,
+            message: result.message,
+            event: result.event
         });
+    } catch (error) {
+        console.error('Logistics event replay error:', error);
+        res.status(500).json({ success: false, error: 'Failed to replay logistics event' });
+    }
+});
 
-        if (!Array.isArray(order.timeline)) {
-            order.timeline = [];
+// ========== COURIERS (ADMIN) ==========
+router.get('/couriers', authenticate, adminOnly, (req, res) => {
+    res.json({ success: true, couriers: listCouriers() });
+});
+
+const loadOrder = async (req, res, next) => {
+    try {
+        const order = await Order.findOne({ orderNumber: req.params.orderNumber });
+        if (!order) {
+            return res.status(404).json({ success: false, error: 'Order not found' });
         }
+        req.order = order;
+        next();
+    } catch (error) {
+        next(error);
+    }
+};
+
+const sendCourierError = (res, error, fallback) => {
+    console.error(`${fallback}:`, error);
+    res.status(error.status || 500).json({
+        success: false,
+        error: error.status ? error.message : fallback,
+        ...(error.manual && { manual: true })
+    });
+};
 
-        order.timeline.push({
-            status: currentStatus,
-            message: `Logistics update received${notes ? `: ${notes}` : ''}`,
-            timestamp: new Date(),
-            updatedBy: 'logistics-webhook'
+// ========== BOOK CONSIGNMENT (ADMIN) ==========
+// Courier defaults to the one quoted at checkout
+router.post('/orders/:orderNumber/consignment', authenticate, adminOnly, loadOrder, async (req, res) => {
+    try {
+        const consignment = await bookConsignment(req.order, {
+            courier: req.body.courier,
+            note: req.body.note,
+            bookedBy: req.userId
         });
 
-        await order.save();
+        res.status(201).json({ success: true, consignment, logistics: req.order.logistics });
+    } catch (error) {
+        sendCourierError(res, error, 'Failed to book consignment');
+    }
+});
 
-        // Placeholder SMS notification call to alert the customer proactively.
-        try {
-            if (order.customer?.phone) {
-                const logisticsAlert = buildLogisticsStatusMessage(order.orderNumber, currentStatus, order.logistics.courierName, notes);
-                await notifyLogisticsAlertSMS(order.customer.phone, logisticsAlert);
-            }
-        } catch (smsError) {
-            console.error('Logistics webhook SMS notification failed:', smsError);
-        }
+// ========== CONSIGNMENT STATUS (ADMIN) ==========
+// Asks the courier directly; the order itself is updated by the webhook
+router.get('/orders/:orderNumber/consignment', authenticate, adminOnly, loadOrder, async (req, res) => {
+    try {
+        const status = await getConsignmentStatus(req.order);
+        res.json({ success: true, consignment: req.order.courier, courierStatus: status });
+    } catch (error) {
+        sendCourierError(res, error, 'Failed to fetch consignment');
+    }
+});
 
-        res.json({
-            success: true,
-            message: 'Logistics event processed',
-            logistics: order.logistics
+// ========== REQUEST PICKUP (ADMIN) ==========
+router.post('/orders/:orderNumber/consignment/pickup', authenticate, adminOnly, loadOrder, async (req, res) => {
+    try {
+        const consignment = await requestPickup(req.order, { requestedBy: req.userId });
+        res.json({ success: true, message: 'Pickup requested', consignment });
+    } catch (error) {
+        sendCourierError(res, error, 'Failed to request pickup');
+    }
+});
+
+// ========== CANCEL CONSIGNMENT (ADMIN) ==========
+// Send manual: true once a consignment was cancelled in the courier's own panel
+router.post('/orders/:orderNumber/consignment/cancel', authenticate, adminOnly, loadOrder, async (req, res) => {
+    try {
+        const consignment = await cancelConsignment(req.order, {
+            reason: req.body.reason,
+            manual: req.body.manual === true,
+            cancelledBy: req.userId
         });
+        res.json({ success: true, message: 'Consignment cancelled', consignment });
     } catch (error) {
-        console.error('Logistics webhook error:', error);
-        res.status(500).json({ success: false, error: 'Failed to process logistics webhook' });
+        sendCourierError(res, error, 'Failed to cancel consignment');
     }
 });
 
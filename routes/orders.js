@@ -1,24 +1,144 @@
 const express = require('express');
+const mongoose = require('mongoose');
 const router = express.Router();
-const { Order, Product } = require('../models');
-const bkash = require('../utils/bkash');
-const { authenticate, optionalAuth, adminOnly, orderRateLimit } = require('../middleware/auth');
+const { Order, Product, Return, Cart, RETURN_REASON_CODES } = require('../models');
+const { evaluateCoupon, redeemCoupon, releaseCoupon } = require('../utils/coupons');
+const {
+    findVariant,
+    isActiveVariant,
+    hasActiveVariants,
+    getVariantLabel,
+    reserveStock,
+    releaseStock
+} = require('../utils/inventory');
+const { authenticate, optionalAuth, adminOnly, orderRateLimit, otpRateLimit } = require('../middleware/auth');
+const { getSetting } = require('../utils/settings');
+const {
+    createOnlinePayment,
+    recordManualPayment,
+    applyPayment,
+    refundToOriginalMethod,
+    refundOrderPayment,
+    recordRefund,
+    withRefundLock,
+    getPaidAmount,
+    getOnlinePaidAmount,
+    getRefundedAmount
+} = require('../services/orderPayments');
+const { debitWallet, refundToWallet } = require('../services/walletService');
+const { PAYMENT_METHODS, isValidPaymentMethod, isOnlineMethod, getOrderProvider } = require('../services/payments');
+const { computeCodAdvance } = require('../services/codAdvance');
+const { idempotent } = require('../middleware/idempotency');
+const { canAccessCart } = require('../services/cartService');
+const { quoteShipping } = require('../services/shippingService');
+const { estimateDeliveryWindow } = require('../services/deliveryEstimator');
+const { getReturnableQuantities, recordReturnStep } = require('../services/returnWorkflow');
+const { uploadSingle, uploadMultiple, handleUploadError } = require('../middleware/upload');
+const { submitPaymentProof } = require('../services/paymentProofs');
+const { findEvidenceVideo } = require('../services/unboxingVideos');
+const {
+    ORDER_STATUSES,
+    canTransition,
+    getAllowedTransitions,
+    transitionOrder,
+    getFulfilmentStatus
+} = require('../services/orderWorkflow');
+const { subscribeToOrder, subscribeToUser } = require('../services/orderEvents');
+const { openEventStream, tokenFromQuery } = require('../utils/sse');
 const { 
-    calculateShipping, 
-    estimateDelivery,
     sendOrderConfirmationSMS,
     sendOrderConfirmationEmail,
-    sendDeliveryUpdateSMS,
     getPaginationData,
-    generateOrderNumber
+    generateOrderNumber,
+    generateReturnNumber,
+    getImageUrl,
+    saveOTP,
+    verifyOTP,
+    sendOTPSMS,
+    sanitizePhone
 } = require('../utils/helpers');
 
+// Returns why a customer may not cancel this order, or null when they may.
+const getCancellationBlocker = async (order) => {
+    const cancellableStatuses = await getSetting('customerCancellableStatuses');
+    if (!cancellableStatuses.includes(order.orderStatus)) {
+        return `Orders that are ${order.orderStatus} can no longer be cancelled`;
+    }
+
+    const cutoffHours = await getSetting('cancellationCutoffHours');
+    if (typeof cutoffHours === 'number' && Date.now() - order.createdAt.getTime() > cutoffHours * 60 * 60 * 1000) {
+        return `Orders can only be cancelled within ${cutoffHours} hours of placing them`;
+    }
+
+    return null;
+};
+
+// Undo the payment of a cancelled order: void an unpaid gateway
+// session or refund what was captured (the whole order, a COD advance, or
+// the wallet balance spent). Returns a note for the timeline.
+const reverseOrderPayment = async (order, reason) => {
+    const provider = getOrderProvider(order);
+
+    if (order.paymentStatus === 'pending') {
+        if (provider) {
+            order.paymentStatus = 'voided';
+            return `Pending ${provider.id} payment voided`;
+        }
+        return null;
+    }
+
+    if (!['paid', 'partially_paid'].includes(order.paymentStatus)) return null;
+
+    const method = provider ? provider.id : order.paymentMethod;
+    const paid = provider ? getOnlinePaidAmount(order) : getPaidAmount(order);
+    const amount = paid - getRefundedAmount(order);
+    if (!(amount > 0)) return null;
+
+    const refund = await refundToOriginalMethod(order, amount, reason);
+    if (refund.success) {
+        recordRefund(order, {
+            amount,
+            destination: method === 'wallet' ? 'wallet' : 'original',
+            method,
+            reference: refund.reference,
+            reason
+        });
+        return `৳${amount} refunded to ${method}`;
+    }
+
+    return refund.manual
+        ? 'Refund will be processed manually'
+        : `${method} refund failed; it will be processed manually`;
+};
+
 // ========== CREATE ORDER ==========
-router.post('/', orderRateLimit, optionalAuth, async (req, res) => {
+router.post('/', orderRateLimit, optionalAuth, idempotent('order-create'), async (req, res) => {
     try {
         console.log('📦 Received order request:', req.body);
         
-        const { customer, shippingAddress, items, paymentMethod } = req.body;
+        const { customer, shippingAddress, paymentMethod, advanceMethod, couponCode, cartId, courier } = req.body;
+        let { items } = req.body;
+        
+        // Checkout straight from a server-side cart
+        let cart = null;
+        if (cartId) {
+            cart = mongoose.Types.ObjectId.isValid(cartId)
+                ? await Cart.findOne({ _id: cartId, status: 'active' })
+                : null;
+            
+            if (!cart || !canAccessCart(req, cart)) {
+                return res.status(404).json({
+                    success: false,
+                    error: 'Cart not found'
+                });
+            }
+            
+            items = cart.items.map(item => ({
+                productId: item.product,
+                variantId: item.variantId,
+                quantity: item.quantity
+            }));
+        }
         
         // Validate required fields
         if (!customer || !shippingAddress || !items || !paymentMethod) {
@@ -35,6 +155,20 @@ router.post('/', orderRateLimit, optionalAuth, async (req, res) => {
             });
         }
         
+        if (!isValidPaymentMethod(paymentMethod)) {
+            return res.status(400).json({
+                success: false,
+                error: `Payment method must be one of: ${PAYMENT_METHODS.join(', ')}`
+            });
+        }
+        
+        if (paymentMethod === 'wallet' && !req.userId) {
+            return res.status(401).json({
+                success: false,
+                error: 'Please log in to pay with your wallet balance'
+            });
+        }
+        
         // Validate all items have productId
         for (const item of items) {
             if (!item.productId) {
@@ -43,6 +177,12 @@ router.post('/', orderRateLimit, optionalAuth, async (req, res) => {
                     error: 'All items must have a productId'
                 });
             }
+            if (!Number.isInteger(item.quantity) || item.quantity < 1) {
+                return res.status(400).json({
+                    success: false,
+                    error: 'Item quantity must be a positive whole number'
+                });
+            }
         }
         
         // ✅ GENERATE ORDER NUMBER
@@ -52,6 +192,7 @@ router.post('/', orderRateLimit, optionalAuth, async (req, res) => {
         // Calculate totals
         let subtotal = 0;
         const enrichedItems = [];
+        const parcelLines = [];
         
         for (const item of items) {
             const product = await Product.findById(item.productId);
@@ -63,29 +204,51 @@ router.post('/', orderRateLimit, optionalAuth, async (req, res) => {
                 });
             }
             
-            const availableStock = typeof product.stock === 'number' ? product.stock : (product.inventory?.quantity || 0);
-            if (availableStock < item.quantity) {
+            const productName = product.name || product.title || 'Unnamed product';
+            
+            // Products with active variants must be ordered as a specific variant
+            let variant;
+            if (item.variantId || item.sku || item.variant) {
+                variant = findVariant(product, item);
+                if (!variant) {
+                    return res.status(400).json({
+                        success: false,
+                        error: `Selected option is not available for ${productName}`
+                    });
+                }
+                if (!isActiveVariant(variant)) {
+                    return res.status(400).json({
+                        success: false,
+                        error: `${productName} (${getVariantLabel(variant)}) is no longer available`
+                    });
+                }
+            } else if (hasActiveVariants(product)) {
                 return res.status(400).json({
                     success: false,
-                    error: `Insufficient stock for ${product.name || product.title}`
+                    error: `Please select an option for ${productName}`
                 });
             }
             
-            const itemTotal = product.price * item.quantity;
+            const unitPrice = variant && typeof variant.price === 'number' ? variant.price : product.price;
+            const itemTotal = unitPrice * item.quantity;
             subtotal += itemTotal;
+            parcelLines.push({ product, quantity: item.quantity });
             
             enrichedItems.push({
                 product: product._id,
-                name: product.name || product.title || 'Unnamed product',
-                price: product.price,
+                name: productName,
+                price: unitPrice,
                 quantity: item.quantity,
-                variant: item.variant || undefined,
-                image: product.images?.[0]?.url || undefined
+                variant: variant ? getVariantLabel(variant) : undefined,
+                variantId: variant ? variant._id : undefined,
+                sku: variant ? variant.sku : product.sku,
+                image: variant?.image || product.images?.[0]?.url || undefined
             });
             console.log('🔧 Enriched item:', {
                 product: product._id,
-                name: product.name || product.title,
-                price: product.price,
+                name: productName,
+                variant: variant ? getVariantLabel(variant) : undefined,
+                price: unitPrice,
                 quantity: item.quantity
             });
         }
@@ -94,11 +257,61 @@ router.post('/', orderRateLimit, optionalAuth, async (req, res) => {
         console.log('🔧 Enriched items array:', JSON.stringify(enrichedItems, null, 2));
         
         // Calculate shipping and delivery estimate
-        const shippingCost = calculateShipping(shippingAddress.region, enrichedItems.length);
-        const estimatedDelivery = estimateDelivery(shippingAddress.region);
-        const totalAmount = subtotal + shippingCost;
+        const shippingQuote = await quoteShipping({
+            address: shippingAddress,
+            lines: parcelLines,
+            subtotal,
+            paymentMethod,
+            courier
+        });
+        const { shippingCost, codSurcharge } = shippingQuote;
+        const deliveryWindow = await estimateDeliveryWindow({
+            address: shippingAddress,
+            courier: shippingQuote.courier || courier
+        });
+        const estimatedDelivery = deliveryWindow.latest;
+
+        // Re-validate the coupon server-side so the charged total matches what the customer saw
+        let discount = 0;
+        let appliedCouponCode;
+        if (couponCode) {
+            const couponResult = await evaluateCoupon({
+                code: couponCode,
+                subtotal,
+                itemCount: enrichedItems.reduce((sum, item) => sum + item.quantity, 0),
+                shippingCost,
+                userId: req.userId,
+                phone: customer.phone
+            });
+
+            if (!couponResult.success) {
+                return res.status(400).json({
+                    success: false,
+                    error: couponResult.error
+                });
+            }
+
+            discount = couponResult.discount;
+            appliedCouponCode = couponResult.coupon.code;
+        }
+
+        const totalAmount = Math.max(0, subtotal + shippingCost + codSurcharge - discount);
         
-        console.log('💰 Order totals:', { subtotal, shippingCost, totalAmount, estimatedDelivery });
+        // Large or risky COD orders pay part of the total online before dispatch
+        const advance = paymentMethod === 'cod'
+            ? await computeCodAdvance({ address: shippingAddress, shippingCost, codSurcharge, totalAmount })
+            : { required: false, amount: 0 };
+        if (advance.required && !isOnlineMethod(advanceMethod)) {
+            return res.status(400).json({
+                success: false,
+                error: `An advance of ৳${advance.amount} must be paid online for this cash on delivery order`,
+                advanceRequired: {
+                    amount: advance.amount,
+                    reason: advance.reason,
+                    methods: PAYMENT_METHODS.filter(isOnlineMethod)
+                }
+            });
+        }
         
         // ✅ CREATE ORDER WITH ORDER NUMBER
         const order = new Order({
@@ -110,8 +323,28 @@ router.post('/', orderRateLimit, optionalAuth, async (req, res) => {
             paymentMethod,
             subtotal,
             shippingCost,
+            codSurcharge,
+            shippingQuote: {
+                zone: shippingQuote.zone ? shippingQuote.zone.id : undefined,
+                courier: shippingQuote.courier || undefined,
+                chargeableWeight: shippingQuote.weight.chargeableWeight
+            },
+            discount,
+            couponCode: appliedCouponCode,
             totalAmount,
+            advancePayment: advance.required ? {
+                required: true,
+                amount: advance.amount,
+                method: advanceMethod,
+                reason: advance.reason
+            } : undefined,
+            amountPaid: 0,
+            balanceDue: totalAmount,
             estimatedDelivery,
+            estimatedDeliveryRange: {
+                earliest: deliveryWindow.earliest,
+                latest: deliveryWindow.latest
+            },
             paymentStatus: 'pending',
             orderStatus: 'pending',
             timeline: [{
@@ -122,87 +355,121 @@ router.post('/', orderRateLimit, optionalAuth, async (req, res) => {
             }]
         });
         
-        console.log('💾 Saving order:', order);
-        
-        await order.save();
-        
-        console.log('✅ Order saved successfully!');
-
-        // Send order confirmation notifications.
-        if (customer.phone) {
-            await sendOrderConfirmationSMS(customer.phone, orderNumber);
-        }
-        if (customer.email) {
-            await sendOrderConfirmationEmail(customer.email, orderNumber, {
-                totalAmount,
-                shippingCost,
-                estimatedDelivery
+        // Reserve stock atomically; every later failure must undo it via rollback()
+        const reservation = await reserveStock(enrichedItems);
+        if (!reservation.success) {
+            return res.status(400).json({
+                success: false,
+                error: reservation.error
             });
         }
-
-        // Update product stock
-        for (const item of items) {
-            await Product.findByIdAndUpdate(
-                item.productId,
-                { 
-                    $inc: { 
-                        stock: -item.quantity,
-                        'inventory.quantity': -item.quantity,
-                        salesCount: item.quantity
-                    }
+        
+        let couponRedeemed = false;
+        let orderSaved = false;
+        let walletDebit = null;
+        const rollback = async () => {
+            await releaseStock(reservation.reserved);
+            if (couponRedeemed) await releaseCoupon(appliedCouponCode, { userId: req.userId, phone: customer.phone });
+            if (walletDebit) {
+                await refundToWallet(req.userId, walletDebit.amount, { order, reason: `Order ${orderNumber} could not be placed` });
+            }
+            if (orderSaved) await Order.deleteOne({ _id: order._id });
+        };
+        
+        try {
+            if (appliedCouponCode) {
+                couponRedeemed = await redeemCoupon(appliedCouponCode, { userId: req.userId, phone: customer.phone });
+                if (!couponRedeemed) {
+                    await rollback();
+                    return res.status(400).json({
+                        success: false,
+                        error: 'This coupon has reached its usage limit'
+                    });
                 }
-            );
+            }
+            
+            await order.save();
+            orderSaved = true;
+        } catch (saveError) {
+            await rollback();
+            throw saveError;
         }
         
-        console.log('✅ Stock updated');
+        console.log('✅ Order saved successfully!');
         
-        // If payment method is bKash, create a payment link and return it
-        if (paymentMethod === 'bkash') {
+        // Wallet orders are paid in full from the customer's balance
+        if (paymentMethod === 'wallet' && totalAmount > 0) {
             try {
-                const callbackUrl = `${process.env.API_BASE_URL || 'http://localhost:5000'}/api/bkash/callback`;
-                const payment = await bkash.createPayment({ amount: totalAmount, orderId: order._id, orderNumber, callbackUrl });
-
-                // Save payment metadata on the order for later verification
-                order.paymentDetails = order.paymentDetails || {};
-                order.paymentDetails.bkash = {
-                    paymentId: payment.paymentId || null,
-                    raw: payment.raw || null,
-                    createdAt: new Date()
-                };
-                await order.save();
-
-                return res.status(201).json({
-                    success: true,
-                    message: 'Order created. Redirect to payment.',
-                    orderNumber: orderNumber,
-                    order: {
-                        _id: order._id,
-                        orderNumber: order.orderNumber,
-                        totalAmount: order.totalAmount,
-                        status: order.orderStatus || order.status
-                    },
-                    paymentUrl: payment.paymentUrl || (payment.raw && payment.raw.bkashURL) || null
+                walletDebit = await debitWallet(req.userId, totalAmount, { order, reason: `Payment for order ${orderNumber}` });
+                applyPayment(order, {
+                    method: 'wallet',
+                    source: 'wallet',
+                    amount: totalAmount,
+                    reference: String(walletDebit._id)
                 });
+                await transitionOrder(order, 'confirmed', { message: 'Paid from wallet balance', source: 'payment', notify: false });
+            } catch (walletErr) {
+                await rollback();
+                if (walletErr.status === 409) {
+                    return res.status(400).json({
+                        success: false,
+                        error: 'Your wallet balance does not cover this order'
+                    });
+                }
+                throw walletErr;
+            }
+        }
+        
+        // Online methods (and COD advances) need a gateway session before the order can be paid
+        let payment = null;
+        const onlineProvider = getOrderProvider(order);
+        if (onlineProvider) {
+            try {
+                payment = await createOnlinePayment(order);
             } catch (payErr) {
-                console.error('bKash payment creation failed:', payErr);
+                console.error(`${onlineProvider.id} payment creation failed:`, payErr);
+                await rollback();
                 return res.status(500).json({
                     success: false,
-                    error: 'Failed to create bKash payment link',
+                    error: `Failed to create ${onlineProvider.id} payment`,
                     details: payErr.message
                 });
             }
         }
 
+        if (cart) {
+            cart.status = 'converted';
+            cart.order = order._id;
+            await cart.save();
+        }
+
+        // Send order confirmation notifications.
+        if (customer.phone) {
+            await sendOrderConfirmationSMS(customer.phone, orderNumber);
+        }
+        if (customer.email) {
+            await sendOrderConfirmationEmail(customer.email, orderNumber, {
+                totalAmount,
+                shippingCost,
+                estimatedDelivery
+            });
+        }
+
         res.status(201).json({
             success: true,
-            message: 'Order created successfully',
+            message: payment && payment.paymentUrl ? 'Order created. Redirect to payment.' : 'Order created successfully',
             orderNumber: orderNumber,
             order: {
                 _id: order._id,
                 orderNumber: order.orderNumber,
                 totalAmount: order.totalAmount,
-                status: order.orderStatus || order.status
-            }
+                balanceDue: order.balanceDue,
+                advancePayment: order.advancePayment && order.advancePayment.required ? order.advancePayment : undefined,
+                status: order.orderStatus || order.status,
+                estimatedDeliveryRange: order.estimatedDeliveryRange
+            },
+            ...(payment && payment.paymentUrl && { paymentUrl: payment.paymentUrl }),
+            ...(payment && payment.instructions && { paymentInstructions: payment.instructions })
         });
         
     } catch (error) {
@@ -247,10 +514,30 @@ router.get('/my-orders', authenticate, async (req, res) => {
 });
 
 // ========== TRACK ORDER (PUBLIC) ==========
+const TRACKING_FIELDS = 'orderNumber orderStatus timeline estimatedDelivery estimatedDeliveryRange deliveredAt customer.name shippingAddress.region courier logistics';
+
+// One status for the whole order (see getFulfilmentStatus); the courier's own
+// trail is in the timeline as `source: 'courier'` entries.
+const buildTracking = (order) => ({
+    orderId: order._id,
+    orderNumber: order.orderNumber,
+    status: order.orderStatus,
+    fulfilment: getFulfilmentStatus(order),
+    timeline: order.timeline,
+    estimatedDelivery: order.estimatedDelivery,
+    estimatedDeliveryRange: order.estimatedDeliveryRange,
+    customerName: order.customer.name,
+    region: order.shippingAddress.region,
+    courier: {
+        name: order.courier?.name || order.logistics?.courierName,
+        trackingNumber: order.courier?.trackingNumber || order.logistics?.trackingId
+    }
+});
+
 router.get('/track/:orderNumber', async (req, res) => {
     try {
         const order = await Order.findOne({ orderNumber: req.params.orderNumber })
-            .select('orderNumber orderStatus status timeline estimatedDelivery customer.name shippingAddress.region courier logistics');
+            .select(TRACKING_FIELDS);
         
         if (!order) {
             return res.status(404).json({
@@ -261,16 +548,7 @@ router.get('/track/:orderNumber', async (req, res) => {
         
         res.json({
             success: true,
-            tracking: {
-                orderNumber: order.orderNumber,
-                status: order.orderStatus || order.status,
-                timeline: order.timeline,
-                logistics: order.logistics,
-                estimatedDelivery: order.estimatedDelivery,
-                customerName: order.customer.name,
-                region: order.shippingAddress.region,
-                courier: order.courier
-            }
+            tracking: buildTracking(order)
         });
         
     } catch (error) {
@@ -286,9 +564,10 @@ router.get('/track/:orderNumber', async (req, res) => {
 router.get('/:id/track', async (req, res) => {
     try {
         const orderId = req.params.id;
-        const order = await Order.findOne({
-            $or: [{ _id: orderId }, { orderNumber: orderId }]
-        }).select('orderNumber orderStatus status timeline estimatedDelivery customer.name shippingAddress.region courier logistics');
+        const order = await Order.findOne(mongoose.Types.ObjectId.isValid(orderId)
+            ? { $or: [{ _id: orderId }, { orderNumber: orderId }] }
+            : { orderNumber: orderId }
+        ).select(TRACKING_FIELDS);
 
         if (!order) {
             return res.status(404).json({
@@ -299,17 +578,7 @@ router.get('/:id/track', async (req, res) => {
 
         res.json({
             success: true,
-            tracking: {
-                orderId: order._id,
-                orderNumber: order.orderNumber,
-                status: order.orderStatus || order.status,
-                timeline: order.timeline,
-                logistics: order.logistics,
-                estimatedDelivery: order.estimatedDelivery,
-                courier: order.courier,
-                customerName: order.customer.name,
-                region: order.shippingAddress.region
-            }
+            tracking: buildTracking(order)
         });
     } catch (error) {
         console.error('Track order by id error:', error);
@@ -320,14 +589,71 @@ router.get('/:id/track', async (req, res) => {
     }
 });
 
+// ========== LIVE TRACKING (SSE) ==========
+// Both streams push `timeline` and `logistics` events as the order is saved
+// on this server; the order stream starts with a `tracking` snapshot.
+const forwardOrderEvents = (send) => (event) => {
+    const { order } = event;
+    const base = { orderNumber: order.orderNumber, status: order.orderStatus, fulfilment: getFulfilmentStatus(order) };
+
+    if (event.timeline.length) {
+        send('timeline', { ...base, entries: event.timeline });
+    }
+    if (event.logisticsChanged) {
+        send('logistics', {
+            ...base,
+            logistics: {
+                currentStatus: order.logistics.currentStatus,
+                courierName: order.logistics.courierName,
+                trackingId: order.logistics.trackingId
+            }
+        });
+    }
+};
+
+router.get('/track/:orderNumber/events', async (req, res) => {
+    try {
+        const order = await Order.findOne({ orderNumber: req.params.orderNumber })
+            .select(TRACKING_FIELDS);
+
+        if (!order) {
+            return res.status(404).json({
+                success: false,
+                error: 'Order not found'
+            });
+        }
+
+        // A client gone during the lookup never fires 'close' again
+        if (req.destroyed || res.destroyed) return;
+
+        let unsubscribe;
+        const send = openEventStream(req, res, () => unsubscribe());
+        send('tracking', buildTracking(order));
+        unsubscribe = subscribeToOrder(order.orderNumber, forwardOrderEvents(send));
+    } catch (error) {
+        console.error('Order event stream error:', error);
+        if (!res.headersSent) {
+            res.status(500).json({
+                success: false,
+                error: 'Failed to open tracking stream'
+            });
+        }
+    }
+});
+
+// Every order of the logged-in customer
+router.get('/my-orders/events', tokenFromQuery, authenticate, (req, res) => {
+    let unsubscribe;
+    const send = openEventStream(req, res, () => unsubscribe());
+    unsubscribe = subscribeToUser(req.userId, forwardOrderEvents(send));
+});
+
 // ========== UPDATE ORDER STATUS (ADMIN) ==========
 router.patch('/:orderNumber/status', authenticate, adminOnly, async (req, res) => {
     try {
-        const { status, message, courierName, trackingNumber } = req.body;
-        
-        const validStatuses = ['pending', 'confirmed', 'processing', 'shipped', 'delivered', 'cancelled', 'returned'];
+        const { status, message, reason, courierName, trackingNumber } = req.body;
         
-        if (!validStatuses.includes(status)) {
+        if (!ORDER_STATUSES.includes(status)) {
             return res.status(400).json({
                 success: false,
                 error: 'Invalid status'
@@ -343,16 +669,13 @@ router.patch('/:orderNumber/status', authenticate, adminOnly, async (req, res) =
             });
         }
         
-        // Update status
-        order.orderStatus = status;
-        
-        // Add to timeline
-        order.timeline.push({
-            status,
-            message: message || `Order ${status}`,
-            timestamp: new Date(),
-            updatedBy: req.userId
-        });
+        if (!canTransition(order.orderStatus, status)) {
+            return res.status(409).json({
+                success: false,
+                error: `Cannot change order status from '${order.orderStatus}' to '${status}'`,
+                allowed: getAllowedTransitions(order.orderStatus)
+            });
+        }
         
         // Update courier info if provided
         if (courierName || trackingNumber) {
@@ -363,15 +686,13 @@ router.patch('/:orderNumber/status', authenticate, adminOnly, async (req, res) =
             };
         }
         
-        // Set delivered date
-        if (status === 'delivered') {
-            order.deliveredAt = new Date();
-        }
-        
-        await order.save();
-        
-        // Send SMS notification
-        await sendDeliveryUpdateSMS(order.customer.phone, order.orderNumber, status);
+        // Persists the status and timeline entry, then runs restock/notification hooks
+        await transitionOrder(order, status, {
+            message,
+            reason,
+            source: 'admin',
+            updatedBy: req.userId
+        });
         
         res.json({
             success: true,
@@ -381,17 +702,18 @@ router.patch('/:orderNumber/status', authenticate, adminOnly, async (req, res) =
         
     } catch (error) {
         console.error('Update order status error:', error);
-        res.status(500).json({
+        res.status(error.status || 500).json({
             success: false,
-            error: 'Failed to update order status'
+            error: error.status ? error.message : 'Failed to update order status'
         });
     }
 });
 
 // ========== VERIFY PAYMENT (ADMIN) ==========
+// Checks the transaction before accepting it; see recordManualPayment
 router.patch('/:orderNumber/verify-payment', authenticate, adminOnly, async (req, res) => {
     try {
-        const { transactionId, senderNumber, amount } = req.body;
+        const { transactionId, senderNumber, amount, skipGatewayCheck } = req.body;
         
         const order = await Order.findOne({ orderNumber: req.params.orderNumber });
         
@@ -402,17 +724,13 @@ router.patch('/:orderNumber/verify-payment', authenticate, adminOnly, async (req
             });
         }
         
-        order.paymentDetails = {
+        await recordManualPayment(order, {
             transactionId,
             senderNumber,
             amount,
             verifiedBy: req.userId,
-            verifiedAt: new Date()
-        };
-        
-        order.paymentStatus = 'paid';
-        
-        await order.save();
+            skipGatewayCheck: skipGatewayCheck === true
+        });
         
         res.json({
             success: true,
@@ -422,15 +740,108 @@ router.patch('/:orderNumber/verify-payment', authenticate, adminOnly, async (req
         
     } catch (error) {
         console.error('Verify payment error:', error);
-        res.status(500).json({
+        res.status(error.status || 500).json({
             success: false,
-            error: 'Failed to verify payment'
+            error: error.status ? error.message : 'Failed to verify payment'
+        });
+    }
+});
+
+// ========== REFUND ORDER (ADMIN) ==========
+// Refund to the original payment method or as wallet credit; omit amount to
+// refund everything not refunded yet. Cash refunded by hand needs `reference`.
+router.post('/:orderNumber/refund', authenticate, adminOnly, async (req, res) => {
+    try {
+        const { amount, destination, reason, reference } = req.body;
+        
+        const order = await Order.findOne({ orderNumber: req.params.orderNumber });
+        
+        if (!order) {
+            return res.status(404).json({
+                success: false,
+                error: 'Order not found'
+            });
+        }
+        
+        const refund = await refundOrderPayment(order, {
+            amount,
+            destination,
+            reason,
+            reference,
+            updatedBy: req.userId
+        });
+        
+        res.json({
+            success: true,
+            message: refund.fullyRefunded ? 'Order fully refunded' : 'Partial refund completed',
+            refund,
+            paymentStatus: order.paymentStatus,
+            amountRefunded: order.amountRefunded
+        });
+        
+    } catch (error) {
+        console.error('Refund order error:', error);
+        res.status(error.status || 500).json({
+            success: false,
+            error: error.status ? error.message : 'Failed to refund order'
+        });
+    }
+});
+
+// ========== SUBMIT PAYMENT PROOF (CUSTOMER) ==========
+// For send-money payments: trxID, senderNumber, amount and an optional
+// screenshot (multipart field `image`). Guests confirm the order phone.
+router.post('/:orderNumber/payment-proof', optionalAuth, uploadSingle, handleUploadError, async (req, res) => {
+    try {
+        const { trxID, senderNumber, amount, phone } = req.body;
+        
+        const order = await Order.findOne({ orderNumber: req.params.orderNumber });
+        
+        if (!order) {
+            return res.status(404).json({
+                success: false,
+                error: 'Order not found'
+            });
+        }
+        
+        const isOwner = order.user && req.userId && order.user.toString() === req.userId.toString();
+        const phoneMatches = phone && sanitizePhone(String(phone)) === sanitizePhone(order.customer.phone);
+        
+        if (!isOwner && !phoneMatches) {
+            return res.status(403).json({
+                success: false,
+                error: 'Enter the phone number used for this order'
+            });
+        }
+        
+        const proof = await submitPaymentProof(order, {
+            trxID,
+            senderNumber,
+            amount,
+            screenshot: req.file ? getImageUrl(req.file.filename) : undefined,
+            submittedBy: req.userId
+        });
+        
+        res.status(201).json({
+            success: true,
+            message: 'Payment details received. We will confirm your order once they are verified.',
+            proof
+        });
+        
+    } catch (error) {
+        console.error('Submit payment proof error:', error);
+        res.status(error.status || 500).json({
+            success: false,
+            error: error.status ? error.message : 'Failed to submit payment proof'
         });
     }
 });
 
 // ========== REQUEST RETURN (CUSTOMER) ==========
-router.post('/:orderNumber/return', authenticate, async (req, res) => {
+// Accepts multipart form data so customers can attach photos (field `images`);
+// `items` is then a JSON string of [{ orderItemId, quantity, reasonCode, note }].
+// `unboxingVideo` optionally names the order's uploaded unboxing video as evidence.
+router.post('/:orderNumber/return', authenticate, uploadMultiple, handleUploadError, async (req, res) => {
     try {
         const { reason } = req.body;
         
@@ -453,25 +864,231 @@ router.post('/:orderNumber/return', authenticate, async (req, res) => {
             });
         }
         
+        let requestedItems = req.body.items;
+        if (typeof requestedItems === 'string') {
+            try {
+                requestedItems = JSON.parse(requestedItems);
+            } catch (parseError) {
+                return res.status(400).json({
+                    success: false,
+                    error: 'Items must be valid JSON'
+                });
+            }
+        }
+        
+        // Without an explicit item list the whole order is returned
+        if (!Array.isArray(requestedItems) || requestedItems.length === 0) {
+            requestedItems = order.items.map(item => ({ orderItemId: item._id, quantity: item.quantity }));
+        }
+        
+        const returnable = await getReturnableQuantities(order);
+        const returnItems = [];
+        
+        for (const requested of requestedItems) {
+            const orderItem = order.items.id(requested.orderItemId);
+            const quantity = Number(requested.quantity);
+            
+            if (!orderItem) {
+                return res.status(400).json({
+                    success: false,
+                    error: `Item ${requested.orderItemId} is not part of this order`
+                });
+            }
+            
+            if (!Number.isInteger(quantity) || quantity < 1 || quantity > returnable.get(String(orderItem._id))) {
+                return res.status(400).json({
+                    success: false,
+                    error: `Invalid return quantity for ${orderItem.name}`
+                });
+            }
+            
+            const reasonCode = requested.reasonCode || 'other';
+            if (!RETURN_REASON_CODES.includes(reasonCode)) {
+                return res.status(400).json({
+                    success: false,
+                    error: `Invalid reason code. Use one of: ${RETURN_REASON_CODES.join(', ')}`
+                });
+            }
+            
+            returnItems.push({
+                orderItem: orderItem._id,
+                product: orderItem.product,
+                variantId: orderItem.variantId,
+                name: orderItem.name,
+                price: orderItem.price,
+                quantity,
+                reasonCode,
+                note: requested.note
+            });
+        }
+        
+        const video = req.body.unboxingVideo
+            ? await findEvidenceVideo(order, req.body.unboxingVideo)
+            : null;
+        
+        const rma = new Return({
+            returnNumber: generateReturnNumber(),
+            order: order._id,
+            orderNumber: order.orderNumber,
+            user: req.userId,
+            items: returnItems,
+            reason,
+            photos: (req.files || []).map(file => getImageUrl(file.filename)),
+            unboxingVideo: video ? video._id : undefined
+        });
+        
         order.returnRequest = {
             requested: true,
+            returnNumber: rma.returnNumber,
             reason,
             status: 'pending',
             requestedAt: new Date()
         };
         
+        recordReturnStep(order, rma, 'requested', { updatedBy: req.userId });
+        
+        await rma.save();
         await order.save();
         
-        res.json({
+        res.status(201).json({
             success: true,
-            message: 'Return request submitted successfully'
+            message: 'Return request submitted successfully',
+            returnRequest: rma
         });
         
     } catch (error) {
         console.error('Request return error:', error);
+        res.status(error.status || 500).json({
+            success: false,
+            error: error.status ? error.message : 'Failed to submit return request'
+        });
+    }
+});
+
+// ========== REQUEST CANCELLATION OTP (GUEST) ==========
+router.post('/:orderNumber/cancel/otp', otpRateLimit, async (req, res) => {
+    try {
+        const order = await Order.findOne({ orderNumber: req.params.orderNumber });
+        
+        if (!order) {
+            return res.status(404).json({
+                success: false,
+                error: 'Order not found'
+            });
+        }
+        
+        const blocker = await getCancellationBlocker(order);
+        if (blocker) {
+            return res.status(400).json({
+                success: false,
+                error: blocker
+            });
+        }
+        
+        const phone = sanitizePhone(order.customer.phone);
+        const otp = await saveOTP(phone, 'order_cancel');
+        await sendOTPSMS(phone, otp);
+        
+        res.json({
+            success: true,
+            message: 'OTP sent to the phone number on this order',
+            // In development, return OTP (remove in production!)
+            ...(process.env.NODE_ENV === 'development' && { otp })
+        });
+        
+    } catch (error) {
+        console.error('Cancel OTP error:', error);
         res.status(500).json({
             success: false,
-            error: 'Failed to submit return request'
+            error: 'Failed to send OTP'
+        });
+    }
+});
+
+// ========== CANCEL ORDER (CUSTOMER) ==========
+// Guests prove the order phone by OTP, so only they count against the OTP limit
+const guestOtpRateLimit = (req, res, next) => (req.userId ? next() : otpRateLimit(req, res, next));
+
+router.post('/:orderNumber/cancel', optionalAuth, guestOtpRateLimit, async (req, res) => {
+    try {
+        const { reason, otp } = req.body;
+        
+        const order = await Order.findOne({ orderNumber: req.params.orderNumber });
+        
+        if (!order) {
+            return res.status(404).json({
+                success: false,
+                error: 'Order not found'
+            });
+        }
+        
+        // Account holders cancel their own orders; everyone else proves the order phone by OTP
+        const isOwner = order.user && req.userId && order.user.toString() === req.userId.toString();
+        
+        const blocker = await getCancellationBlocker(order);
+        if (blocker) {
+            return res.status(400).json({
+                success: false,
+                error: blocker
+            });
+        }
+        
+        if (!isOwner) {
+            if (!otp) {
+                return res.status(401).json({
+                    success: false,
+                    error: 'Please verify the OTP sent to your phone to cancel this order',
+                    otpRequired: true
+                });
+            }
+            
+            const otpResult = await verifyOTP(sanitizePhone(order.customer.phone), otp, 'order_cancel');
+            if (!otpResult.success) {
+                return res.status(400).json(otpResult);
+            }
+        }
+        
+        await transitionOrder(order, 'cancelled', {
+            message: 'Cancelled by customer',
+            reason,
+            source: 'customer',
+            updatedBy: req.userId
+        });
+        
+        // Only once the cancellation has gone through, so no refund goes out for an order that stays open
+        try {
+            await withRefundLock(order, async () => {
+                const paymentNote = await reverseOrderPayment(order, reason);
+                if (!paymentNote) return;
+                order.timeline.push({
+                    status: 'payment_reversed',
+                    message: paymentNote,
+                    reason,
+                    source: 'customer',
+                    timestamp: new Date(),
+                    updatedBy: req.userId
+                });
+                await order.save();
+            });
+        } catch (error) {
+            console.error(`Order ${order.orderNumber} cancelled but its payment was not reversed:`, error);
+        }
+        
+        res.json({
+            success: true,
+            message: 'Order cancelled successfully',
+            order: {
+                orderNumber: order.orderNumber,
+                orderStatus: order.orderStatus,
+                paymentStatus: order.paymentStatus
+            }
+        });
+        
+    } catch (error) {
+        console.error('Cancel order error:', error);
+        res.status(error.status || 500).json({
+            success: false,
+            error: error.status ? error.message : 'Failed to cancel order'
         });
     }
 });
@@ -0,0 +1,240 @@
+const express = require('express');
+const router = express.Router();
+const mongoose = require('mongoose');
+const { Order, PaymentAttempt } = require('../models');
+const { authenticate, optionalAuth, adminOnly } = require('../middleware/auth');
+const { idempotent } = require('../middleware/idempotency');
+const { createOnlinePayment } = require('../services/orderPayments');
+const { getPaymentProvider, getOrderProvider, listPaymentMethods } = require('../services/payments');
+const { processPaymentCallback } = require('../services/payments/callback');
+const { approvePaymentProof, rejectPaymentProof, listPaymentProofs } = require('../services/paymentProofs');
+const mockGateway = require('../services/payments/mockGateway');
+const { sanitizePhone } = require('../utils/helpers');
+
+// Resolve :provider to its adapter or answer 404
+const loadProvider = (req, res, next) => {
+    const provider = getPaymentProvider(req.params.provider);
+    if (!provider) {
+        return res.status(404).json({ success: false, error: 'Unknown payment provider' });
+    }
+    req.paymentProvider = provider;
+    next();
+};
+
+// The order's own customer: the account that placed it, an admin, or a
+// guest who gives the phone number on the order
+const isOrderCustomer = (order, req) => {
+    if (req.user && req.user.role === 'admin') return true;
+    if (order.user && req.userId && order.user.toString() === req.userId.toString()) return true;
+    const { phone } = req.body;
+    return !!phone && sanitizePhone(String(phone)) === sanitizePhone(order.customer.phone);
+};
+
+// ========== PAYMENT METHODS (PUBLIC) ==========
+router.get('/methods', (req, res) => {
+    res.json({ success: true, methods: listPaymentMethods() });
+});
+
+// ========== START PAYMENT ==========
+// Create (or re-create) a gateway session for an unpaid online order.
+// Guests confirm the order phone (`phone`).
+router.post('/create', optionalAuth, idempotent('payment-create'), async (req, res) => {
+    try {
+        const { orderNumber } = req.body;
+
+        if (!orderNumber) {
+            return res.status(400).json({ success: false, error: 'Order number is required' });
+        }
+
+        const order = await Order.findOne({ orderNumber });
+
+        if (!order) {
+            return res.status(404).json({ success: false, error: 'Order not found' });
+        }
+
+        if (!isOrderCustomer(order, req)) {
+            return res.status(403).json({ success: false, error: 'Enter the phone number used for this order' });
+        }
+
+        if (!getOrderProvider(order)) {
+            return res.status(400).json({ success: false, error: 'This order is not paid online' });
+        }
+
+        // Failed = the previous payment expired; the customer may try again
+        const payable = ['pending', 'failed'].includes(order.paymentStatus);
+        if (!payable || order.orderStatus === 'cancelled') {
+            return res.status(400).json({ success: false, error: `Payment cannot be started for an order that is ${payable ? order.orderStatus : order.paymentStatus}` });
+        }
+
+        const payment = await createOnlinePayment(order);
+
+        res.status(201).json({
+            success: true,
+            orderNumber: order.orderNumber,
+            amount: payment.amount,
+            paymentUrl: payment.paymentUrl,
+            ...(payment.instructions && { paymentInstructions: payment.instructions })
+        });
+    } catch (error) {
+        console.error('Create payment error:', error);
+        res.status(error.status || 500).json({ success: false, error: 'Failed to create payment', details: error.message });
+    }
+});
+
+// ========== GATEWAY CALLBACK ==========
+// Gateways redirect the customer's browser here (GET) or post the result
+// (POST, including IPNs). Browser callbacks are redirected to the storefront
+// when FRONTEND_URL is set.
+const handleCallback = async (req, res) => {
+    const provider = req.paymentProvider || getPaymentProvider(req.params.provider);
+    const params = { ...req.query, ...(req.method === 'POST' ? req.body : {}) };
+
+    try {
+        const result = await processPaymentCallback(provider, {
+            params,
+            request: { method: req.method, query: req.query, body: req.body, ip: req.ip }
+        });
+
+        if (result.outcome === 'rejected') {
+            console.warn(`${provider.label} callback rejected (${result.attempt.rejectionReason}) for payment ${result.attempt.paymentId}`);
+        }
+
+        if (req.method === 'GET' && process.env.FRONTEND_URL) {
+            const query = new URLSearchParams({ payment: result.outcome });
+            if (result.order) query.append('order', result.order.orderNumber);
+            return res.redirect(`${process.env.FRONTEND_URL}/?${query.toString()}`);
+        }
+
+        res.status(result.httpStatus).json({
+            success: ['paid', 'already_paid'].includes(result.outcome),
+            outcome: result.outcome,
+            message: result.message,
+            orderNumber: result.order ? result.order.orderNumber : undefined
+        });
+    } catch (error) {
+        console.error(`${provider.label} callback handler error:`, error);
+        res.status(500).json({ success: false, error: 'Internal server error' });
+    }
+};
+
+router.get('/:provider/callback', loadProvider, handleCallback);
+router.post('/:provider/callback', loadProvider, handleCallback);
+
+// ========== MOCK CHECKOUT PAGE ==========
+// Stands in for the hosted payment page in mock mode; ?status=cancel or
+// ?status=failure simulate the customer backing out or the payment failing.
+router.get('/:provider/mock-checkout/:paymentId', loadProvider, (req, res) => {
+    if (!req.paymentProvider.isMock()) {
+        return res.status(404).json({ success: false, error: 'Mock checkout is disabled' });
+    }
+
+    const redirectUrl = mockGateway.decideSession(req.paymentProvider.id, req.params.paymentId, req.query.status || 'success');
+    if (!redirectUrl) {
+        return res.status(404).json({ success: false, error: 'Payment not found' });
+    }
+    res.redirect(redirectUrl);
+});
+
+// ========== ADMIN: CALLBACK ATTEMPTS ==========
+router.get('/admin/attempts', authenticate, adminOnly, async (req, res) => {
+    try {
+        const { provider, orderNumber, paymentId, status, limit = 50 } = req.query;
+
+        const query = {};
+        if (provider) query.provider = provider;
+        if (orderNumber) query.orderNumber = orderNumber;
+        if (paymentId) query.paymentId = paymentId;
+        if (status) query.status = status;
+
+        const attempts = await PaymentAttempt.find(query)
+            .sort({ createdAt: -1 })
+            .limit(Math.min(parseInt(limit) || 50, 200));
+
+        res.json({ success: true, attempts });
+    } catch (error) {
+        console.error('Payment attempts error:', error);
+        res.status(500).json({ success: false, error: 'Failed to fetch payment attempts' });
+    }
+});
+
+// ========== ADMIN: PAYMENT PROOF QUEUE ==========
+// Send-money proofs submitted by customers, oldest first
+router.get('/admin/proofs', authenticate, adminOnly, async (req, res) => {
+    try {
+        const { status = 'pending', method } = req.query;
+        const page = Math.max(parseInt(req.query.page) || 1, 1);
+        const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+
+        const { proofs, total } = await listPaymentProofs({ status, method, page, limit });
+
+        res.json({
+            success: true,
+            proofs,
+            totalPages: Math.ceil(total / limit),
+            currentPage: page,
+            total
+        });
+    } catch (error) {
+        console.error('Payment proofs error:', error);
+        res.status(500).json({ success: false, error: 'Failed to fetch payment proofs' });
+    }
+});
+
+// Load the order holding :proofId or answer 404
+const loadProofOrder = async (req, res, next) => {
+    try {
+        const order = mongoose.Types.ObjectId.isValid(req.params.proofId)
+            && await Order.findOne({ 'paymentProofs._id': req.params.proofId });
+        if (!order) {
+            return res.status(404).json({ success: false, error: 'Payment proof not found' });
+        }
+        req.order = order;
+        next();
+    } catch (error) {
+        next(error);
+    }
+};
+
+// skipGatewayCheck: true when the money went to a personal wallet the merchant API cannot see
+router.post('/admin/proofs/:proofId/approve', authenticate, adminOnly, loadProofOrder, async (req, res) => {
+    try {
+        const proof = await approvePaymentProof(req.order, req.params.proofId, {
+            reviewedBy: req.userId,
+            skipGatewayCheck: req.body.skipGatewayCheck === true
+        });
+
+        res.json({ success: true, message: 'Payment proof approved', proof, order: req.order });
+    } catch (error) {
+        console.error('Approve payment proof error:', error);
+        res.status(error.status || 500).json({ success: false, error: error.status ? error.message : 'Failed to approve payment proof' });
+    }
+});
+
+router.post('/admin/proofs/:proofId/reject', authenticate, adminOnly, loadProofOrder, async (req, res) => {
+    try {
+        const proof = await rejectPaymentProof(req.order, req.params.proofId, {
+            reviewedBy: req.userId,
+            reason: req.body.reason
+        });
+
+        res.json({ success: true, message: 'Payment proof rejected', proof });
+    } catch (error) {
+        console.error('Reject payment proof error:', error);
+        res.status(error.status || 500).json({ success: false, error: error.status ? error.message : 'Failed to reject payment proof' });
+    }
+});
+
+// ========== ADMIN: QUERY PAYMENT ==========
+router.get('/:provider/admin/payments/:paymentId', authenticate, adminOnly, loadProvider, async (req, res) => {
+    try {
+        const payment = await req.paymentProvider.queryPayment(req.params.paymentId);
+        res.json({ success: true, payment });
+    } catch (error) {
+        console.error('Query payment error:', error);
+        res.status(502).json({ success: false, error: `Failed to query ${req.paymentProvider.label} payment`, details: error.message });
+    }
+});
+
+module.exports = router;
+module.exports.handleCallback = handleCallback;
+module.exports.isOrderCustomer = isOrderCustomer;
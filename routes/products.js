@@ -4,6 +4,7 @@ const router = express.Router();
 const { Product, Review } = require('../models');
 const { authenticate, optionalAuth, adminOnly } = require('../middleware/auth');
 const { getPaginationData, calculateDiscount } = require('../utils/helpers');
+const { estimateDeliveryWindow } = require('../services/deliveryEstimator');
 
 const resolveProductQuery = (identifier) => {
     if (mongoose.Types.ObjectId.isValid(identifier)) {
@@ -51,9 +52,17 @@ router.get('/', optionalAuth, async (req, res) => {
         }
 
         if (inStock === 'true') {
+            // Products with active variants are in stock when any active variant is;
+            // the rest fall back to the parent stock fields.
             query.$or = [
-                { stock: { $gt: 0 } },
-                { 'inventory.quantity': { $gt: 0 } }
+                {
+                    variants: { $not: { $elemMatch: { active: { $ne: false } } } },
+                    $or: [
+                        { stock: { $gt: 0 } },
+                        { 'inventory.quantity': { $gt: 0 } }
+                    ]
+                },
+                { variants: { $elemMatch: { active: { $ne: false }, stock: { $gt: 0 } } } }
             ];
         }
 
@@ -104,9 +113,15 @@ router.get('/', optionalAuth, async (req, res) => {
             return prod;
         });
 
+        // One estimate serves every card: it depends on the address, not the product
+        const deliveryEstimate = await estimateDeliveryWindow({
+            address: { region: req.query.region, city: req.query.city, area: req.query.area }
+        });
+
         res.json({
             success: true,
             products: productsWithDiscount,
+            deliveryEstimate,
             pagination: {
                 totalCount: pagination.totalItems,
                 totalPages: pagination.totalPages,
@@ -348,9 +363,14 @@ router.get('/:identifier', optionalAuth, async (req, res) => {
             productData.discountPercent = calculateDiscount(productData.price, productData.comparePrice);
         }
 
+        const deliveryEstimate = await estimateDeliveryWindow({
+            address: { region: req.query.region, city: req.query.city, area: req.query.area }
+        });
+
         res.json({
             success: true,
             product: productData,
+            deliveryEstimate,
             reviews,
             relatedProducts: related
         });
@@ -0,0 +1,129 @@
+const express = require('express');
+const router = express.Router();
+const { ReconciliationRun } = require('../models');
+const { authenticate, adminOnly } = require('../middleware/auth');
+const { uploadStatement, handleUploadError } = require('../middleware/upload');
+const { runReconciliation, buildReport } = require('../services/reconciliation');
+
+// ========== START RUN (ADMIN) ==========
+// Upload a merchant statement as multipart field `statement` (or send its text
+// as `csv`), or send neither to pull `from`..`to` from the gateway API.
+router.post('/runs', authenticate, adminOnly, uploadStatement, handleUploadError, async (req, res) => {
+    try {
+        const { provider, from, to } = req.body;
+
+        if (!provider) {
+            return res.status(400).json({ success: false, error: 'Provider is required' });
+        }
+
+        const run = await runReconciliation({
+            provider,
+            csv: req.file ? req.file.buffer.toString('utf8') : req.body.csv,
+            fileName: req.file ? req.file.originalname : undefined,
+            from,
+            to,
+            createdBy: req.userId
+        });
+
+        res.status(201).json({ success: true, report: buildReport(run) });
+    } catch (error) {
+        console.error('Reconciliation error:', error);
+        res.status(error.status || 500).json({ success: false, error: error.status ? error.message : 'Failed to reconcile payments' });
+    }
+});
+
+// ========== LIST RUNS (ADMIN) ==========
+router.get('/runs', authenticate, adminOnly, async (req, res) => {
+    try {
+        const { provider, page = 1, limit = 20 } = req.query;
+
+        const query = {};
+        if (provider) query.provider = provider;
+
+        const runs = await ReconciliationRun.find(query)
+            .select('-items')
+            .sort({ createdAt: -1 })
+            .limit(parseInt(limit))
+            .skip((parseInt(page) - 1) * parseInt(limit));
+
+        const count = await ReconciliationRun.countDocuments(query);
+
+        res.json({
+            success: true,
+            runs,
+            totalPages: Math.ceil(count / limit),
+            currentPage: parseInt(page),
+            total: count
+        });
+    } catch (error) {
+        console.error('Get reconciliation runs error:', error);
+        res.status(500).json({ success: false, error: 'Failed to fetch reconciliation runs' });
+    }
+});
+
+// ========== RUN DETAILS (ADMIN) ==========
+router.get('/runs/:id', authenticate, adminOnly, async (req, res) => {
+    try {
+        const run = await ReconciliationRun.findById(req.params.id);
+
+        if (!run) {
+            return res.status(404).json({ success: false, error: 'Reconciliation run not found' });
+        }
+
+        const { type } = req.query;
+        const items = type ? run.items.filter(item => item.type === type) : run.items;
+
+        res.json({ success: true, run: { ...run.toObject(), items } });
+    } catch (error) {
+        console.error('Get reconciliation run error:', error);
+        res.status(500).json({ success: false, error: 'Failed to fetch reconciliation run' });
+    }
+});
+
+// ========== UNMATCHED REPORT (ADMIN) ==========
+router.get('/runs/:id/report', authenticate, adminOnly, async (req, res) => {
+    try {
+        const run = await ReconciliationRun.findById(req.params.id);
+
+        if (!run) {
+            return res.status(404).json({ success: false, error: 'Reconciliation run not found' });
+        }
+
+        res.json({ success: true, report: buildReport(run, { includeResolved: req.query.includeResolved === 'true' }) });
+    } catch (error) {
+        console.error('Reconciliation report error:', error);
+        res.status(500).json({ success: false, error: 'Failed to build reconciliation report' });
+    }
+});
+
+// ========== RESOLVE ITEM (ADMIN) ==========
+// Mark a flagged item as dealt with, e.g. after verifying or refunding the payment
+router.patch('/runs/:id/items/:itemId', authenticate, adminOnly, async (req, res) => {
+    try {
+        const { resolution } = req.body;
+
+        if (!resolution) {
+            return res.status(400).json({ success: false, error: 'Resolution note is required' });
+        }
+
+        const run = await ReconciliationRun.findById(req.params.id);
+        const item = run && run.items.id(req.params.itemId);
+
+        if (!item) {
+            return res.status(404).json({ success: false, error: 'Reconciliation item not found' });
+        }
+
+        item.resolved = true;
+        item.resolution = resolution;
+        item.resolvedBy = req.userId;
+        item.resolvedAt = new Date();
+        await run.save();
+
+        res.json({ success: true, message: 'Item resolved', item });
+    } catch (error) {
+        console.error('Resolve reconciliation item error:', error);
+        res.status(500).json({ success: false, error: 'Failed to resolve item' });
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,261 @@
+const express = require('express');
+const router = express.Router();
+const { Return, Order } = require('../models');
+const { authenticate, adminOnly } = require('../middleware/auth');
+const { getPaginationData } = require('../utils/helpers');
+const { advanceReturn, receiveReturn, refundReturn } = require('../services/returnWorkflow');
+const { findEvidenceVideo } = require('../services/unboxingVideos');
+
+// Load the RMA and its order for the admin actions below.
+const loadReturn = async (req, res, next) => {
+    try {
+        const rma = await Return.findOne({ returnNumber: req.params.returnNumber });
+        if (!rma) {
+            return res.status(404).json({ success: false, error: 'Return not found' });
+        }
+
+        const order = await Order.findById(rma.order);
+        if (!order) {
+            return res.status(404).json({ success: false, error: 'Order not found for this return' });
+        }
+
+        req.rma = rma;
+        req.order = order;
+        next();
+    } catch (error) {
+        console.error('Load return error:', error);
+        res.status(500).json({ success: false, error: 'Failed to load return' });
+    }
+};
+
+const handleReturnError = (res, error, fallback) => {
+    console.error(`${fallback}:`, error);
+    res.status(error.status || 500).json({
+        success: false,
+        error: error.status ? error.message : fallback
+    });
+};
+
+// ========== MY RETURNS (CUSTOMER) ==========
+router.get('/my', authenticate, async (req, res) => {
+    try {
+        const returns = await Return.find({ user: req.userId })
+            .sort({ createdAt: -1 })
+            .select('-__v');
+
+        res.json({ success: true, returns });
+    } catch (error) {
+        console.error('Get my returns error:', error);
+        res.status(500).json({ success: false, error: 'Failed to fetch returns' });
+    }
+});
+
+// ========== LIST RETURNS (ADMIN) ==========
+router.get('/admin/all', authenticate, adminOnly, async (req, res) => {
+    try {
+        const { page = 1, limit = 20, status, orderNumber } = req.query;
+
+        const query = {};
+        if (status) query.status = status;
+        if (orderNumber) query.orderNumber = orderNumber;
+
+        const total = await Return.countDocuments(query);
+        const pagination = getPaginationData(page, limit, total);
+
+        const returns = await Return.find(query)
+            .sort({ createdAt: 1 })
+            .skip(pagination.skip)
+            .limit(pagination.itemsPerPage)
+            .populate('user', 'name phone')
+            .select('-__v');
+
+        res.json({ success: true, returns, pagination });
+    } catch (error) {
+        console.error('Get returns error:', error);
+        res.status(500).json({ success: false, error: 'Failed to fetch returns' });
+    }
+});
+
+// ========== GET RETURN (OWNER OR ADMIN) ==========
+router.get('/:returnNumber', authenticate, async (req, res) => {
+    try {
+        const rma = await Return.findOne({ returnNumber: req.params.returnNumber });
+
+        if (!rma) {
+            return res.status(404).json({ success: false, error: 'Return not found' });
+        }
+
+        const isOwner = rma.user && rma.user.toString() === req.userId.toString();
+        if (!isOwner && req.user.role !== 'admin') {
+            return res.status(403).json({ success: false, error: 'Unauthorized access' });
+        }
+
+        res.json({ success: true, returnRequest: rma });
+    } catch (error) {
+        console.error('Get return error:', error);
+        res.status(500).json({ success: false, error: 'Failed to fetch return' });
+    }
+});
+
+// ========== UNBOXING VIDEO EVIDENCE (CUSTOMER) ==========
+// For a video uploaded after the return was requested. Body: { videoId }
+router.post('/:returnNumber/unboxing-video', authenticate, async (req, res) => {
+    try {
+        const rma = await Return.findOne({ returnNumber: req.params.returnNumber, user: req.userId });
+        if (!rma) {
+            return res.status(404).json({ success: false, error: 'Return not found' });
+        }
+        if (['rejected', 'refunded'].includes(rma.status)) {
+            return res.status(409).json({ success: false, error: `This return is already ${rma.status}` });
+        }
+
+        const video = await findEvidenceVideo({ _id: rma.order }, req.body.videoId);
+        rma.unboxingVideo = video._id;
+        await rma.save();
+
+        res.json({ success: true, message: 'Unboxing video attached', returnRequest: rma });
+    } catch (error) {
+        handleReturnError(res, error, 'Failed to attach unboxing video');
+    }
+});
+
+// ========== APPROVE / REJECT (ADMIN) ==========
+router.patch('/:returnNumber/approve', authenticate, adminOnly, loadReturn, async (req, res) => {
+    try {
+        const { notes } = req.body;
+        if (notes) req.rma.adminNotes = notes;
+
+        await advanceReturn(req.rma, req.order, 'approved', {
+            message: notes ? `Return approved: ${notes}` : undefined,
+            updatedBy: req.userId
+        });
+
+        res.json({ success: true, message: 'Return approved', returnRequest: req.rma });
+    } catch (error) {
+        handleReturnError(res, error, 'Failed to approve return');
+    }
+});
+
+router.patch('/:returnNumber/reject', authenticate, adminOnly, loadReturn, async (req, res) => {
+    try {
+        const { notes } = req.body;
+
+        if (!notes) {
+            return res.status(400).json({ success: false, error: 'Please give the customer a reason for the rejection' });
+        }
+
+        req.rma.adminNotes = notes;
+
+        await advanceReturn(req.rma, req.order, 'rejected', {
+            message: `Return rejected: ${notes}`,
+            updatedBy: req.userId
+        });
+
+        res.json({ success: true, message: 'Return rejected', returnRequest: req.rma });
+    } catch (error) {
+        handleReturnError(res, error, 'Failed to reject return');
+    }
+});
+
+// ========== REVERSE PICKUP (ADMIN) ==========
+router.patch('/:returnNumber/pickup', authenticate, adminOnly, loadReturn, async (req, res) => {
+    try {
+        const { courierName, trackingId, scheduledAt } = req.body;
+
+        if (!courierName || !scheduledAt) {
+            return res.status(400).json({ success: false, error: 'Courier and pickup date are required' });
+        }
+
+        req.rma.pickup = {
+            courierName,
+            trackingId,
+            scheduledAt: new Date(scheduledAt)
+        };
+
+        await advanceReturn(req.rma, req.order, 'pickup_scheduled', {
+            message: `Pickup by ${courierName} scheduled for ${new Date(scheduledAt).toDateString()}${trackingId ? ` (tracking ${trackingId})` : ''}`,
+            updatedBy: req.userId
+        });
+
+        res.json({ success: true, message: 'Pickup scheduled', returnRequest: req.rma });
+    } catch (error) {
+        handleReturnError(res, error, 'Failed to schedule pickup');
+    }
+});
+
+router.patch('/:returnNumber/pickup/collected', authenticate, adminOnly, loadReturn, async (req, res) => {
+    try {
+        const { trackingId } = req.body;
+
+        req.rma.pickup = {
+            ...(req.rma.pickup ? req.rma.pickup.toObject() : {}),
+            ...(trackingId && { trackingId }),
+            pickedUpAt: new Date()
+        };
+
+        await advanceReturn(req.rma, req.order, 'in_transit', { updatedBy: req.userId });
+
+        res.json({ success: true, message: 'Return marked as picked up', returnRequest: req.rma });
+    } catch (error) {
+        handleReturnError(res, error, 'Failed to update pickup');
+    }
+});
+
+// ========== RECEIVE / INSPECT (ADMIN) ==========
+router.patch('/:returnNumber/receive', authenticate, adminOnly, loadReturn, async (req, res) => {
+    try {
+        const { restock = true } = req.body;
+
+        await receiveReturn(req.rma, req.order, { restock: restock !== false, updatedBy: req.userId });
+
+        res.json({ success: true, message: 'Return received', returnRequest: req.rma });
+    } catch (error) {
+        handleReturnError(res, error, 'Failed to receive return');
+    }
+});
+
+router.patch('/:returnNumber/inspect', authenticate, adminOnly, loadReturn, async (req, res) => {
+    try {
+        const { passed, notes } = req.body;
+
+        if (typeof passed !== 'boolean') {
+            return res.status(400).json({ success: false, error: 'Inspection result (passed) is required' });
+        }
+
+        req.rma.inspection = {
+            passed,
+            notes,
+            inspectedAt: new Date(),
+            inspectedBy: req.userId
+        };
+
+        await advanceReturn(req.rma, req.order, 'inspected', {
+            message: `Inspection ${passed ? 'passed' : 'failed'}${notes ? `: ${notes}` : ''}`,
+            updatedBy: req.userId
+        });
+
+        res.json({ success: true, message: 'Inspection recorded', returnRequest: req.rma });
+    } catch (error) {
+        handleReturnError(res, error, 'Failed to record inspection');
+    }
+});
+
+// ========== REFUND (ADMIN) ==========
+router.post('/:returnNumber/refund', authenticate, adminOnly, loadReturn, async (req, res) => {
+    try {
+        const { method, amount, reference } = req.body;
+
+        await refundReturn(req.rma, req.order, {
+            method,
+            amount,
+            reference,
+            updatedBy: req.userId
+        });
+
+        res.json({ success: true, message: 'Return refunded', returnRequest: req.rma });
+    } catch (error) {
+        handleReturnError(res, error, 'Failed to refund return');
+    }
+});
+
+module.exports = router;
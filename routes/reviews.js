@@ -43,7 +43,7 @@ router.post('/', authenticate, async (req, res) => {
                 _id: orderId,
                 user: req.userId,
                 'items.product': productId,
-                status: 'delivered'
+                orderStatus: 'delivered'
             });
             isVerifiedPurchase = !!order;
         }
@@ -0,0 +1,39 @@
+const express = require('express');
+const router = express.Router();
+const { authenticate, adminOnly } = require('../middleware/auth');
+const { isKnownSetting, getAllSettings, setSetting } = require('../utils/settings');
+
+// ========== GET SETTINGS (ADMIN) ==========
+router.get('/', authenticate, adminOnly, async (req, res) => {
+    try {
+        const settings = await getAllSettings();
+        res.json({ success: true, settings });
+    } catch (error) {
+        console.error('Get settings error:', error);
+        res.status(500).json({ success: false, error: 'Failed to fetch settings' });
+    }
+});
+
+// ========== UPDATE SETTING (ADMIN) ==========
+router.put('/:key', authenticate, adminOnly, async (req, res) => {
+    try {
+        const { key } = req.params;
+
+        if (!isKnownSetting(key)) {
+            return res.status(404).json({ success: false, error: 'Unknown setting' });
+        }
+
+        if (req.body.value === undefined) {
+            return res.status(400).json({ success: false, error: 'Value is required' });
+        }
+
+        const value = await setSetting(key, req.body.value, req.userId);
+
+        res.json({ success: true, message: 'Setting updated successfully', key, value });
+    } catch (error) {
+        console.error('Update setting error:', error);
+        res.status(500).json({ success: false, error: 'Failed to update setting' });
+    }
+});
+
+module.exports = router;
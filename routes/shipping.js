@@ -0,0 +1,274 @@
+const express = require('express');
+const router = express.Router();
+const mongoose = require('mongoose');
+const { Product, ShippingZone, Holiday } = require('../models');
+const { authenticate, optionalAuth, adminOnly } = require('../middleware/auth');
+const { findVariant } = require('../utils/inventory');
+const { findActiveCart, getUnitPrice } = require('../services/cartService');
+const { quoteShipping } = require('../services/shippingService');
+const { estimateDeliveryWindow } = require('../services/deliveryEstimator');
+const { computeCodAdvance } = require('../services/codAdvance');
+
+const zoneFields = ['name', 'division', 'district', 'area', 'rates', 'freeShippingThreshold', 'isActive'];
+
+const holidayFields = ['name', 'date', 'endDate', 'type', 'isActive'];
+
+const pickFields = (fields, body) => {
+    const data = {};
+    fields.forEach(field => {
+        if (body[field] !== undefined) data[field] = body[field];
+    });
+    return data;
+};
+
+const pickZoneFields = (body) => pickFields(zoneFields, body);
+
+// ========== SHIPPING QUOTE (PUBLIC) ==========
+// Quote for an explicit item list, or for the requester's cart when no items are sent.
+router.post('/quote', optionalAuth, async (req, res) => {
+    try {
+        const { shippingAddress, paymentMethod, courier } = req.body;
+        let { items } = req.body;
+
+        if (!shippingAddress || !shippingAddress.region) {
+            return res.status(400).json({ success: false, error: 'Shipping region is required' });
+        }
+
+        if (items !== undefined && !Array.isArray(items)) {
+            return res.status(400).json({ success: false, error: 'Items must be a list' });
+        }
+
+        if (!items || items.length === 0) {
+            const cart = await findActiveCart(req);
+            items = cart
+                ? cart.items.map(item => ({ productId: item.product, variantId: item.variantId, quantity: item.quantity }))
+                : [];
+        }
+
+        if (items.length === 0) {
+            return res.status(400).json({ success: false, error: 'No items to quote' });
+        }
+
+        let subtotal = 0;
+        const lines = [];
+
+        for (const item of items) {
+            const quantity = Number(item && item.quantity);
+            if (!Number.isInteger(quantity) || quantity < 1) {
+                return res.status(400).json({ success: false, error: 'Item quantity must be a positive whole number' });
+            }
+            if (!mongoose.Types.ObjectId.isValid(item.productId)) {
+                return res.status(400).json({ success: false, error: `Invalid product: ${item.productId}` });
+            }
+            const product = await Product.findById(item.productId);
+
+            if (!product) {
+                return res.status(404).json({ success: false, error: `Product not found: ${item.productId}` });
+            }
+
+            const variant = item.variantId ? findVariant(product, { variantId: item.variantId }) : undefined;
+            subtotal += getUnitPrice(product, variant) * quantity;
+            lines.push({ product, quantity });
+        }
+
+        const quote = await quoteShipping({ address: shippingAddress, lines, subtotal, paymentMethod, courier });
+
+        // What a COD order like this would have to pay online upfront (before any coupon)
+        const advance = paymentMethod === 'cod'
+            ? await computeCodAdvance({
+                address: shippingAddress,
+                shippingCost: quote.shippingCost,
+                codSurcharge: quote.codSurcharge,
+                totalAmount: subtotal + quote.shippingCost + quote.codSurcharge
+            })
+            : undefined;
+
+        res.json({ success: true, subtotal, quote, ...(advance && { advance }) });
+    } catch (error) {
+        console.error('Shipping quote error:', error);
+        res.status(500).json({ success: false, error: 'Failed to calculate shipping' });
+    }
+});
+
+// ========== DELIVERY ESTIMATE (PUBLIC) ==========
+router.get('/estimate', async (req, res) => {
+    try {
+        const { region, city, area, courier } = req.query;
+        const estimate = await estimateDeliveryWindow({ address: { region, city, area }, courier });
+
+        res.json({ success: true, estimate });
+    } catch (error) {
+        console.error('Delivery estimate error:', error);
+        res.status(500).json({ success: false, error: 'Failed to estimate delivery' });
+    }
+});
+
+// ========== LIST ZONES (ADMIN) ==========
+router.get('/zones', authenticate, adminOnly, async (req, res) => {
+    try {
+        const { division, active } = req.query;
+
+        const query = {};
+        if (division) {
+            // Matched as plain text, not as a pattern
+            const escaped = String(division).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+            query.division = new RegExp(`^${escaped}$`, 'i');
+        }
+        if (active === 'true') query.isActive = true;
+        if (active === 'false') query.isActive = false;
+
+        const zones = await ShippingZone.find(query).sort({ division: 1, district: 1, area: 1 });
+
+        res.json({ success: true, zones });
+    } catch (error) {
+        console.error('Get shipping zones error:', error);
+        res.status(500).json({ success: false, error: 'Failed to fetch shipping zones' });
+    }
+});
+
+// ========== CREATE ZONE (ADMIN) ==========
+router.post('/zones', authenticate, adminOnly, async (req, res) => {
+    try {
+        const data = pickZoneFields(req.body);
+
+        if (!data.name || !data.division) {
+            return res.status(400).json({ success: false, error: 'Name and division are required' });
+        }
+
+        const zone = await ShippingZone.create(data);
+
+        res.status(201).json({ success: true, message: 'Shipping zone created successfully', zone });
+    } catch (error) {
+        console.error('Create shipping zone error:', error);
+        if (error.name === 'ValidationError') {
+            return res.status(400).json({ success: false, error: error.message });
+        }
+        res.status(500).json({ success: false, error: 'Failed to create shipping zone' });
+    }
+});
+
+// ========== UPDATE ZONE (ADMIN) ==========
+router.put('/zones/:id', authenticate, adminOnly, async (req, res) => {
+    try {
+        const zone = await ShippingZone.findById(req.params.id);
+
+        if (!zone) {
+            return res.status(404).json({ success: false, error: 'Shipping zone not found' });
+        }
+
+        Object.assign(zone, pickZoneFields(req.body));
+        await zone.save();
+
+        res.json({ success: true, message: 'Shipping zone updated successfully', zone });
+    } catch (error) {
+        console.error('Update shipping zone error:', error);
+        if (error.name === 'ValidationError') {
+            return res.status(400).json({ success: false, error: error.message });
+        }
+        res.status(500).json({ success: false, error: 'Failed to update shipping zone' });
+    }
+});
+
+// ========== DELETE ZONE (ADMIN) ==========
+router.delete('/zones/:id', authenticate, adminOnly, async (req, res) => {
+    try {
+        const zone = await ShippingZone.findByIdAndDelete(req.params.id);
+
+        if (!zone) {
+            return res.status(404).json({ success: false, error: 'Shipping zone not found' });
+        }
+
+        res.json({ success: true, message: 'Shipping zone deleted successfully' });
+    } catch (error) {
+        console.error('Delete shipping zone error:', error);
+        res.status(500).json({ success: false, error: 'Failed to delete shipping zone' });
+    }
+});
+
+// ========== LIST HOLIDAYS (ADMIN) ==========
+router.get('/holidays', authenticate, adminOnly, async (req, res) => {
+    try {
+        const query = {};
+        if (req.query.from) {
+            const from = new Date(req.query.from);
+            query.$or = [{ date: { $gte: from } }, { endDate: { $gte: from } }];
+        }
+
+        const holidays = await Holiday.find(query).sort({ date: 1 });
+
+        res.json({ success: true, holidays });
+    } catch (error) {
+        console.error('Get holidays error:', error);
+        res.status(500).json({ success: false, error: 'Failed to fetch holidays' });
+    }
+});
+
+// ========== CREATE HOLIDAY (ADMIN) ==========
+router.post('/holidays', authenticate, adminOnly, async (req, res) => {
+    try {
+        const data = pickFields(holidayFields, req.body);
+
+        if (!data.name || !data.date) {
+            return res.status(400).json({ success: false, error: 'Name and date are required' });
+        }
+
+        if (data.endDate && new Date(data.endDate) < new Date(data.date)) {
+            return res.status(400).json({ success: false, error: 'End date cannot be before the start date' });
+        }
+
+        const holiday = await Holiday.create({ ...data, createdBy: req.userId });
+
+        res.status(201).json({ success: true, message: 'Holiday created successfully', holiday });
+    } catch (error) {
+        console.error('Create holiday error:', error);
+        if (error.name === 'ValidationError' || error.name === 'CastError') {
+            return res.status(400).json({ success: false, error: error.message });
+        }
+        res.status(500).json({ success: false, error: 'Failed to create holiday' });
+    }
+});
+
+// ========== UPDATE HOLIDAY (ADMIN) ==========
+router.put('/holidays/:id', authenticate, adminOnly, async (req, res) => {
+    try {
+        const holiday = await Holiday.findById(req.params.id);
+
+        if (!holiday) {
+            return res.status(404).json({ success: false, error: 'Holiday not found' });
+        }
+
+        Object.assign(holiday, pickFields(holidayFields, req.body));
+
+        if (holiday.endDate && holiday.endDate < holiday.date) {
+            return res.status(400).json({ success: false, error: 'End date cannot be before the start date' });
+        }
+
+        await holiday.save();
+
+        res.json({ success: true, message: 'Holiday updated successfully', holiday });
+    } catch (error) {
+        console.error('Update holiday error:', error);
+        if (error.name === 'ValidationError' || error.name === 'CastError') {
+            return res.status(400).json({ success: false, error: error.message });
+        }
+        res.status(500).json({ success: false, error: 'Failed to update holiday' });
+    }
+});
+
+// ========== DELETE HOLIDAY (ADMIN) ==========
+router.delete('/holidays/:id', authenticate, adminOnly, async (req, res) => {
+    try {
+        const holiday = await Holiday.findByIdAndDelete(req.params.id);
+
+        if (!holiday) {
+            return res.status(404).json({ success: false, error: 'Holiday not found' });
+        }
+
+        res.json({ success: true, message: 'Holiday deleted successfully' });
+    } catch (error) {
+        console.error('Delete holiday error:', error);
+        res.status(500).json({ success: false, error: 'Failed to delete holiday' });
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,154 @@
+const express = require('express');
+const router = express.Router();
+const mongoose = require('mongoose');
+const { Order, UnboxingVideo, Return } = require('../models');
+const { authenticate, adminOnly } = require('../middleware/auth');
+const { tokenFromQuery } = require('../utils/sse');
+const {
+    CHUNK_MAX_BYTES,
+    videoPath,
+    getVideoUrl,
+    startUnboxingUpload,
+    appendUnboxingChunk,
+    listUnboxingVideos
+} = require('../services/unboxingVideos');
+
+const sendVideoError = (res, error, fallback) => {
+    console.error(`${fallback}:`, error);
+    res.status(error.status || 500).json({
+        success: false,
+        error: error.status ? error.message : fallback,
+        ...(error.receivedBytes !== undefined && { receivedBytes: error.receivedBytes })
+    });
+};
+
+const uploadState = (video) => ({
+    id: video._id,
+    orderNumber: video.orderNumber,
+    status: video.status,
+    mimeType: video.mimeType,
+    size: video.size,
+    receivedBytes: video.receivedBytes,
+    chunkSize: CHUNK_MAX_BYTES,
+    expiresAt: video.expiresAt,
+    videoUrl: video.status === 'complete' ? getVideoUrl(video) : undefined
+});
+
+// The uploader or an admin
+const loadVideo = async (req, res, next) => {
+    try {
+        const video = mongoose.Types.ObjectId.isValid(req.params.id)
+            ? await UnboxingVideo.findById(req.params.id)
+            : null;
+        if (!video) {
+            return res.status(404).json({ success: false, error: 'Unboxing video not found' });
+        }
+        if (String(video.user) !== String(req.userId) && req.user.role !== 'admin') {
+            return res.status(403).json({ success: false, error: 'Unauthorized access' });
+        }
+        req.video = video;
+        next();
+    } catch (error) {
+        next(error);
+    }
+};
+
+// ========== UPLOAD (CUSTOMER) ==========
+// 1. POST / with { orderNumber, fileName, mimeType, size } starts an upload
+//    (or returns the unfinished one for the same file).
+// 2. PUT /:id once per chunk of at most `chunkSize` bytes, raw body, with
+//    `Content-Range: bytes <start>-<end>/<size>`.
+// 3. After a dropped connection, GET /:id gives `receivedBytes` to resume from.
+router.post('/', authenticate, async (req, res) => {
+    try {
+        const { orderNumber, fileName, mimeType, size } = req.body;
+
+        const order = await Order.findOne({ orderNumber, user: req.userId });
+        if (!order) {
+            return res.status(404).json({ success: false, error: 'Order not found' });
+        }
+
+        const video = await startUnboxingUpload(order, { userId: req.userId, fileName, mimeType, size });
+        res.status(video.receivedBytes ? 200 : 201).json({ success: true, upload: uploadState(video) });
+    } catch (error) {
+        sendVideoError(res, error, 'Failed to start video upload');
+    }
+});
+
+router.get('/:id', authenticate, loadVideo, (req, res) => {
+    res.json({ success: true, upload: uploadState(req.video) });
+});
+
+const readChunk = express.raw({ type: () => true, limit: CHUNK_MAX_BYTES });
+
+router.put('/:id', authenticate, loadVideo, readChunk, async (req, res) => {
+    try {
+        if (String(req.video.user) !== String(req.userId)) {
+            return res.status(403).json({ success: false, error: 'Only the customer can upload their video' });
+        }
+
+        const range = /^bytes (\d+)-(\d+)\/(\d+)$/.exec(req.headers['content-range'] || '');
+        if (!range) {
+            return res.status(400).json({ success: false, error: 'Content-Range header is required: bytes <start>-<end>/<size>' });
+        }
+        const [start, end, total] = range.slice(1).map(Number);
+        if (total !== req.video.size || end - start + 1 !== (req.body && req.body.length)) {
+            return res.status(400).json({ success: false, error: 'Content-Range does not match the chunk or the video size' });
+        }
+
+        const video = await appendUnboxingChunk(req.video, { offset: start, chunk: req.body });
+        res.json({ success: true, upload: uploadState(video) });
+    } catch (error) {
+        sendVideoError(res, error, 'Failed to upload video chunk');
+    }
+});
+
+// ========== PLAYBACK (OWNER OR ADMIN) ==========
+// Supports Range requests so players can seek; <video> cannot send headers,
+// so ?token=<jwt> is accepted too.
+router.get('/:id/video', tokenFromQuery, authenticate, loadVideo, (req, res) => {
+    if (req.video.status !== 'complete') {
+        return res.status(409).json({ success: false, error: 'The video has not finished uploading' });
+    }
+    res.type(req.video.mimeType);
+    res.sendFile(videoPath(req.video), { acceptRanges: true }, (error) => {
+        if (error && !res.headersSent) {
+            console.error('Unboxing video playback error:', error);
+            res.status(error.status || 500).json({ success: false, error: 'Video file is missing' });
+        }
+    });
+});
+
+// ========== EVIDENCE VIEWER (ADMIN) ==========
+router.get('/admin/all', authenticate, adminOnly, async (req, res) => {
+    try {
+        const videos = await listUnboxingVideos(req.query);
+        res.json({
+            success: true,
+            videos: videos.map(video => ({ ...video.toObject(), videoUrl: getVideoUrl(video) }))
+        });
+    } catch (error) {
+        sendVideoError(res, error, 'Failed to fetch unboxing videos');
+    }
+});
+
+// The video with its order and the returns it backs
+router.get('/admin/:id', authenticate, adminOnly, loadVideo, async (req, res) => {
+    try {
+        const [order, returns] = await Promise.all([
+            Order.findById(req.video.order).select('orderNumber customer orderStatus deliveredAt courier logistics.currentStatus'),
+            Return.find({ unboxingVideo: req.video._id }).select('returnNumber status reason items.reasonCode createdAt')
+        ]);
+
+        res.json({
+            success: true,
+            video: { ...req.video.toObject(), videoUrl: getVideoUrl(req.video) },
+            order,
+            returns
+        });
+    } catch (error) {
+        sendVideoError(res, error, 'Failed to fetch unboxing video');
+    }
+});
+
+module.exports = router;
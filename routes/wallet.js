@@ -0,0 +1,80 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const router = express.Router();
+const { User } = require('../models');
+const { authenticate, adminOnly } = require('../middleware/auth');
+const { getWallet, creditWallet, debitWallet, listWalletTransactions } = require('../services/walletService');
+
+const readPage = (query) => ({
+    page: Math.max(parseInt(query.page) || 1, 1),
+    limit: Math.min(parseInt(query.limit) || 20, 100)
+});
+
+// Balance plus one page of the ledger, newest first
+const walletStatement = async (userId, query) => {
+    const { page, limit } = readPage(query);
+    const wallet = await getWallet(userId);
+    const { transactions, total } = await listWalletTransactions(userId, { page, limit });
+
+    return {
+        balance: wallet.balance,
+        transactions,
+        totalPages: Math.ceil(total / limit),
+        currentPage: page,
+        total
+    };
+};
+
+// ========== MY WALLET ==========
+router.get('/', authenticate, async (req, res) => {
+    try {
+        res.json({ success: true, ...(await walletStatement(req.userId, req.query)) });
+    } catch (error) {
+        console.error('Get wallet error:', error);
+        res.status(500).json({ success: false, error: 'Failed to fetch wallet' });
+    }
+});
+
+// ========== CUSTOMER WALLET (ADMIN) ==========
+router.get('/users/:userId', authenticate, adminOnly, async (req, res) => {
+    try {
+        if (!mongoose.Types.ObjectId.isValid(req.params.userId) || !(await User.exists({ _id: req.params.userId }))) {
+            return res.status(404).json({ success: false, error: 'User not found' });
+        }
+
+        res.json({ success: true, ...(await walletStatement(req.params.userId, req.query)) });
+    } catch (error) {
+        console.error('Get customer wallet error:', error);
+        res.status(500).json({ success: false, error: 'Failed to fetch wallet' });
+    }
+});
+
+// ========== ADJUST BALANCE (ADMIN) ==========
+// type 'credit' grants store credit (expiring per walletCreditExpiryDays unless
+// expiresInDays is sent; null = never), 'debit' takes balance back.
+router.post('/users/:userId/adjust', authenticate, adminOnly, async (req, res) => {
+    try {
+        const { type, amount, reason, expiresInDays } = req.body;
+
+        if (!['credit', 'debit'].includes(type)) {
+            return res.status(400).json({ success: false, error: "Type must be 'credit' or 'debit'" });
+        }
+        if (!reason) {
+            return res.status(400).json({ success: false, error: 'Reason is required' });
+        }
+        if (!mongoose.Types.ObjectId.isValid(req.params.userId) || !(await User.exists({ _id: req.params.userId }))) {
+            return res.status(404).json({ success: false, error: 'User not found' });
+        }
+
+        const transaction = type === 'credit'
+            ? await creditWallet(req.params.userId, amount, { reason, createdBy: req.userId, expiresInDays })
+            : await debitWallet(req.params.userId, amount, { reason, createdBy: req.userId });
+
+        res.status(201).json({ success: true, transaction, balance: transaction.balanceAfter });
+    } catch (error) {
+        console.error('Adjust wallet error:', error);
+        res.status(error.status || 500).json({ success: false, error: error.status ? error.message : 'Failed to adjust wallet' });
+    }
+});
+
+module.exports = router;
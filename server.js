@@ -34,10 +34,18 @@ app.use(cors({
     },
     credentials: true,
     methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
-    allowedHeaders: ['Content-Type', 'Authorization']
+    allowedHeaders: ['Content-Type', 'Authorization', 'Idempotency-Key', 'X-Cart-Token', 'Content-Range']
 }));
 
-app.use(express.json({ limit: '10mb' }));
+// Logistics webhooks are signed over the exact bytes received
+app.use(express.json({
+    limit: '10mb',
+    verify: (req, res, buf) => {
+        if (req.originalUrl.startsWith('/api/v1/logistics/webhook')) {
+            req.rawBody = buf.toString('utf8');
+        }
+    }
+}));
 app.use(express.urlencoded({ extended: true, limit: '10mb' }));
 
 // Serve uploads from root or backend folder (fallbacks)
@@ -58,10 +66,17 @@ if (fs.existsSync(frontendPath)) {
 }
 
 // ========== DATABASE CONNECTION ==========
+const { startPaymentSweeper } = require('./services/paymentSweeper');
+const { startDeliveryExceptionSweeper } = require('./services/deliveryExceptions');
+const { startUnboxingUploadSweeper } = require('./services/unboxingVideos');
+
 mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/tuavec')
     .then(() => {
         console.log('✅ MongoDB Connected to Tu Avec');
         console.log('📦 Database:', mongoose.connection.name);
+        startPaymentSweeper();
+        startDeliveryExceptionSweeper();
+        startUnboxingUploadSweeper();
     })
     .catch(err => {
     console.error('❌ MongoDB Connection Error:', err.message);
@@ -82,11 +97,37 @@ app.get('/health', (req, res) => {
 const productRoutes = require('./routes/products');
 const orderRoutes = require('./routes/orders');
 const logisticsRoutes = require('./routes/logistics');
+const couponRoutes = require('./routes/coupons');
+const settingRoutes = require('./routes/settings');
+const returnRoutes = require('./routes/returns');
+const bkashRoutes = require('./routes/bkash');
+const authRoutes = require('./routes/auth');
+const cartRoutes = require('./routes/cart');
+const shippingRoutes = require('./routes/shipping');
+const paymentRoutes = require('./routes/payments');
+const reconciliationRoutes = require('./routes/reconciliation');
+const walletRoutes = require('./routes/wallet');
+const deliveryExceptionRoutes = require('./routes/deliveryExceptions');
+const unboxingVideoRoutes = require('./routes/unboxingVideos');
+const codRemittanceRoutes = require('./routes/codRemittance');
 
 app.use('/api/products', productRoutes);
 app.use('/api/orders', orderRoutes);
 app.use('/api/v1/orders', orderRoutes);
 app.use('/api/v1/logistics', logisticsRoutes);
+app.use('/api/coupons', couponRoutes);
+app.use('/api/settings', settingRoutes);
+app.use('/api/returns', returnRoutes);
+app.use('/api/bkash', bkashRoutes);
+app.use('/api/auth', authRoutes);
+app.use('/api/cart', cartRoutes);
+app.use('/api/shipping', shippingRoutes);
+app.use('/api/payments', paymentRoutes);
+app.use('/api/reconciliation', reconciliationRoutes);
+app.use('/api/wallet', walletRoutes);
+app.use('/api/delivery-exceptions', deliveryExceptionRoutes);
+app.use('/api/unboxing-videos', unboxingVideoRoutes);
+app.use('/api/cod-remittances', codRemittanceRoutes);
 
 // ========== ERROR HANDLING MIDDLEWARE ==========
 app.use((err, req, res, next) => {
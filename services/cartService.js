@@ -0,0 +1,213 @@
+const crypto = require('crypto');
+const { Cart, Product } = require('../models');
+const { findVariant, getVariantLabel, isActiveVariant } = require('../utils/inventory');
+
+const GUEST_CART_TTL_MS = 30 * 24 * 60 * 60 * 1000;
+
+const generateCartToken = () => crypto.randomBytes(24).toString('hex');
+
+const getCartToken = (req) => req.headers['x-cart-token'] || req.query.cartToken || req.body?.cartToken;
+
+// ========== CART LOOKUP ==========
+
+// The active cart for the requester: their account cart when logged in,
+// otherwise the guest cart named by the X-Cart-Token header.
+const findActiveCart = async (req) => {
+    if (req.userId) {
+        return await Cart.findOne({ user: req.userId, status: 'active' });
+    }
+
+    const token = getCartToken(req);
+    if (!token) return null;
+    return await Cart.findOne({ token, status: 'active', user: { $exists: false } });
+};
+
+const createCart = (req) => {
+    if (req.userId) {
+        return new Cart({ user: req.userId, items: [] });
+    }
+    return new Cart({
+        token: generateCartToken(),
+        items: [],
+        expiresAt: new Date(Date.now() + GUEST_CART_TTL_MS)
+    });
+};
+
+const touchCart = (cart) => {
+    if (!cart.user) {
+        cart.expiresAt = new Date(Date.now() + GUEST_CART_TTL_MS);
+    }
+};
+
+// Whether the requester may use this cart (for checkout by cart id).
+const canAccessCart = (req, cart) => {
+    if (cart.user) {
+        return !!req.userId && cart.user.toString() === req.userId.toString();
+    }
+    return !!cart.token && getCartToken(req) === cart.token;
+};
+
+// ========== PRICING ==========
+
+const getUnitPrice = (product, variant) => (
+    variant && typeof variant.price === 'number' ? variant.price : product.price
+);
+
+const getAvailableStock = (product, variant) => (variant ? variant.stock || 0 : product.stock || 0);
+
+// Re-price every line from the current product data and flag lines the
+// customer needs to look at before checking out.
+const priceCart = async (cart) => {
+    if (!cart) {
+        return { cartId: null, cartToken: null, items: [], itemCount: 0, subtotal: 0, hasIssues: false };
+    }
+
+    const productIds = cart.items.map(item => item.product);
+    const products = await Product.find({ _id: { $in: productIds } });
+    const productsById = new Map(products.map(product => [String(product._id), product]));
+
+    const items = cart.items.map(item => {
+        const product = productsById.get(String(item.product));
+        const line = {
+            id: item._id,
+            productId: item.product,
+            variantId: item.variantId,
+            quantity: item.quantity
+        };
+
+        if (!product || product.status !== 'active') {
+            return { ...line, unavailable: true, lineTotal: 0 };
+        }
+
+        const variant = item.variantId ? findVariant(product, { variantId: item.variantId }) : undefined;
+        if (item.variantId && (!variant || !isActiveVariant(variant))) {
+            return { ...line, name: product.name, unavailable: true, lineTotal: 0 };
+        }
+
+        const unitPrice = getUnitPrice(product, variant);
+        const available = getAvailableStock(product, variant);
+
+        return {
+            ...line,
+            name: product.name,
+            slug: product.slug,
+            variant: variant ? getVariantLabel(variant) : undefined,
+            image: variant?.image || product.images?.[0]?.url,
+            unitPrice,
+            previousPrice: item.priceAtAdd,
+            priceChanged: typeof item.priceAtAdd === 'number' && item.priceAtAdd !== unitPrice,
+            available,
+            outOfStock: available <= 0,
+            insufficientStock: available > 0 && available < item.quantity,
+            lineTotal: unitPrice * item.quantity
+        };
+    });
+
+    const purchasable = items.filter(item => !item.unavailable);
+
+    return {
+        cartId: cart._id,
+        cartToken: cart.user ? null : cart.token,
+        items,
+        itemCount: purchasable.reduce((sum, item) => sum + item.quantity, 0),
+        subtotal: purchasable.reduce((sum, item) => sum + item.lineTotal, 0),
+        hasIssues: items.some(item => item.unavailable || item.priceChanged || item.outOfStock || item.insufficientStock)
+    };
+};
+
+// ========== MUTATIONS ==========
+
+// Add a product (or one of its variants) to the cart, merging with an existing line.
+// Returns { success, error } without saving; callers save the cart.
+const addCartItem = async (cart, { productId, variantId, quantity = 1 }) => {
+    if (!Number.isInteger(quantity) || quantity < 1) {
+        return { success: false, error: 'Quantity must be a positive whole number' };
+    }
+
+    const product = await Product.findById(productId);
+    if (!product || product.status !== 'active') {
+        return { success: false, error: 'Product not found' };
+    }
+
+    let variant;
+    if (variantId) {
+        variant = findVariant(product, { variantId });
+        if (!variant || !isActiveVariant(variant)) {
+            return { success: false, error: 'Selected option is not available' };
+        }
+    } else if ((product.variants || []).some(isActiveVariant)) {
+        return { success: false, error: `Please select an option for ${product.name}` };
+    }
+
+    const existing = cart.items.find(item =>
+        String(item.product) === String(product._id) &&
+        String(item.variantId || '') === String(variant ? variant._id : '')
+    );
+
+    if (existing) {
+        existing.quantity += quantity;
+        existing.priceAtAdd = getUnitPrice(product, variant);
+    } else {
+        cart.items.push({
+            product: product._id,
+            variantId: variant ? variant._id : undefined,
+            quantity,
+            priceAtAdd: getUnitPrice(product, variant)
+        });
+    }
+
+    touchCart(cart);
+    return { success: true };
+};
+
+// Fold a guest cart into the user's account cart, e.g. right after login.
+const mergeGuestCart = async (userId, token) => {
+    if (!token) return null;
+
+    const guestCart = await Cart.findOne({ token, status: 'active', user: { $exists: false } });
+    if (!guestCart) return null;
+
+    let userCart = await Cart.findOne({ user: userId, status: 'active' });
+    if (!userCart) {
+        userCart = new Cart({ user: userId, items: [] });
+    }
+
+    guestCart.items.forEach(guestItem => {
+        const existing = userCart.items.find(item =>
+            String(item.product) === String(guestItem.product) &&
+            String(item.variantId || '') === String(guestItem.variantId || '')
+        );
+
+        if (existing) {
+            existing.quantity = Math.max(existing.quantity, guestItem.quantity);
+        } else {
+            userCart.items.push({
+                product: guestItem.product,
+                variantId: guestItem.variantId,
+                quantity: guestItem.quantity,
+                priceAtAdd: guestItem.priceAtAdd,
+                addedAt: guestItem.addedAt
+            });
+        }
+    });
+
+    await userCart.save();
+
+    guestCart.status = 'merged';
+    guestCart.expiresAt = new Date(Date.now() + 24 * 60 * 60 * 1000);
+    await guestCart.save();
+
+    return userCart;
+};
+
+module.exports = {
+    getCartToken,
+    findActiveCart,
+    createCart,
+    touchCart,
+    canAccessCart,
+    getUnitPrice,
+    priceCart,
+    addCartItem,
+    mergeGuestCart
+};
@@ -0,0 +1,47 @@
+const { getSetting } = require('../utils/settings');
+
+// ========== COD ADVANCE POLICY ==========
+
+const normaliseName = (name) => String(name || '').trim().toLowerCase();
+
+// True when the region, city or area of the address is on the risky list
+const isRiskyArea = (address = {}, riskyAreas = []) => {
+    const names = [address.region, address.city, address.area].filter(Boolean).map(normaliseName);
+    return riskyAreas.some(area => names.includes(normaliseName(area)));
+};
+
+// How much of a cash-on-delivery order must be paid online before dispatch.
+// Takes the totals from the shipping quote and returns { required: false,
+// amount: 0 } or { required: true, amount, reason } with reason
+// 'risky_area' or 'threshold'.
+const computeCodAdvance = async ({ address, shippingCost = 0, codSurcharge = 0, totalAmount = 0 }) => {
+    const [threshold, riskyAreas, mode, percent] = await Promise.all([
+        getSetting('codAdvanceThreshold'),
+        getSetting('codRiskyAreas'),
+        getSetting('codAdvanceMode'),
+        getSetting('codAdvancePercent')
+    ]);
+
+    const risky = isRiskyArea(address, riskyAreas || []);
+    const overThreshold = typeof threshold === 'number' && totalAmount > threshold;
+    if (!risky && !overThreshold) {
+        return { required: false, amount: 0 };
+    }
+
+    // The delivery charge, unless the settings ask for a share of the total or shipping is free
+    const byPercent = Math.ceil(totalAmount * (Number(percent) || 0) / 100);
+    let amount = mode === 'percentage' ? byPercent : shippingCost + codSurcharge;
+    if (!(amount > 0)) amount = byPercent;
+    amount = Math.min(amount, totalAmount);
+
+    if (!(amount > 0)) {
+        return { required: false, amount: 0 };
+    }
+
+    return { required: true, amount, reason: risky ? 'risky_area' : 'threshold' };
+};
+
+module.exports = {
+    isRiskyArea,
+    computeCodAdvance
+};
@@ -0,0 +1,478 @@
+const { Order, CodRemittance } = require('../models');
+const { getCourier, COURIER_IDS } = require('./couriers');
+const { findColumns, parseAmount, parseStatementDate, parsePeriodEnd } = require('./reconciliation');
+const { parseCsv } = require('../utils/csv');
+const { getSetting } = require('../utils/settings');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Receivables are aged from delivery into these buckets (days)
+const AGE_BUCKETS = [
+    { key: 'days0to7', maxDays: 7 },
+    { key: 'days8to14', maxDays: 14 },
+    { key: 'days15to30', maxDays: 30 },
+    { key: 'over30', maxDays: Infinity }
+];
+
+const remittanceError = (message, status = 400) => {
+    const error = new Error(message);
+    error.status = status;
+    return error;
+};
+
+const roundTaka = (amount) => Math.round(Number(amount) * 100) / 100;
+
+// ========== EXPECTATIONS ==========
+
+// Cash the courier collected for the order: what the ledger recorded on
+// delivery, or for orders from before the ledger what the rider was told to collect
+const getCollectedAmount = (order) => {
+    const payments = order.payments || [];
+    if (payments.length > 0) {
+        return roundTaka(payments
+            .filter(payment => payment.source === 'courier')
+            .reduce((sum, payment) => sum + payment.amount, 0));
+    }
+    return roundTaka(order.courier?.codAmount ?? order.totalAmount);
+};
+
+// The courier an order went out with, as an adapter id where we know it
+const getOrderCourierId = (order) => {
+    const courier = getCourier(order.courier?.provider)
+        || getCourier(order.logistics?.courierName)
+        || getCourier(order.courier?.name);
+    return courier ? courier.id : (order.courier?.name || order.logistics?.courierName || 'unknown');
+};
+
+const isDeliveredCod = (order) => order.paymentMethod === 'cod' && !!order.deliveredAt;
+
+// What the courier should keep and pay out for one order; fees the booking
+// never quoted are taken as the courier reports them
+const expectSettlement = (order, line, codChargePercent) => {
+    const expectedCollection = getCollectedAmount(order);
+    const expectedDeliveryFee = typeof order.courier?.deliveryFee === 'number'
+        ? order.courier.deliveryFee
+        : line.deliveryFee;
+    const expectedCodCharge = roundTaka(expectedCollection * (Number(codChargePercent) || 0) / 100);
+
+    return {
+        expectedCollection,
+        expectedDeliveryFee,
+        expectedCodCharge,
+        expectedPayout: roundTaka(expectedCollection - (expectedDeliveryFee || 0) - expectedCodCharge)
+    };
+};
+
+// ========== SETTLEMENT PARSING ==========
+
+// Header names seen in Pathao, Steadfast and RedX payment exports
+const COLUMN_ALIASES = {
+    trackingNumber: ['trackingid', 'trackingcode', 'trackingnumber', 'trackingno', 'consignmentid', 'cid', 'parcelid'],
+    collected: ['collectedamount', 'amountcollected', 'cashcollection', 'cashcollected', 'codamount', 'collected'],
+    deliveryFee: ['deliveryfee', 'deliverycharge', 'shippingcharge', 'charge'],
+    codCharge: ['codcharge', 'codfee', 'cashcollectioncharge', 'codcommission'],
+    paidOut: ['payableamount', 'payable', 'netpayable', 'payout', 'paidamount', 'amountpaid', 'netamount'],
+    paidAt: ['paymentdate', 'paiddate', 'paidat', 'date']
+};
+
+// Turn settlement CSV into lines { trackingNumber, collected, deliveryFee,
+// codCharge, paidOut }. A missing payout column means collected minus the
+// fees. Rows without a tracking ID or collected amount are skipped and counted.
+const parseSettlement = (text, offsetMinutes) => {
+    const records = parseCsv(text);
+    if (records.length === 0) {
+        throw remittanceError('Settlement is empty');
+    }
+
+    const columns = findColumns(records[0], COLUMN_ALIASES);
+    if (!columns.trackingNumber || !columns.collected) {
+        throw remittanceError('Settlement needs a tracking ID column and a collected amount column');
+    }
+
+    const lines = [];
+    let skippedRows = 0;
+    let paidAt = null;
+
+    records.forEach(record => {
+        const trackingNumber = String(record[columns.trackingNumber] || '').trim();
+        const collected = parseAmount(record[columns.collected]);
+        if (!trackingNumber || collected === null) {
+            skippedRows++;
+            return;
+        }
+
+        const deliveryFee = columns.deliveryFee ? parseAmount(record[columns.deliveryFee]) : null;
+        const codCharge = columns.codCharge ? parseAmount(record[columns.codCharge]) : null;
+        const paidOut = columns.paidOut ? parseAmount(record[columns.paidOut]) : null;
+
+        lines.push({
+            trackingNumber,
+            collected,
+            deliveryFee,
+            codCharge,
+            paidOut: paidOut !== null ? paidOut : roundTaka(collected - (deliveryFee || 0) - (codCharge || 0))
+        });
+
+        if (!paidAt && columns.paidAt) paidAt = parseStatementDate(record[columns.paidAt], offsetMinutes);
+    });
+
+    return { lines, skippedRows, paidAt };
+};
+
+// ========== MATCHING ==========
+
+const trackingKeys = (order) => [
+    order.courier?.trackingNumber,
+    order.courier?.consignmentId,
+    order.logistics?.trackingId,
+    order.trackingNumber
+].filter(Boolean).map(String);
+
+const feeNote = (label, reported, expected) => (typeof reported === 'number' && typeof expected === 'number' && roundTaka(reported) !== roundTaka(expected)
+    ? `${label} ৳${reported} (expected ৳${expected})`
+    : null);
+
+// Compare settlement lines with our orders and return the remittance items
+const matchLines = async (lines, { courierId, codChargePercent, tolerance }) => {
+    const numbers = [...new Set(lines.map(line => line.trackingNumber))];
+    const orders = await Order.find({
+        $or: [
+            { 'courier.trackingNumber': { $in: numbers } },
+            { 'courier.consignmentId': { $in: numbers } },
+            { 'logistics.trackingId': { $in: numbers } },
+            { trackingNumber: { $in: numbers } }
+        ]
+    });
+
+    const byTracking = new Map();
+    orders.forEach(order => trackingKeys(order).forEach(key => byTracking.set(key, order)));
+
+    const seen = new Set();
+    return lines.map(line => {
+        const base = {
+            trackingNumber: line.trackingNumber,
+            collected: line.collected,
+            deliveryFee: line.deliveryFee,
+            codCharge: line.codCharge,
+            paidOut: line.paidOut
+        };
+
+        if (seen.has(line.trackingNumber)) {
+            return { ...base, type: 'duplicate', note: 'Tracking ID appears more than once in the settlement' };
+        }
+        seen.add(line.trackingNumber);
+
+        const order = byTracking.get(line.trackingNumber);
+        if (!order) {
+            return { ...base, type: 'unmatched', note: 'No order with this tracking ID' };
+        }
+
+        const orderFields = { order: order._id, orderNumber: order.orderNumber };
+        const orderCourier = getOrderCourierId(order);
+        if (orderCourier !== courierId) {
+            return { ...base, ...orderFields, type: 'wrong_courier', note: `Order went out with ${orderCourier}` };
+        }
+        if (order.codRemittance && order.codRemittance.remittance) {
+            return { ...base, ...orderFields, type: 'already_settled', note: `Settled on ${order.codRemittance.settledAt.toDateString()}` };
+        }
+        if (!isDeliveredCod(order)) {
+            return { ...base, ...orderFields, type: 'not_delivered', note: `Order is ${order.paymentMethod}/${order.orderStatus}` };
+        }
+
+        const expected = expectSettlement(order, line, codChargePercent);
+        const shortfall = roundTaka(expected.expectedPayout - line.paidOut);
+        const notes = [
+            feeNote('Collected', line.collected, expected.expectedCollection),
+            feeNote('Delivery fee', line.deliveryFee, expected.expectedDeliveryFee),
+            feeNote('COD charge', line.codCharge, expected.expectedCodCharge)
+        ].filter(Boolean);
+
+        let type = 'settled';
+        if (shortfall > tolerance) type = 'short';
+        if (shortfall < -tolerance) type = 'over';
+
+        return {
+            ...base,
+            ...orderFields,
+            ...expected,
+            type,
+            shortfall,
+            note: notes.length ? notes.join('; ') : undefined
+        };
+    });
+};
+
+// Record the payout on each matched order. The filter makes sure an order is
+// only ever settled once, even when two settlements are imported together.
+const settleOrders = async (remittance) => {
+    for (const item of remittance.items) {
+        if (!['settled', 'short', 'over'].includes(item.type)) continue;
+
+        const result = await Order.updateOne(
+            { _id: item.order, 'codRemittance.remittance': { $exists: false } },
+            {
+                $set: {
+                    codRemittance: {
+                        status: item.type === 'short' ? 'short' : 'settled',
+                        remittance: remittance._id,
+                        collected: item.collected,
+                        deliveryFee: item.deliveryFee ?? item.expectedDeliveryFee,
+                        codCharge: item.codCharge ?? item.expectedCodCharge,
+                        paidOut: item.paidOut,
+                        shortfall: item.shortfall,
+                        settledAt: remittance.paidAt || remittance.createdAt
+                    }
+                }
+            }
+        );
+
+        if (result.modifiedCount === 0) {
+            item.type = 'already_settled';
+            item.note = 'Order was settled by another remittance';
+        }
+    }
+};
+
+const SUMMARY_KEYS = {
+    settled: 'settled',
+    short: 'short',
+    over: 'over',
+    not_delivered: 'notDelivered',
+    wrong_courier: 'wrongCourier',
+    already_settled: 'alreadySettled',
+    duplicate: 'duplicates',
+    unmatched: 'unmatched'
+};
+
+const summarise = (items) => items.reduce((summary, item) => {
+    summary[SUMMARY_KEYS[item.type]]++;
+    summary.collected = roundTaka(summary.collected + (item.collected || 0));
+    summary.deliveryFees = roundTaka(summary.deliveryFees + (item.deliveryFee ?? item.expectedDeliveryFee ?? 0));
+    summary.codCharges = roundTaka(summary.codCharges + (item.codCharge ?? item.expectedCodCharge ?? 0));
+    summary.paidOut = roundTaka(summary.paidOut + (item.paidOut || 0));
+    if (['settled', 'short', 'over'].includes(item.type)) {
+        summary.shortfall = roundTaka(summary.shortfall + item.shortfall);
+    }
+    return summary;
+}, Object.values(SUMMARY_KEYS).reduce((summary, key) => ({ ...summary, [key]: 0 }), {
+    collected: 0, deliveryFees: 0, codCharges: 0, paidOut: 0, shortfall: 0
+}));
+
+// ========== IMPORT ==========
+
+// Import one courier settlement. Pass `csv` for an uploaded file, or
+// `reference` to fetch that payment from couriers that offer it
+// (getSettlement on the adapter).
+const importRemittance = async ({ courier: courierId, csv, fileName, reference, paidAt, createdBy }) => {
+    const courier = getCourier(courierId);
+    if (!courier) {
+        throw remittanceError(`Unknown courier. Use one of: ${COURIER_IDS.join(', ')}`);
+    }
+
+    const offsetMinutes = Number(await getSetting('businessUtcOffsetMinutes')) || 0;
+    const percents = await getSetting('courierCodChargePercent');
+    const tolerance = Number(await getSetting('codRemittanceTolerance')) || 0;
+
+    let settlement;
+    if (csv) {
+        settlement = parseSettlement(csv, offsetMinutes);
+    } else if (reference) {
+        if (!courier.getSettlement) {
+            throw remittanceError(`${courier.label} has no settlement API; upload the settlement file instead`);
+        }
+        const fetched = await courier.getSettlement(reference);
+        settlement = { lines: fetched.lines, skippedRows: 0, paidAt: fetched.paidAt };
+        reference = fetched.reference;
+    } else {
+        throw remittanceError('Upload a settlement file or give the courier payment reference');
+    }
+
+    if (settlement.lines.length === 0) {
+        throw remittanceError('Settlement has no parcels');
+    }
+    if (reference && await CodRemittance.exists({ courier: courier.id, reference })) {
+        throw remittanceError(`${courier.label} payment ${reference} was already imported`, 409);
+    }
+
+    const givenPaidAt = paidAt ? parseStatementDate(paidAt, offsetMinutes) : null;
+    if (paidAt && !givenPaidAt) {
+        throw remittanceError('Invalid payment date');
+    }
+
+    const items = await matchLines(settlement.lines, {
+        courierId: courier.id,
+        codChargePercent: percents && percents[courier.id],
+        tolerance
+    });
+
+    const remittance = new CodRemittance({
+        courier: courier.id,
+        source: csv ? 'upload' : 'api',
+        fileName,
+        reference,
+        paidAt: givenPaidAt || settlement.paidAt || undefined,
+        items,
+        createdBy
+    });
+
+    const updateSummary = () => {
+        remittance.summary = {
+            lines: settlement.lines.length,
+            skippedRows: settlement.skippedRows,
+            ...summarise(remittance.items)
+        };
+    };
+
+    // Saved before any order points at it; the unique index stops two
+    // imports of the same payment racing past the check above
+    updateSummary();
+    try {
+        await remittance.save();
+    } catch (error) {
+        if (error.code === 11000) throw remittanceError(`${courier.label} payment ${reference} was already imported`, 409);
+        throw error;
+    }
+
+    await settleOrders(remittance);
+    updateSummary();
+    await remittance.save();
+
+    return remittance;
+};
+
+// Everything in a remittance that needs a person
+const buildRemittanceReport = (remittance, { includeResolved = false } = {}) => {
+    const open = remittance.items.filter(item => item.type !== 'settled' && (includeResolved || !item.resolved));
+    const ofType = (...types) => open.filter(item => types.includes(item.type));
+
+    return {
+        id: remittance._id,
+        courier: remittance.courier,
+        source: remittance.source,
+        reference: remittance.reference,
+        paidAt: remittance.paidAt,
+        summary: remittance.summary,
+        shortfalls: ofType('short'),
+        overpayments: ofType('over'),
+        unmatched: ofType('unmatched', 'not_delivered', 'wrong_courier'),
+        duplicates: ofType('duplicate', 'already_settled')
+    };
+};
+
+// Mark a flagged item as dealt with. Resolving a shortfall (the courier paid
+// the rest, or we wrote it off) settles the order too.
+const resolveRemittanceItem = async (remittance, itemId, { resolution, resolvedBy }) => {
+    if (!resolution) {
+        throw remittanceError('Resolution note is required');
+    }
+
+    const item = remittance.items.id(itemId);
+    if (!item) {
+        throw remittanceError('Remittance item not found', 404);
+    }
+
+    Object.assign(item, { resolved: true, resolution, resolvedBy, resolvedAt: new Date() });
+    await remittance.save();
+
+    if (item.type === 'short') {
+        await Order.updateOne(
+            { _id: item.order, 'codRemittance.remittance': remittance._id },
+            { $set: { 'codRemittance.status': 'settled' } }
+        );
+    }
+
+    return item;
+};
+
+// ========== RECEIVABLES ==========
+
+const emptyCourierRow = (courier) => ({
+    courier,
+    outstandingOrders: 0,
+    collected: 0,
+    expectedFees: 0,
+    receivable: 0, // what the courier still owes us for delivered parcels
+    oldestDeliveredAt: null,
+    aging: AGE_BUCKETS.reduce((aging, bucket) => ({ ...aging, [bucket.key]: 0 }), {}),
+    shortOrders: 0,
+    shortfall: 0 // kept back from settled parcels
+});
+
+// Per courier: cash collected on delivered COD orders but not yet paid out
+// to us (aged by delivery date), plus the shortfalls on settled ones.
+// `from`/`to` limit by delivery date.
+const getReceivablesReport = async ({ courier, from, to } = {}) => {
+    const offsetMinutes = Number(await getSetting('businessUtcOffsetMinutes')) || 0;
+    const percents = (await getSetting('courierCodChargePercent')) || {};
+
+    const fromDate = from ? parseStatementDate(from, offsetMinutes) : null;
+    const toDate = to ? parsePeriodEnd(to, offsetMinutes) : null;
+    if ((from && !fromDate) || (to && !toDate)) {
+        throw remittanceError('Invalid from/to date');
+    }
+
+    const deliveredAt = { $ne: null };
+    if (fromDate) deliveredAt.$gte = fromDate;
+    if (toDate) deliveredAt.$lte = toDate;
+
+    const orders = await Order.find({
+        paymentMethod: 'cod',
+        deliveredAt,
+        $or: [
+            { 'codRemittance.remittance': { $exists: false } },
+            { 'codRemittance.status': 'short' }
+        ]
+    }).select('orderNumber totalAmount payments courier logistics.courierName paymentMethod deliveredAt codRemittance').lean();
+
+    const rows = new Map();
+    const now = Date.now();
+
+    orders.forEach(order => {
+        const courierId = getOrderCourierId(order);
+        if (courier && courierId !== courier) return;
+
+        const row = rows.get(courierId) || emptyCourierRow(courierId);
+        rows.set(courierId, row);
+
+        if (order.codRemittance && order.codRemittance.remittance) {
+            row.shortOrders++;
+            row.shortfall = roundTaka(row.shortfall + (order.codRemittance.shortfall || 0));
+            return;
+        }
+
+        const expected = expectSettlement(order, {}, percents[courierId]);
+        if (expected.expectedCollection <= 0) return; // paid in full before delivery
+
+        row.outstandingOrders++;
+        row.collected = roundTaka(row.collected + expected.expectedCollection);
+        row.expectedFees = roundTaka(row.expectedFees + (expected.expectedDeliveryFee || 0) + expected.expectedCodCharge);
+        row.receivable = roundTaka(row.receivable + expected.expectedPayout);
+
+        const ageDays = (now - new Date(order.deliveredAt).getTime()) / DAY_MS;
+        const bucket = AGE_BUCKETS.find(candidate => ageDays <= candidate.maxDays);
+        row.aging[bucket.key] = roundTaka(row.aging[bucket.key] + expected.expectedPayout);
+
+        if (!row.oldestDeliveredAt || order.deliveredAt < row.oldestDeliveredAt) {
+            row.oldestDeliveredAt = order.deliveredAt;
+        }
+    });
+
+    const couriers = [...rows.values()].sort((a, b) => b.receivable - a.receivable);
+    return {
+        couriers,
+        totals: {
+            outstandingOrders: couriers.reduce((sum, row) => sum + row.outstandingOrders, 0),
+            receivable: roundTaka(couriers.reduce((sum, row) => sum + row.receivable, 0)),
+            shortfall: roundTaka(couriers.reduce((sum, row) => sum + row.shortfall, 0))
+        },
+        generatedAt: new Date()
+    };
+};
+
+module.exports = {
+    parseSettlement,
+    importRemittance,
+    buildRemittanceReport,
+    resolveRemittanceItem,
+    getReceivablesReport
+};
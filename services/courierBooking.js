@@ -0,0 +1,212 @@
+const { Product } = require('../models');
+const { COURIER_IDS, getCourier } = require('./couriers');
+const { computeParcelWeight } = require('./shippingService');
+const { getBalanceDue } = require('./orderPayments');
+
+const courierError = (message, status = 400) => {
+    const error = new Error(message);
+    error.status = status;
+    return error;
+};
+
+// Orders that may be handed to a courier
+const BOOKABLE_STATUSES = ['confirmed', 'processing'];
+
+// Logistics states in which the parcel is still with us
+const CANCELLABLE_LOGISTICS = ['pending', 'confirmed'];
+
+const hasActiveConsignment = (order) => !!(order.courier && order.courier.consignmentId && !order.courier.cancelledAt);
+
+const consignmentRef = (order) => ({
+    consignmentId: order.courier.consignmentId,
+    trackingNumber: order.courier.trackingNumber
+});
+
+const getBookedCourier = (order) => {
+    if (!hasActiveConsignment(order)) {
+        throw courierError('Order has no active consignment', 409);
+    }
+    return getCourier(order.courier.provider);
+};
+
+// What the rider collects at the door: the COD balance, nothing for prepaid orders
+const getCodAmount = (order) => (order.paymentMethod === 'cod' ? getBalanceDue(order) : 0);
+
+const buildParcel = async (order, note) => {
+    const products = await Product.find({ _id: { $in: order.items.map(item => item.product) } });
+    const byId = new Map(products.map(product => [String(product._id), product]));
+    const weight = await computeParcelWeight(order.items.map(item => ({
+        product: byId.get(String(item.product)) || {},
+        quantity: item.quantity
+    })));
+
+    return {
+        orderNumber: order.orderNumber,
+        recipient: {
+            name: order.shippingAddress.fullName,
+            phone: order.shippingAddress.phone,
+            address: order.shippingAddress.address,
+            area: order.shippingAddress.area,
+            city: order.shippingAddress.city,
+            region: order.shippingAddress.region
+        },
+        codAmount: getCodAmount(order),
+        weightGrams: weight.chargeableWeight,
+        itemCount: order.items.reduce((sum, item) => sum + item.quantity, 0),
+        value: order.totalAmount,
+        description: order.items.map(item => `${item.quantity} x ${item.name}`).join(', ').slice(0, 250),
+        note: note || order.notes
+    };
+};
+
+const logLogistics = (order, status, notes) => {
+    order.logistics.currentStatus = status;
+    order.logistics.statusLogs.push({ status, updatedBy: 'courier-booking', timestamp: new Date(), notes });
+};
+
+// ========== BOOKING ==========
+
+// Create a consignment with `courier` (default: the one quoted at checkout)
+// and keep its tracking details on the order. Saves the order.
+const bookConsignment = async (order, { courier, note, bookedBy } = {}) => {
+    if (!BOOKABLE_STATUSES.includes(order.orderStatus)) {
+        throw courierError(`Orders that are ${order.orderStatus} cannot be booked with a courier`, 409);
+    }
+    if (hasActiveConsignment(order)) {
+        throw courierError(`Order is already booked with ${order.courier.name} (${order.courier.trackingNumber})`, 409);
+    }
+    if (order.advancePayment && order.advancePayment.required && order.paymentStatus === 'pending') {
+        throw courierError('The cash on delivery advance has not been paid yet', 409);
+    }
+
+    const adapter = getCourier(courier || (order.shippingQuote && order.shippingQuote.courier));
+    if (!adapter) {
+        throw courierError(`Courier must be one of: ${COURIER_IDS.join(', ')}`);
+    }
+
+    const parcel = await buildParcel(order, note);
+
+    let result;
+    try {
+        result = await adapter.createConsignment(parcel);
+    } catch (error) {
+        throw courierError(`${adapter.label} booking failed: ${error.message}`, 502);
+    }
+
+    const bookedAt = new Date();
+    order.courier = {
+        name: adapter.label,
+        provider: adapter.id,
+        trackingNumber: result.trackingCode,
+        consignmentId: result.consignmentId,
+        status: result.status,
+        codAmount: parcel.codAmount,
+        weightGrams: parcel.weightGrams,
+        deliveryFee: result.deliveryFee,
+        bookedAt
+    };
+    order.logistics.courierName = adapter.label;
+    order.logistics.trackingId = result.trackingCode;
+    logLogistics(order, adapter.statusMap[result.status] || 'confirmed', `Booked with ${adapter.label}`);
+    order.timeline.push({
+        status: 'courier_booked',
+        message: `Booked with ${adapter.label} (${result.trackingCode}), collect ৳${parcel.codAmount}`,
+        source: 'admin',
+        timestamp: bookedAt,
+        updatedBy: bookedBy
+    });
+    await order.save();
+
+    return order.courier;
+};
+
+// ========== PICKUP AND CANCELLATION ==========
+
+// Errors from adapters that have no API for an action carry `manual`
+const rejectResult = (adapter, result, action) => {
+    if (result.manual) {
+        const error = courierError(result.error);
+        error.manual = true;
+        return error;
+    }
+    return courierError(`${adapter.label} ${action} failed: ${result.error}`, 502);
+};
+
+const requestPickup = async (order, { requestedBy } = {}) => {
+    const adapter = getBookedCourier(order);
+
+    const result = await adapter.requestPickup(consignmentRef(order));
+    if (!result.success) {
+        throw rejectResult(adapter, result, 'pickup request');
+    }
+
+    order.courier.pickupRequestedAt = new Date();
+    order.timeline.push({
+        status: 'courier_pickup_requested',
+        message: `Pickup requested from ${adapter.label}${result.reference ? ` (${result.reference})` : ''}`,
+        source: 'admin',
+        timestamp: order.courier.pickupRequestedAt,
+        updatedBy: requestedBy
+    });
+    await order.save();
+
+    return order.courier;
+};
+
+// Withdraw a consignment the courier has not picked up yet. Couriers without
+// a cancel API need staff to cancel in the merchant panel first and then
+// record it here with `manual`.
+const cancelConsignment = async (order, { reason, manual = false, cancelledBy, source = 'admin' } = {}) => {
+    const adapter = getBookedCourier(order);
+
+    if (!CANCELLABLE_LOGISTICS.includes(order.logistics.currentStatus)) {
+        throw courierError(`The parcel is already ${order.logistics.currentStatus}; it can no longer be cancelled`, 409);
+    }
+
+    const result = await adapter.cancelConsignment(consignmentRef(order), reason);
+    if (!result.success && !(result.manual && manual)) {
+        throw rejectResult(adapter, result, 'cancellation');
+    }
+
+    order.courier.cancelledAt = new Date();
+    logLogistics(order, 'pending', `${adapter.label} consignment cancelled`);
+    order.timeline.push({
+        status: 'courier_cancelled',
+        message: `${adapter.label} consignment ${order.courier.trackingNumber} cancelled${result.success ? '' : ' in the merchant panel'}`,
+        reason,
+        source,
+        timestamp: order.courier.cancelledAt,
+        updatedBy: cancelledBy
+    });
+    await order.save();
+
+    return order.courier;
+};
+
+// Live status from the courier, with its logistics equivalent. Does not change the order.
+const getConsignmentStatus = async (order) => {
+    const adapter = getBookedCourier(order);
+
+    let result;
+    try {
+        result = await adapter.getConsignment(order.courier.consignmentId);
+    } catch (error) {
+        throw courierError(`${adapter.label} lookup failed: ${error.message}`, 502);
+    }
+
+    return {
+        courier: adapter.id,
+        consignmentId: result.consignmentId,
+        status: result.status,
+        logisticsStatus: adapter.statusMap[result.status] || null,
+        raw: result.raw
+    };
+};
+
+module.exports = {
+    hasActiveConsignment,
+    bookConsignment,
+    requestPickup,
+    cancelConsignment,
+    getConsignmentStatus
+};
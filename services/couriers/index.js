@@ -0,0 +1,82 @@
+// ========== COURIER ADAPTER REGISTRY ==========
+//
+// Every courier we book through implements the same adapter interface:
+//
+//   id, label                          id matches ShippingZone rate `courier` names (any case)
+//   statusMap                          courier status code (lowercase) -> logistics status
+//   failedAttemptStatuses              codes that mean a delivery attempt failed
+//   createConsignment(parcel)          -> { consignmentId, trackingCode, status, deliveryFee?, raw }
+//   getConsignment(consignmentId)      -> { consignmentId, status, raw }
+//   requestPickup(consignment)         -> { success, reference?, raw } or { success: false, manual, error }
+//   cancelConsignment(consignment, reason)
+//                                      -> { success, raw } or { success: false, manual, error }
+//   updateDelivery(consignment, decision)
+//                                      reschedule, readdress or return an undelivered parcel;
+//                                      same result shape as cancelConsignment
+//   getSettlement(reference)           optional; a COD remittance with the parcels it pays for,
+//                                      -> { reference, paidAt, lines: [{ trackingNumber,
+//                                         collected, deliveryFee, codCharge, paidOut }], raw }
+//
+// A parcel is { orderNumber, recipient: { name, phone, address, area, city,
+// region }, codAmount, weightGrams, itemCount, value, description, note }; a
+// consignment is what order.courier keeps ({ consignmentId, trackingNumber });
+// a decision is a delivery exception's ({ action, preferredDate, address, note }).
+// `manual` means the courier offers no API for the action and staff must use
+// its merchant panel. Each courier has a local fake in mocks/.
+
+const pathao = require('./pathao');
+const steadfast = require('./steadfast');
+const redx = require('./redx');
+
+const COURIERS = { pathao, steadfast, redx };
+
+const COURIER_IDS = Object.keys(COURIERS);
+
+// Adapter by id or label, ignoring case ("Pathao", "RedX"), or null
+const getCourier = (name) => {
+    const key = String(name || '').trim().toLowerCase();
+    return COURIERS[key]
+        || Object.values(COURIERS).find(courier => courier.label.toLowerCase() === key)
+        || null;
+};
+
+const genericStatusMap = {
+    pending: 'pending',
+    confirmed: 'confirmed',
+    dispatched: 'dispatched',
+    shipped: 'dispatched',
+    'in_transit': 'in-transit',
+    'in-transit': 'in-transit',
+    'in transit': 'in-transit',
+    transit: 'in-transit',
+    'failed_delivery_attempt': 'delayed',
+    'failed-delivery-attempt': 'delayed',
+    hold: 'delayed',
+    delayed: 'delayed',
+    delivered: 'delivered',
+    returned: 'returned',
+    'returned_to_sender': 'returned',
+    'returned-to-sender': 'returned'
+};
+
+// Every courier's own codes, with the generic names above keeping their meaning.
+// Payloads that name their courier use that courier's map first.
+const normalizedStatusMap = Object.assign({}, ...COURIER_IDS.map(id => COURIERS[id].statusMap), genericStatusMap);
+
+const delayStates = new Set(['delayed', 'hold', 'failed_delivery_attempt', 'failed-delivery-attempt', 'attempted_delivery', 'attempted-delivery', 'delivery_failed_attempt']);
+
+// The logistics status for a courier's status code. `courier` is the adapter
+// the event came from, if known.
+const toLogisticsStatus = (courier, code) => {
+    if (delayStates.has(code)) return 'delayed';
+    return (courier && courier.statusMap[code]) || normalizedStatusMap[code] || 'pending';
+};
+
+const listCouriers = () => COURIER_IDS.map(id => ({ id, label: COURIERS[id].label }));
+
+module.exports = {
+    COURIER_IDS,
+    getCourier,
+    toLogisticsStatus,
+    listCouriers
+};
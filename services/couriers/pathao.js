@@ -0,0 +1,163 @@
+const axios = require('axios');
+
+// Config is read on every call so the local fake (mocks/pathaoServer.js) can
+// be swapped in without reloading the module.
+const getConfig = () => ({
+    baseUrl: process.env.PATHAO_BASE_URL || 'https://courier-api-sandbox.pathao.com',
+    clientId: process.env.PATHAO_CLIENT_ID || '',
+    clientSecret: process.env.PATHAO_CLIENT_SECRET || '',
+    username: process.env.PATHAO_USERNAME || '',
+    password: process.env.PATHAO_PASSWORD || '',
+    storeId: process.env.PATHAO_STORE_ID || ''
+});
+
+const TOKEN_EXPIRY_MARGIN_MS = 60 * 1000;
+
+const describeError = (err) => (err.response && err.response.data ? JSON.stringify(err.response.data) : err.message);
+
+// ========== ACCESS TOKEN ==========
+
+let tokenCache = null; // { accessToken, expiresAt, key }
+
+async function getAccessToken(config) {
+    if (!config.clientId || !config.clientSecret) {
+        throw new Error('Pathao client id/secret not configured');
+    }
+
+    const key = `${config.baseUrl}|${config.clientId}`;
+    if (tokenCache && tokenCache.key === key && tokenCache.expiresAt - TOKEN_EXPIRY_MARGIN_MS > Date.now()) {
+        return tokenCache.accessToken;
+    }
+
+    try {
+        const resp = await axios.post(`${config.baseUrl}/aladdin/api/v1/issue-token`, {
+            client_id: config.clientId,
+            client_secret: config.clientSecret,
+            username: config.username,
+            password: config.password,
+            grant_type: 'password'
+        });
+
+        tokenCache = {
+            accessToken: resp.data.access_token,
+            expiresAt: Date.now() + (Number(resp.data.expires_in) || 3600) * 1000,
+            key
+        };
+        return tokenCache.accessToken;
+    } catch (err) {
+        throw new Error('Failed to get Pathao token: ' + describeError(err));
+    }
+}
+
+// Call the merchant API; a 401 drops the cached token and retries once
+async function callApi(method, path, data, action, retry = true) {
+    const config = getConfig();
+    const token = await getAccessToken(config);
+
+    try {
+        const resp = await axios({
+            method,
+            url: `${config.baseUrl}${path}`,
+            data,
+            headers: {
+                'Content-Type': 'application/json',
+                'Accept': 'application/json',
+                'Authorization': `Bearer ${token}`
+            }
+        });
+        return resp.data;
+    } catch (err) {
+        if (retry && err.response && err.response.status === 401) {
+            tokenCache = null;
+            return callApi(method, path, data, action, false);
+        }
+        throw new Error(`Failed to ${action}: ` + describeError(err));
+    }
+}
+
+// ========== ADAPTER ==========
+
+module.exports = {
+    id: 'pathao',
+    label: 'Pathao',
+
+    // order_status_slug values, lowercased
+    statusMap: {
+        pending: 'confirmed',
+        pickup_requested: 'confirmed',
+        assigned_for_pickup: 'confirmed',
+        pickup_failed: 'delayed',
+        pickup_cancelled: 'pending',
+        picked: 'dispatched',
+        at_the_sorting_hub: 'in-transit',
+        in_transit: 'in-transit',
+        received_at_last_mile_hub: 'in-transit',
+        assigned_for_delivery: 'in-transit',
+        on_hold: 'delayed',
+        delivery_failed: 'delayed',
+        delivered: 'delivered',
+        partial_delivery: 'delivered',
+        payment_invoice: 'delivered',
+        return: 'returned',
+        paid_return: 'returned'
+    },
+
+    failedAttemptStatuses: ['delivery_failed'],
+
+    async createConsignment(parcel) {
+        const config = getConfig();
+        const { recipient } = parcel;
+
+        const data = await callApi('post', '/aladdin/api/v1/orders', {
+            store_id: Number(config.storeId),
+            merchant_order_id: parcel.orderNumber,
+            recipient_name: recipient.name,
+            recipient_phone: recipient.phone,
+            recipient_address: [recipient.address, recipient.area, recipient.city].filter(Boolean).join(', '),
+            delivery_type: 48, // normal delivery
+            item_type: 2, // parcel
+            item_quantity: parcel.itemCount,
+            item_weight: Math.max(0.5, parcel.weightGrams / 1000), // kg, Pathao's minimum is 0.5
+            amount_to_collect: Math.round(parcel.codAmount),
+            item_description: parcel.description,
+            special_instruction: parcel.note
+        }, 'create Pathao consignment');
+
+        const consignment = data && data.data;
+        if (!consignment || !consignment.consignment_id) {
+            throw new Error(`Pathao did not return a consignment: ${JSON.stringify(data)}`);
+        }
+
+        return {
+            consignmentId: String(consignment.consignment_id),
+            trackingCode: String(consignment.consignment_id),
+            status: String(consignment.order_status || 'Pending').toLowerCase(),
+            deliveryFee: consignment.delivery_fee,
+            raw: data
+        };
+    },
+
+    async getConsignment(consignmentId) {
+        const data = await callApi('get', `/aladdin/api/v1/orders/${encodeURIComponent(consignmentId)}/info`, undefined, 'fetch Pathao consignment');
+        const info = (data && data.data) || {};
+
+        return {
+            consignmentId: String(info.consignment_id || consignmentId),
+            status: String(info.order_status_slug || info.order_status || '').toLowerCase(),
+            raw: data
+        };
+    },
+
+    // Pathao collects booked parcels from the store on its own schedule
+    async requestPickup() {
+        return { success: false, manual: true, error: 'Pathao schedules pickups itself; change them from the merchant panel' };
+    },
+
+    async cancelConsignment() {
+        return { success: false, manual: true, error: 'Pathao consignments can only be cancelled from the merchant panel' };
+    },
+
+    async updateDelivery() {
+        return { success: false, manual: true, error: 'Pathao delivery changes are made from the merchant panel' };
+    }
+};
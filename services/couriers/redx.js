@@ -0,0 +1,146 @@
+const axios = require('axios');
+
+// Config is read on every call so the local fake (mocks/redxServer.js) can be
+// swapped in without reloading the module.
+const getConfig = () => ({
+    baseUrl: process.env.REDX_BASE_URL || 'https://sandbox.redx.com.bd/v1.0.0-beta',
+    accessToken: process.env.REDX_ACCESS_TOKEN || '',
+    defaultAreaId: process.env.REDX_DEFAULT_AREA_ID || '',
+    pickupStoreId: process.env.REDX_PICKUP_STORE_ID || ''
+});
+
+const describeError = (err) => (err.response && err.response.data ? JSON.stringify(err.response.data) : err.message);
+
+async function callApi(method, path, data, action) {
+    const config = getConfig();
+
+    if (!config.accessToken) {
+        throw new Error('RedX access token not configured');
+    }
+
+    try {
+        const resp = await axios({
+            method,
+            url: `${config.baseUrl}${path}`,
+            data,
+            headers: {
+                'Content-Type': 'application/json',
+                'API-ACCESS-TOKEN': `Bearer ${config.accessToken}`
+            }
+        });
+        return resp.data;
+    } catch (err) {
+        throw new Error(`Failed to ${action}: ` + describeError(err));
+    }
+}
+
+// ========== ADAPTER ==========
+
+module.exports = {
+    id: 'redx',
+    label: 'RedX',
+
+    // parcel status values
+    statusMap: {
+        'pickup-pending': 'confirmed',
+        'pickup-in-progress': 'confirmed',
+        'ready-for-delivery': 'dispatched',
+        'delivery-in-progress': 'in-transit',
+        'agent-area-change': 'in-transit',
+        'agent-hold': 'delayed',
+        hold: 'delayed',
+        delivered: 'delivered',
+        'delivery-payment-collected': 'delivered',
+        'agent-returning': 'returned',
+        returned: 'returned',
+        cancelled: 'pending' // cancelled before pickup; the order can be booked again
+    },
+
+    failedAttemptStatuses: ['agent-hold'],
+
+    async createConsignment(parcel) {
+        const config = getConfig();
+        const { recipient } = parcel;
+
+        const data = await callApi('post', '/parcel', {
+            customer_name: recipient.name,
+            customer_phone: recipient.phone,
+            delivery_area: recipient.area || recipient.city,
+            delivery_area_id: Number(config.defaultAreaId) || undefined,
+            customer_address: recipient.address,
+            merchant_invoice_id: parcel.orderNumber,
+            cash_collection_amount: String(Math.round(parcel.codAmount)),
+            parcel_weight: Math.round(parcel.weightGrams), // grams
+            instruction: parcel.note,
+            value: Math.round(parcel.value),
+            pickup_store_id: Number(config.pickupStoreId) || undefined
+        }, 'create RedX parcel');
+
+        if (!data || !data.tracking_id) {
+            throw new Error(`RedX did not return a tracking id: ${JSON.stringify(data)}`);
+        }
+
+        return {
+            consignmentId: String(data.tracking_id),
+            trackingCode: String(data.tracking_id),
+            status: 'pickup-pending',
+            raw: data
+        };
+    },
+
+    async getConsignment(consignmentId) {
+        const data = await callApi('get', `/parcel/info/${encodeURIComponent(consignmentId)}`, undefined, 'fetch RedX parcel');
+        const parcel = (data && data.parcel) || {};
+
+        return {
+            consignmentId: String(parcel.tracking_id || consignmentId),
+            status: String(parcel.status || '').toLowerCase(),
+            raw: data
+        };
+    },
+
+    // Pickups are planned per pickup store by RedX
+    async requestPickup() {
+        return { success: false, manual: true, error: 'RedX plans pickups per pickup store; request extra pickups from the merchant panel' };
+    },
+
+    async cancelConsignment(consignment, reason) {
+        const data = await callApi('patch', '/parcels', {
+            entity_type: 'parcel-tracking-id',
+            entity_id: consignment.consignmentId,
+            update_details: {
+                property_name: 'status',
+                new_value: 'cancelled',
+                reason: reason || 'Cancelled by merchant'
+            }
+        }, 'cancel RedX parcel');
+
+        if (!data || data.success === false) {
+            return { success: false, error: (data && data.message) || 'RedX did not cancel the parcel', raw: data };
+        }
+        return { success: true, raw: data };
+    },
+
+    // Same parcel update endpoint, one property per decision
+    async updateDelivery(consignment, decision) {
+        const updates = {
+            reschedule: () => ({ property_name: 'delivery_date', new_value: decision.preferredDate.toISOString().slice(0, 10) }),
+            change_address: () => ({
+                property_name: 'customer_address',
+                new_value: [decision.address.address, decision.address.area, decision.address.city].filter(Boolean).join(', ')
+            }),
+            cancel: () => ({ property_name: 'status', new_value: 'agent-returning' })
+        };
+
+        const data = await callApi('patch', '/parcels', {
+            entity_type: 'parcel-tracking-id',
+            entity_id: consignment.consignmentId,
+            update_details: { ...updates[decision.action](), reason: decision.note || 'Customer request' }
+        }, 'update RedX parcel');
+
+        if (!data || data.success === false) {
+            return { success: false, error: (data && data.message) || 'RedX did not update the parcel', raw: data };
+        }
+        return { success: true, raw: data };
+    }
+};
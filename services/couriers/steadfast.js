@@ -0,0 +1,127 @@
+const axios = require('axios');
+
+// Config is read on every call so the local fake (mocks/steadfastServer.js)
+// can be swapped in without reloading the module.
+const getConfig = () => ({
+    baseUrl: process.env.STEADFAST_BASE_URL || 'https://portal.packzy.com/api/v1',
+    apiKey: process.env.STEADFAST_API_KEY || '',
+    secretKey: process.env.STEADFAST_SECRET_KEY || ''
+});
+
+const describeError = (err) => (err.response && err.response.data ? JSON.stringify(err.response.data) : err.message);
+
+async function callApi(method, path, data, action) {
+    const config = getConfig();
+
+    if (!config.apiKey || !config.secretKey) {
+        throw new Error('Steadfast API key/secret not configured');
+    }
+
+    try {
+        const resp = await axios({
+            method,
+            url: `${config.baseUrl}${path}`,
+            data,
+            headers: {
+                'Content-Type': 'application/json',
+                'Api-Key': config.apiKey,
+                'Secret-Key': config.secretKey
+            }
+        });
+        return resp.data;
+    } catch (err) {
+        throw new Error(`Failed to ${action}: ` + describeError(err));
+    }
+}
+
+// ========== ADAPTER ==========
+
+module.exports = {
+    id: 'steadfast',
+    label: 'Steadfast',
+
+    // delivery_status values
+    statusMap: {
+        in_review: 'confirmed',
+        pending: 'in-transit', // picked up and on its way
+        hold: 'delayed',
+        unknown: 'delayed',
+        unknown_approval_pending: 'delayed',
+        delivered_approval_pending: 'delivered',
+        partial_delivered_approval_pending: 'delivered',
+        delivered: 'delivered',
+        partial_delivered: 'delivered',
+        cancelled_approval_pending: 'returned',
+        cancelled: 'returned' // delivery refused; parcel goes back to the merchant
+    },
+
+    // Steadfast puts a parcel on hold after a failed attempt
+    failedAttemptStatuses: ['hold'],
+
+    async createConsignment(parcel) {
+        const { recipient } = parcel;
+
+        const data = await callApi('post', '/create_order', {
+            invoice: parcel.orderNumber,
+            recipient_name: recipient.name,
+            recipient_phone: recipient.phone,
+            recipient_address: [recipient.address, recipient.area, recipient.city].filter(Boolean).join(', '),
+            cod_amount: Math.round(parcel.codAmount),
+            note: parcel.note
+        }, 'create Steadfast consignment');
+
+        const consignment = data && data.consignment;
+        if (!consignment || !consignment.consignment_id) {
+            throw new Error(`Steadfast did not return a consignment: ${JSON.stringify(data)}`);
+        }
+
+        return {
+            consignmentId: String(consignment.consignment_id),
+            trackingCode: consignment.tracking_code,
+            status: String(consignment.status || 'in_review').toLowerCase(),
+            raw: data
+        };
+    },
+
+    async getConsignment(consignmentId) {
+        const data = await callApi('get', `/status_by_cid/${encodeURIComponent(consignmentId)}`, undefined, 'fetch Steadfast consignment');
+
+        return {
+            consignmentId: String(consignmentId),
+            status: String((data && data.delivery_status) || '').toLowerCase(),
+            raw: data
+        };
+    },
+
+    // Steadfast riders collect from the pickup address on their daily round
+    async requestPickup() {
+        return { success: false, manual: true, error: 'Steadfast collects parcels on its daily round; request extra pickups from the merchant panel' };
+    },
+
+    async cancelConsignment() {
+        return { success: false, manual: true, error: 'Steadfast consignments can only be cancelled from the merchant panel' };
+    },
+
+    async updateDelivery() {
+        return { success: false, manual: true, error: 'Steadfast delivery changes are made from the merchant panel' };
+    },
+
+    // A payment (remittance) with the consignments it pays for
+    async getSettlement(paymentId) {
+        const data = await callApi('get', `/payments/${encodeURIComponent(paymentId)}`, undefined, 'fetch Steadfast payment');
+
+        const payment = (data && data.payment) || {};
+        return {
+            reference: String(payment.id || paymentId),
+            paidAt: payment.created_at ? new Date(payment.created_at) : null,
+            lines: ((data && data.consignments) || []).map(consignment => ({
+                trackingNumber: String(consignment.consignment_id),
+                collected: Number(consignment.cod_amount),
+                deliveryFee: Number(consignment.delivery_charge),
+                codCharge: Number(consignment.cod_charge),
+                paidOut: Number(consignment.payable_amount)
+            })),
+            raw: data
+        };
+    }
+};
@@ -0,0 +1,133 @@
+const { Holiday } = require('../models');
+const { getSetting } = require('../utils/settings');
+const { findShippingZone } = require('./shippingService');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Used when no shipping zone or courier SLA covers the address
+const DEFAULT_TRANSIT_DAYS = {
+    'Dhaka': { min: 1, max: 2 },
+    'Chittagong': { min: 2, max: 3 },
+    'Mymensingh': { min: 2, max: 3 },
+    'Sylhet': { min: 3, max: 4 },
+    'Rajshahi': { min: 3, max: 4 },
+    'Khulna': { min: 3, max: 4 },
+    'Barisal': { min: 3, max: 4 },
+    'Rangpur': { min: 3, max: 4 }
+};
+const FALLBACK_TRANSIT_DAYS = { min: 3, max: 5 };
+
+// Furthest ahead we ever look for business days, so a misconfigured
+// calendar (e.g. every weekday off) cannot loop forever.
+const MAX_LOOKAHEAD_DAYS = 60;
+
+// ========== CALENDAR ==========
+// Calendar days are handled as UTC-midnight dates shifted into business time,
+// so getUTCDay()/getUTCHours() give the local weekday and hour.
+
+const dayKey = (day) => day.toISOString().slice(0, 10);
+
+const startOfDay = (day) => new Date(Date.UTC(day.getUTCFullYear(), day.getUTCMonth(), day.getUTCDate()));
+
+const loadHolidayKeys = async (from, to) => {
+    const holidays = await Holiday.find({
+        isActive: true,
+        date: { $lte: to },
+        $or: [{ date: { $gte: from } }, { endDate: { $gte: from } }]
+    });
+
+    const keys = new Set();
+    holidays.forEach(holiday => {
+        const last = startOfDay(holiday.endDate || holiday.date);
+        for (let day = startOfDay(holiday.date); day <= last; day = new Date(day.getTime() + DAY_MS)) {
+            keys.add(dayKey(day));
+        }
+    });
+    return keys;
+};
+
+const loadCalendar = async (now) => {
+    const offsetMinutes = await getSetting('businessUtcOffsetMinutes');
+    const local = new Date(now.getTime() + offsetMinutes * 60 * 1000);
+    const today = startOfDay(local);
+
+    const offDays = await getSetting('weeklyOffDays');
+    const holidayKeys = await loadHolidayKeys(
+        new Date(today.getTime() - DAY_MS),
+        new Date(today.getTime() + MAX_LOOKAHEAD_DAYS * DAY_MS)
+    );
+
+    return {
+        local,
+        today,
+        offsetMinutes,
+        isBusinessDay: (day) => !offDays.includes(day.getUTCDay()) && !holidayKeys.has(dayKey(day))
+    };
+};
+
+// The nth business day after `day` (n = 0 returns `day` itself if it is a business day).
+const addBusinessDays = (calendar, day, count) => {
+    let current = day;
+    let remaining = count;
+    let steps = 0;
+
+    while (!calendar.isBusinessDay(current) && steps < MAX_LOOKAHEAD_DAYS) {
+        current = new Date(current.getTime() + DAY_MS);
+        steps++;
+    }
+
+    while (remaining > 0 && steps < MAX_LOOKAHEAD_DAYS) {
+        current = new Date(current.getTime() + DAY_MS);
+        steps++;
+        if (calendar.isBusinessDay(current)) remaining--;
+    }
+
+    return current;
+};
+
+// Convert a business-time calendar day back to the real instant it starts at.
+const toInstant = (calendar, day) => new Date(day.getTime() - calendar.offsetMinutes * 60 * 1000);
+
+// ========== TRANSIT SLA ==========
+
+const resolveTransitDays = async (address, courier) => {
+    const zone = await findShippingZone(address);
+    const rates = zone ? zone.rates.filter(rate => rate.isActive !== false && rate.transitDays?.min != null) : [];
+    const rate = (courier && rates.find(r => r.courier.toLowerCase() === String(courier).toLowerCase())) || rates[0];
+
+    if (rate) {
+        const min = rate.transitDays.min;
+        return { courier: rate.courier, transitDays: { min, max: Math.max(min, rate.transitDays.max ?? min) } };
+    }
+
+    return { courier: null, transitDays: DEFAULT_TRANSIT_DAYS[address.region] || FALLBACK_TRANSIT_DAYS };
+};
+
+// ========== ESTIMATE ==========
+
+// Delivery window for an order placed at `from` to `address`.
+// Returns { dispatchDate, earliest, latest, courier, transitDays }.
+const estimateDeliveryWindow = async ({ address = {}, courier, from = new Date() } = {}) => {
+    const region = address.region || await getSetting('defaultDeliveryRegion');
+    const calendar = await loadCalendar(from);
+    const cutoffHour = await getSetting('warehouseCutoffHour');
+
+    const firstDispatchDay = calendar.local.getUTCHours() >= cutoffHour
+        ? new Date(calendar.today.getTime() + DAY_MS)
+        : calendar.today;
+    const dispatchDay = addBusinessDays(calendar, firstDispatchDay, 0);
+
+    const sla = await resolveTransitDays({ ...address, region }, courier);
+
+    return {
+        dispatchDate: toInstant(calendar, dispatchDay),
+        earliest: toInstant(calendar, addBusinessDays(calendar, dispatchDay, sla.transitDays.min)),
+        latest: toInstant(calendar, addBusinessDays(calendar, dispatchDay, sla.transitDays.max)),
+        courier: sla.courier,
+        transitDays: sla.transitDays
+    };
+};
+
+module.exports = {
+    estimateDeliveryWindow
+};
@@ -0,0 +1,345 @@
+const crypto = require('crypto');
+const { Order, DeliveryException, DELIVERY_EXCEPTION_ACTIONS } = require('../models');
+const { getCourier } = require('./couriers');
+const { hasActiveConsignment } = require('./courierBooking');
+const { getSetting } = require('../utils/settings');
+const { sendDeliveryExceptionSMS } = require('../utils/helpers');
+
+const DEFAULT_INTERVAL_MS = 15 * 60 * 1000;
+const BATCH_SIZE = 100;
+
+const OPEN_STATUSES = ['awaiting_customer', 'customer_responded', 'escalated'];
+
+// Courier codes meaning an attempt failed, for webhooks that name no known courier
+const GENERIC_FAILED_ATTEMPTS = ['failed_delivery_attempt', 'failed-delivery-attempt', 'attempted_delivery', 'attempted-delivery', 'delivery_failed_attempt', 'delivery_failed'];
+
+const exceptionError = (message, status = 400) => {
+    const error = new Error(message);
+    error.status = status;
+    return error;
+};
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+const responseUrl = (token) => `${process.env.FRONTEND_URL || 'https://tuavec.com'}/?deliveryException=${encodeURIComponent(token)}`;
+
+const isFailedAttempt = (courier, courierStatus) => (courier ? courier.failedAttemptStatuses : GENERIC_FAILED_ATTEMPTS).includes(courierStatus);
+
+const escalate = (exception, reason) => {
+    exception.status = 'escalated';
+    exception.escalatedAt = new Date();
+    exception.escalationReason = reason;
+    exception.tokenHash = undefined;
+    exception.tokenExpiresAt = undefined;
+};
+
+// ========== COURIER EVENTS ==========
+
+// A webhook put the parcel on hold or reported a failed attempt. Opens (or
+// adds to) the order's exception, then either texts the customer a fresh
+// link to decide or, after too many attempts, hands it to staff.
+// Does not save the order.
+const recordDeliveryException = async (order, { courierStatus, notes, occurredAt = new Date() }) => {
+    const courier = getCourier(order.courier?.provider) || getCourier(order.logistics?.courierName);
+    const failedAttempt = isFailedAttempt(courier, courierStatus);
+
+    let exception = await DeliveryException.findOne({ order: order._id, status: { $in: OPEN_STATUSES } });
+    if (!exception) {
+        exception = new DeliveryException({
+            order: order._id,
+            orderNumber: order.orderNumber,
+            courier: courier ? courier.id : order.logistics?.courierName
+        });
+    }
+
+    exception.events.push({ courierStatus, notes, failedAttempt, occurredAt });
+    exception.lastEventAt = occurredAt;
+    exception.updatedAt = new Date();
+    if (failedAttempt) exception.failedAttempts += 1;
+
+    const maxAttempts = await getSetting('deliveryExceptionMaxAttempts');
+    let token = null;
+
+    if (exception.status === 'escalated') {
+        // Staff already own it
+    } else if (maxAttempts && exception.failedAttempts >= maxAttempts) {
+        escalate(exception, 'max_attempts');
+    } else {
+        // A new problem after the customer answered reopens the question
+        token = crypto.randomBytes(24).toString('hex');
+        const responseHours = await getSetting('deliveryExceptionResponseHours');
+        exception.status = 'awaiting_customer';
+        exception.tokenHash = hashToken(token);
+        exception.tokenExpiresAt = new Date(Date.now() + (Number(responseHours) || 24) * 60 * 60 * 1000);
+        exception.courierUpdate = undefined;
+    }
+
+    await exception.save();
+
+    if (token && order.customer?.phone) {
+        try {
+            await sendDeliveryExceptionSMS(order.customer.phone, order.orderNumber, exception.failedAttempts, responseUrl(token));
+        } catch (error) {
+            console.error(`Delivery exception SMS failed for order ${order.orderNumber}:`, error);
+        }
+    }
+
+    return exception;
+};
+
+// The parcel reached the customer or came back to us; nothing left to decide
+const closeDeliveryExceptions = async (order, outcome) => {
+    const now = new Date();
+    await DeliveryException.updateMany(
+        { order: order._id, status: { $in: OPEN_STATUSES } },
+        {
+            $set: { status: 'resolved', resolvedAt: now, resolution: `Parcel ${outcome}`, updatedAt: now },
+            $unset: { tokenHash: 1, tokenExpiresAt: 1 }
+        }
+    );
+};
+
+// ========== DECISIONS ==========
+
+// The exception behind a customer's link, while it is still waiting for them
+const findExceptionByToken = async (token) => {
+    if (!token) return null;
+    return DeliveryException.findOne({
+        tokenHash: hashToken(String(token)),
+        tokenExpiresAt: { $gt: new Date() },
+        status: 'awaiting_customer'
+    });
+};
+
+const ADDRESS_FIELDS = ['fullName', 'phone', 'region', 'city', 'area', 'address'];
+
+const validateDecision = async (order, { action, preferredDate, address, note }) => {
+    if (!DELIVERY_EXCEPTION_ACTIONS.includes(action)) {
+        throw exceptionError(`Action must be one of: ${DELIVERY_EXCEPTION_ACTIONS.join(', ')}`);
+    }
+
+    const decision = { action, note: note ? String(note).trim().slice(0, 500) : undefined };
+
+    if (action === 'reschedule') {
+        const date = new Date(preferredDate);
+        const maxDays = await getSetting('deliveryRescheduleMaxDays');
+        const today = new Date();
+        today.setHours(0, 0, 0, 0);
+        const latest = new Date(today.getTime() + (Number(maxDays) || 7) * 24 * 60 * 60 * 1000);
+        if (Number.isNaN(date.getTime()) || date < today || date > latest) {
+            throw exceptionError(`Choose a delivery date within the next ${maxDays} days`);
+        }
+        decision.preferredDate = date;
+    }
+
+    if (action === 'change_address') {
+        const given = address && typeof address === 'object' ? address : {};
+        if (ADDRESS_FIELDS.some(field => given[field] !== undefined && typeof given[field] !== 'string')) {
+            throw exceptionError('Address fields must be text');
+        }
+
+        const current = order.toObject().shippingAddress || {};
+        const next = {};
+        ADDRESS_FIELDS.forEach(field => {
+            const value = given[field] !== undefined ? given[field].trim().slice(0, 300) : current[field];
+            if (value) next[field] = value;
+        });
+        if (!next.address || !next.city || !next.region) {
+            throw exceptionError('The new address needs an address line, city and region');
+        }
+        decision.address = next;
+    }
+
+    return decision;
+};
+
+// Pass the decision on to the courier. Couriers without an API for it, or
+// an API failure, leave the exception in the admin queue.
+const notifyCourier = async (order, decision) => {
+    const courier = hasActiveConsignment(order) && getCourier(order.courier.provider);
+    if (!courier) {
+        return { status: 'manual', error: 'Order was not booked through a courier integration', updatedAt: new Date() };
+    }
+
+    try {
+        const result = await courier.updateDelivery({
+            consignmentId: order.courier.consignmentId,
+            trackingNumber: order.courier.trackingNumber
+        }, decision);
+
+        if (result.success) return { status: 'sent', updatedAt: new Date() };
+        return { status: result.manual ? 'manual' : 'failed', error: result.error, updatedAt: new Date() };
+    } catch (error) {
+        console.error(`${courier.label} delivery update failed for order ${order.orderNumber}:`, error.message);
+        return { status: 'failed', error: error.message, updatedAt: new Date() };
+    }
+};
+
+const DECISION_MESSAGES = {
+    reschedule: (decision) => `Delivery rescheduled to ${decision.preferredDate.toDateString()}`,
+    change_address: (decision) => `Delivery address changed to ${[decision.address.address, decision.address.area, decision.address.city].filter(Boolean).join(', ')}`,
+    cancel: () => 'Delivery cancelled; the parcel is being returned'
+};
+
+// Record what to do with the parcel, from the customer's link (`channel`
+// 'link') or staff on their behalf ('staff', with `decidedBy`). Changes the
+// order's address for change_address and tells the courier once the order
+// is saved. Returns the updated exception.
+const decideDeliveryException = async (exception, input, { channel = 'link', decidedBy } = {}) => {
+    if (!['awaiting_customer', 'escalated'].includes(exception.status)) {
+        throw exceptionError(`This delivery exception is already ${exception.status.replace('_', ' ')}`, 409);
+    }
+
+    const order = await Order.findById(exception.order);
+    if (!order || order.orderStatus !== 'shipped') {
+        throw exceptionError('The order is no longer out for delivery', 409);
+    }
+
+    const decision = await validateDecision(order, input);
+    const decidedAt = new Date();
+
+    // Only one of two submits at once gets past here; the link stops working
+    const claimed = await DeliveryException.findOneAndUpdate(
+        { _id: exception._id, status: exception.status },
+        {
+            $set: { status: 'customer_responded', decision: { ...decision, channel, decidedBy, decidedAt }, updatedAt: decidedAt },
+            $unset: { tokenHash: 1, tokenExpiresAt: 1 }
+        },
+        { new: true }
+    );
+    if (!claimed) {
+        throw exceptionError('This delivery exception was already answered', 409);
+    }
+
+    if (decision.action === 'change_address') {
+        order.shippingAddress = decision.address;
+        try {
+            await order.save();
+        } catch (error) {
+            // Give the customer their link back
+            const restore = { status: exception.status, updatedAt: exception.updatedAt };
+            if (exception.tokenHash) {
+                Object.assign(restore, { tokenHash: exception.tokenHash, tokenExpiresAt: exception.tokenExpiresAt });
+            }
+            await DeliveryException.updateOne(
+                { _id: exception._id, status: 'customer_responded' },
+                { $set: restore, $unset: { decision: 1 } }
+            );
+            throw error;
+        }
+    }
+
+    claimed.courierUpdate = await notifyCourier(order, decision);
+
+    const courierNote = claimed.courierUpdate.status === 'sent' ? '' : ' (courier to be updated by staff)';
+    order.timeline.push({
+        status: `delivery_${decision.action}`,
+        message: `${DECISION_MESSAGES[decision.action](decision)}${courierNote}`,
+        reason: decision.note,
+        source: channel === 'link' ? 'customer' : 'admin',
+        timestamp: decidedAt,
+        updatedBy: decidedBy
+    });
+
+    await order.save();
+    await claimed.save();
+
+    return claimed;
+};
+
+// ========== ADMIN QUEUE ==========
+
+// Escalated exceptions, plus decisions the courier still has to be told about by hand
+const ADMIN_QUEUE = {
+    $or: [
+        { status: 'escalated' },
+        { status: 'customer_responded', 'courierUpdate.status': { $in: ['manual', 'failed'] } }
+    ]
+};
+
+const listDeliveryExceptions = async ({ status, orderNumber, limit = 50 } = {}) => {
+    const query = status ? { status } : { ...ADMIN_QUEUE };
+    if (orderNumber) query.orderNumber = orderNumber;
+
+    return DeliveryException.find(query)
+        .select('-tokenHash')
+        .sort({ lastEventAt: 1 })
+        .limit(Math.min(parseInt(limit) || 50, 200));
+};
+
+const resolveDeliveryException = async (exception, { resolution, resolvedBy } = {}) => {
+    if (exception.status === 'resolved') {
+        throw exceptionError('Delivery exception is already resolved', 409);
+    }
+    if (!resolution) {
+        throw exceptionError('Describe how the exception was resolved');
+    }
+
+    Object.assign(exception, {
+        status: 'resolved',
+        resolution,
+        resolvedBy,
+        resolvedAt: new Date(),
+        updatedAt: new Date(),
+        tokenHash: undefined,
+        tokenExpiresAt: undefined
+    });
+    await exception.save();
+    return exception;
+};
+
+// ========== SWEEPER ==========
+
+// Hand exceptions the customer has not answered in time to staff
+const sweepDeliveryExceptions = async () => {
+    const stale = await DeliveryException.find({
+        status: 'awaiting_customer',
+        tokenExpiresAt: { $lte: new Date() }
+    }).limit(BATCH_SIZE);
+
+    for (const exception of stale) {
+        escalate(exception, 'no_response');
+        exception.updatedAt = new Date();
+        await exception.save();
+    }
+
+    return { escalated: stale.length };
+};
+
+// Run the sweep now and then every DELIVERY_EXCEPTION_SWEEP_INTERVAL_MS,
+// skipping overlapping runs.
+const startDeliveryExceptionSweeper = () => {
+    const intervalMs = parseInt(process.env.DELIVERY_EXCEPTION_SWEEP_INTERVAL_MS) || DEFAULT_INTERVAL_MS;
+    let running = false;
+
+    const run = async () => {
+        if (running) return;
+        running = true;
+        try {
+            const stats = await sweepDeliveryExceptions();
+            if (stats.escalated) {
+                console.log('📦 Delivery exception sweep:', stats);
+            }
+        } catch (error) {
+            console.error('Delivery exception sweep error:', error);
+        } finally {
+            running = false;
+        }
+    };
+
+    run();
+    const timer = setInterval(run, intervalMs);
+    timer.unref();
+    return timer;
+};
+
+module.exports = {
+    recordDeliveryException,
+    closeDeliveryExceptions,
+    findExceptionByToken,
+    decideDeliveryException,
+    listDeliveryExceptions,
+    resolveDeliveryException,
+    sweepDeliveryExceptions,
+    startDeliveryExceptionSweeper
+};
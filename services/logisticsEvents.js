@@ -0,0 +1,291 @@
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const { Order, LogisticsEvent } = require('../models');
+const { COURIER_IDS, getCourier, toLogisticsStatus } = require('./couriers');
+const { getSetting } = require('../utils/settings');
+const { applyCourierStatus } = require('./orderWorkflow');
+const { recordDeliveryException, closeDeliveryExceptions } = require('./deliveryExceptions');
+const { notifyLogisticsAlertSMS, buildLogisticsStatusMessage } = require('./smsService');
+
+// ========== SIGNATURES ==========
+//
+// Couriers sign each webhook with HMAC-SHA256 over "<timestamp>.<raw body>"
+// using their own secret (<COURIER>_WEBHOOK_SECRET, falling back to
+// LOGISTICS_WEBHOOK_SECRET) and send
+//
+//   X-Webhook-Timestamp   unix seconds
+//   X-Webhook-Signature   sha256=<hex digest>
+//   X-Webhook-Event-Id    optional; otherwise taken from the payload or a hash of the body
+//
+// Events are only accepted unsigned when no secret is configured at all. Once
+// any secret is set, an event we hold no secret for (no courier named, an
+// unknown courier, or a courier without its own secret and no shared one) is
+// rejected.
+
+const SIGNATURE_HEADER = 'x-webhook-signature';
+const TIMESTAMP_HEADER = 'x-webhook-timestamp';
+const EVENT_ID_HEADER = 'x-webhook-event-id';
+
+const getWebhookSecret = (courier) => (courier && process.env[`${courier.id.toUpperCase()}_WEBHOOK_SECRET`])
+    || process.env.LOGISTICS_WEBHOOK_SECRET
+    || '';
+
+const hasAnyWebhookSecret = () => !!process.env.LOGISTICS_WEBHOOK_SECRET
+    || COURIER_IDS.some(id => !!process.env[`${id.toUpperCase()}_WEBHOOK_SECRET`]);
+
+const signPayload = (secret, timestamp, rawBody) => crypto
+    .createHmac('sha256', secret)
+    .update(`${timestamp}.${rawBody}`)
+    .digest('hex');
+
+const safeEqual = (a, b) => {
+    const left = Buffer.from(String(a));
+    const right = Buffer.from(String(b));
+    return left.length === right.length && crypto.timingSafeEqual(left, right);
+};
+
+// Returns null when the signature holds, otherwise why it does not
+const checkSignature = (secret, { rawBody, headers }, toleranceSeconds) => {
+    const signature = String(headers[SIGNATURE_HEADER] || '').replace(/^sha256=/, '');
+    const timestamp = Number(headers[TIMESTAMP_HEADER]);
+
+    if (!signature || !timestamp) {
+        return 'missing_signature';
+    }
+    if (Math.abs(Date.now() / 1000 - timestamp) > toleranceSeconds) {
+        return 'timestamp_out_of_tolerance';
+    }
+    if (!safeEqual(signature, signPayload(secret, timestamp, rawBody))) {
+        return 'invalid_signature';
+    }
+    return null;
+};
+
+// ========== PAYLOAD FIELDS ==========
+
+const firstValue = (payload, keys) => {
+    const key = keys.find(name => payload[name] !== undefined && payload[name] !== null && payload[name] !== '');
+    return key ? String(payload[key]).trim() : '';
+};
+
+const readPayload = (payload) => ({
+    orderIdentifier: firstValue(payload, ['orderNumber', 'order_id', 'reference', 'trackingId', 'tracking_id', 'trackingNumber', 'tracking_number']),
+    courierStatus: firstValue(payload, ['status', 'currentStatus', 'event', 'state']).toLowerCase(),
+    courierName: firstValue(payload, ['courierName', 'courier', 'carrier', 'provider']) || undefined,
+    trackingId: firstValue(payload, ['trackingId', 'tracking_id', 'trackingNumber', 'tracking_number']) || undefined,
+    notes: firstValue(payload, ['notes', 'remark', 'description', 'message']) || undefined
+});
+
+const parseTime = (value) => {
+    if (value === undefined || value === null || value === '') return null;
+    // Unix seconds or milliseconds, or anything Date understands
+    const date = /^\d+$/.test(String(value))
+        ? new Date(Number(value) * (String(value).length > 10 ? 1 : 1000))
+        : new Date(value);
+    return Number.isNaN(date.getTime()) ? null : date;
+};
+
+// When the courier says the event happened: the payload's own time, else the signing time
+const getEventTime = (payload, headers) => parseTime(firstValue(payload, ['timestamp', 'updated_at', 'updatedAt', 'event_time', 'eventTime', 'occurred_at', 'occurredAt']))
+    || parseTime(headers[TIMESTAMP_HEADER])
+    || new Date();
+
+const getEventId = (payload, headers, rawBody) => String(headers[EVENT_ID_HEADER] || '').trim()
+    || firstValue(payload, ['eventId', 'event_id'])
+    || `sha256:${crypto.createHash('sha256').update(rawBody).digest('hex')}`;
+
+const findOrder = async (identifier) => await Order.findOne({ orderNumber: identifier })
+    || (mongoose.Types.ObjectId.isValid(identifier) && await Order.findById(identifier))
+    || await Order.findOne({ 'logistics.trackingId': identifier })
+    || await Order.findOne({ 'courier.trackingNumber': identifier });
+
+// ========== PROCESSING ==========
+
+const finishEvent = async (event, status, fields = {}) => {
+    Object.assign(event, { status, ...fields });
+    await event.save();
+    return event;
+};
+
+const failEvent = async (event, httpStatus, reason, message) => {
+    await finishEvent(event, 'failed', { failureReason: reason });
+    return { outcome: 'failed', httpStatus, message, event };
+};
+
+// Apply a stored event to its order. Used for fresh deliveries and replays.
+const applyLogisticsEvent = async (event) => {
+    const payload = event.payload || {};
+    const { orderIdentifier, courierStatus, courierName, trackingId, notes } = readPayload(payload);
+
+    if (!orderIdentifier) {
+        return failEvent(event, 400, 'missing_order_identifier', 'Missing order identifier in webhook payload');
+    }
+
+    const order = await findOrder(orderIdentifier);
+    if (!order) {
+        console.warn('Logistics webhook could not find order for identifier:', orderIdentifier);
+        return failEvent(event, 404, 'order_not_found', 'Order not found');
+    }
+
+    const courier = getCourier(event.courier) || getCourier(courierName);
+    const currentStatus = toLogisticsStatus(courier, courierStatus);
+
+    Object.assign(event, {
+        order: order._id,
+        orderNumber: order.orderNumber,
+        courierStatus,
+        logisticsStatus: currentStatus
+    });
+
+    const lastEventAt = order.logistics && order.logistics.lastEventAt;
+    if (lastEventAt && event.eventAt < lastEventAt) {
+        await finishEvent(event, 'stale', { failureReason: `older than the last applied event (${lastEventAt.toISOString()})` });
+        return { outcome: 'stale', httpStatus: 200, message: 'Event is older than the current status; ignored', event, order };
+    }
+
+    // Claim the event id; the unique index turns a concurrent second delivery into a duplicate key error
+    try {
+        await finishEvent(event, 'processed', { processedAt: new Date(), failureReason: undefined });
+    } catch (error) {
+        if (error.code !== 11000) throw error;
+        await finishEvent(event, 'duplicate');
+        return { outcome: 'duplicate', httpStatus: 200, message: 'Event already processed', event, order };
+    }
+
+    let transitions = [];
+    try {
+        order.logistics.courierName = (courier && courier.label) || courierName || order.logistics.courierName;
+        order.logistics.trackingId = trackingId || order.logistics.trackingId;
+        if (courier && order.courier && order.courier.provider === courier.id) {
+            order.courier.status = courierStatus;
+        }
+
+        order.logistics.currentStatus = currentStatus;
+        order.logistics.lastEventAt = event.eventAt;
+        order.logistics.statusLogs.push({
+            status: currentStatus,
+            updatedBy: 'logistics-webhook',
+            timestamp: new Date(),
+            notes
+        });
+
+        // Courier progress drives the order status; updates that do not move
+        // it still go on the timeline as courier entries
+        const message = `${order.logistics.courierName || 'Courier'}: ${notes || courierStatus || currentStatus}`;
+        transitions = await applyCourierStatus(order, currentStatus, { message });
+        if (!transitions.length) {
+            order.timeline.push({
+                status: `courier_${currentStatus.replace('-', '_')}`,
+                message,
+                source: 'courier',
+                timestamp: new Date()
+            });
+            await order.save();
+        }
+
+        event.orderTransitions = transitions;
+        await event.save();
+    } catch (error) {
+        console.error(`Logistics event ${event._id} could not be applied:`, error);
+        return failEvent(event, 500, error.message, 'Failed to process logistics webhook');
+    }
+
+    // Holds and failed attempts ask the customer what to do (see services/deliveryExceptions)
+    let exception = null;
+    try {
+        if (currentStatus === 'delayed' && order.orderStatus === 'shipped') {
+            exception = await recordDeliveryException(order, { courierStatus, notes, occurredAt: event.eventAt });
+        } else if (['delivered', 'returned'].includes(currentStatus)) {
+            await closeDeliveryExceptions(order, currentStatus);
+        }
+    } catch (error) {
+        console.error(`Delivery exception handling failed for order ${order.orderNumber}:`, error);
+    }
+
+    // Order status changes text the customer themselves; other updates get a logistics alert
+    try {
+        if (!transitions.length && !exception && order.customer?.phone) {
+            const logisticsAlert = buildLogisticsStatusMessage(order.orderNumber, currentStatus, order.logistics.courierName, notes);
+            await notifyLogisticsAlertSMS(order.customer.phone, logisticsAlert);
+        }
+    } catch (smsError) {
+        console.error('Logistics webhook SMS notification failed:', smsError);
+    }
+
+    return { outcome: 'processed', httpStatus: 200, message: 'Logistics event processed', event, order };
+};
+
+// Store one webhook delivery, check its signature and apply it.
+// `courierName` comes from the URL, or else the payload.
+// Returns { outcome, httpStatus, message, event, order }, where outcome is
+// processed | duplicate | stale | rejected | failed.
+const receiveLogisticsEvent = async ({ courierName, rawBody, payload = {}, headers = {}, ip }) => {
+    const named = courierName || readPayload(payload).courierName;
+    const courier = getCourier(named);
+    const body = rawBody === undefined ? JSON.stringify(payload) : rawBody;
+
+    const event = await LogisticsEvent.create({
+        courier: courier ? courier.id : String(named || 'generic').toLowerCase(),
+        eventId: getEventId(payload, headers, body),
+        eventAt: getEventTime(payload, headers),
+        rawBody: body,
+        payload,
+        headers: {
+            signature: headers[SIGNATURE_HEADER],
+            timestamp: headers[TIMESTAMP_HEADER],
+            eventId: headers[EVENT_ID_HEADER],
+            contentType: headers['content-type'],
+            userAgent: headers['user-agent']
+        },
+        ip
+    });
+
+    const secret = getWebhookSecret(courier);
+    if (!secret && hasAnyWebhookSecret()) {
+        await finishEvent(event, 'rejected', { failureReason: courier ? 'no_secret_for_courier' : 'unknown_courier' });
+        return { outcome: 'rejected', httpStatus: 401, message: 'Unauthorized webhook request', event };
+    }
+
+    if (courierName && !courier) {
+        await finishEvent(event, 'rejected', { failureReason: 'unknown_courier' });
+        return { outcome: 'rejected', httpStatus: 404, message: `Courier must be one of: ${COURIER_IDS.join(', ')}`, event };
+    }
+
+    if (secret) {
+        const problem = checkSignature(secret, { rawBody: body, headers }, await getSetting('logisticsWebhookToleranceSeconds'));
+        if (problem) {
+            await finishEvent(event, 'rejected', { failureReason: problem });
+            return { outcome: 'rejected', httpStatus: 401, message: 'Unauthorized webhook request', event };
+        }
+        event.signatureVerified = true;
+    }
+
+    if (await LogisticsEvent.exists({ courier: event.courier, eventId: event.eventId, status: 'processed' })) {
+        await finishEvent(event, 'duplicate');
+        return { outcome: 'duplicate', httpStatus: 200, message: 'Event already processed', event };
+    }
+
+    return applyLogisticsEvent(event);
+};
+
+// Run a failed event again, e.g. one that arrived before its order existed
+const replayLogisticsEvent = async (eventId, { replayedBy } = {}) => {
+    const event = mongoose.Types.ObjectId.isValid(eventId) ? await LogisticsEvent.findById(eventId) : null;
+    if (!event) {
+        return { outcome: 'not_found', httpStatus: 404, message: 'Logistics event not found' };
+    }
+    if (event.status !== 'failed') {
+        return { outcome: event.status, httpStatus: 409, message: `Only failed events can be replayed; this one is ${event.status}`, event };
+    }
+
+    event.replayCount += 1;
+    event.replayedAt = new Date();
+    event.replayedBy = replayedBy;
+
+    return applyLogisticsEvent(event);
+};
+
+module.exports = {
+    receiveLogisticsEvent,
+    replayLogisticsEvent
+};
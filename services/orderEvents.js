@@ -0,0 +1,42 @@
+const { EventEmitter } = require('events');
+
+// ========== ORDER EVENT BUS ==========
+// In-process only: the listeners are the tracking streams open on this Node
+// instance. Orders publish here after every save that adds timeline entries
+// or changes the courier status (see the order model's save hooks).
+
+const bus = new EventEmitter();
+bus.setMaxListeners(0); // one listener per open stream
+
+const orderChannel = (orderNumber) => `order:${orderNumber}`;
+const userChannel = (userId) => `user:${userId}`;
+
+// `changes` is { timeline: [new entries], logisticsChanged }
+const publishOrderChanges = (order, { timeline = [], logisticsChanged = false } = {}) => {
+    if (!timeline.length && !logisticsChanged) return;
+
+    const event = { orderNumber: order.orderNumber, order, timeline, logisticsChanged };
+    try {
+        bus.emit(orderChannel(order.orderNumber), event);
+        if (order.user) bus.emit(userChannel(order.user), event);
+    } catch (error) {
+        // A broken stream must never fail the save that triggered it
+        console.error(`Order ${order.orderNumber} event listener failed:`, error);
+    }
+};
+
+// Both return a function that removes the listener
+const subscribe = (channel, listener) => {
+    bus.on(channel, listener);
+    return () => bus.off(channel, listener);
+};
+
+const subscribeToOrder = (orderNumber, listener) => subscribe(orderChannel(orderNumber), listener);
+
+const subscribeToUser = (userId, listener) => subscribe(userChannel(userId), listener);
+
+module.exports = {
+    publishOrderChanges,
+    subscribeToOrder,
+    subscribeToUser
+};
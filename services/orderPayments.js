@@ -0,0 +1,485 @@
+const { Order, PaymentAttempt } = require('../models');
+const { PAYMENT_METHODS, getPaymentProvider, getOrderProvider, getGatewayDetails } = require('./payments');
+const { reserveStock, releaseStock } = require('../utils/inventory');
+const { refundToWallet } = require('./walletService');
+
+const paymentError = (message, status = 400) => {
+    const error = new Error(message);
+    error.status = status;
+    return error;
+};
+
+// ========== PAYMENT LEDGER ==========
+
+const roundTaka = (amount) => Math.round(Number(amount) * 100) / 100;
+
+const sameAmount = (a, b) => Number(a).toFixed(2) === Number(b).toFixed(2);
+
+// What the customer has to pay online now: the advance of a COD order, or the whole order
+const getOnlineAmountDue = (order) => (order.advancePayment && order.advancePayment.required
+    ? order.advancePayment.amount
+    : order.totalAmount);
+
+// Amount still owed; orders from before the ledger have no balanceDue
+const getBalanceDue = (order) => {
+    if (typeof order.balanceDue === 'number') return order.balanceDue;
+    return ['paid', 'refunded'].includes(order.paymentStatus) ? 0 : order.totalAmount;
+};
+
+// Money taken online or by transfer (everything but cash on delivery)
+const getOnlinePaidAmount = (order) => {
+    const payments = order.payments || [];
+    if (payments.length === 0) {
+        return getOrderProvider(order) && ['paid', 'refunded'].includes(order.paymentStatus) ? order.totalAmount : 0;
+    }
+    return payments
+        .filter(payment => payment.source !== 'courier')
+        .reduce((sum, payment) => sum + payment.amount, 0);
+};
+
+// amountPaid, balanceDue and paymentStatus once `amount` more is received
+const paymentTotals = (order, amount) => {
+    const amountPaid = roundTaka((order.amountPaid || 0) + Number(amount));
+    const balanceDue = Math.max(0, roundTaka(order.totalAmount - amountPaid));
+    return { amountPaid, balanceDue, paymentStatus: balanceDue > 0 ? 'partially_paid' : 'paid' };
+};
+
+// The ledger entry for money received now; a COD order's online money is its advance
+const paymentEntry = (order, { method, source, amount, reference, recordedBy }) => ({
+    kind: source === 'courier' ? 'on_delivery' : order.paymentMethod === 'cod' ? 'advance' : 'full',
+    method,
+    source,
+    amount: roundTaka(amount),
+    reference,
+    recordedAt: new Date(),
+    recordedBy
+});
+
+// Record money received against the order (not saved). Returns the entry.
+const applyPayment = (order, payment) => {
+    const entry = paymentEntry(order, payment);
+    order.payments.push(entry);
+    Object.assign(order, paymentTotals(order, entry.amount));
+    return entry;
+};
+
+// ========== PAYMENT CREATION ==========
+
+// Open a checkout session with the order's payment provider for the amount
+// due online, and remember it for later verification. An order whose payment
+// expired (see services/paymentSweeper) gets its stock back first, and fails
+// with 409 if that stock is gone. Returns { paymentId, paymentUrl, instructions, amount }.
+const createOnlinePayment = async (order) => {
+    const provider = getOrderProvider(order);
+    if (!provider) {
+        throw paymentError(`${order.paymentMethod} is not an online payment method`);
+    }
+    const amount = getOnlineAmountDue(order);
+
+    const retrying = order.paymentStatus === 'failed';
+    const reserving = retrying && order.inventoryStatus === 'released';
+    if (reserving) {
+        const reservation = await reserveStock(order.items);
+        if (!reservation.success) {
+            throw paymentError(`${reservation.error}; this order can no longer be paid`, 409);
+        }
+    }
+
+    const callbackUrl = `${process.env.API_BASE_URL || 'http://localhost:5000'}/api/payments/${provider.id}/callback`;
+    let payment;
+    try {
+        payment = await provider.createPayment(order, { callbackUrl, amount });
+    } catch (error) {
+        if (reserving) await releaseStock(order.items);
+        throw error;
+    }
+
+    if (retrying) {
+        order.paymentStatus = 'pending';
+        if (reserving) order.inventoryStatus = 'reserved';
+        order.timeline.push({
+            status: 'payment_retried',
+            message: `New ${provider.label} payment started`,
+            source: 'customer',
+            timestamp: new Date()
+        });
+    }
+
+    order.paymentDetails = order.paymentDetails || {};
+    order.paymentDetails[provider.detailsKey] = {
+        paymentId: payment.paymentId || null,
+        invoiceNumber: payment.invoiceNumber,
+        amountDue: amount,
+        raw: payment.raw || null,
+        createdAt: new Date()
+    };
+    order.markModified(`paymentDetails.${provider.detailsKey}`);
+    await order.save();
+
+    return {
+        paymentId: payment.paymentId || null,
+        paymentUrl: payment.paymentUrl || null,
+        instructions: payment.instructions,
+        amount
+    };
+};
+
+// ========== MANUAL VERIFICATION ==========
+
+// Another order already carrying this trxID, wherever it was recorded
+const findOrderWithTrxID = (trxID, excludeId) => Order.findOne({
+    _id: { $ne: excludeId },
+    $or: [
+        { 'paymentDetails.transactionId': trxID },
+        ...PAYMENT_METHODS
+            .map(getPaymentProvider)
+            .filter(Boolean)
+            .map(provider => ({ [`paymentDetails.${provider.detailsKey}.trxID`]: trxID }))
+    ]
+});
+
+// Admin marks an order paid from a transaction they were told about (send
+// money, bank deposit). The amount must equal what is due online, the trxID must
+// not settle any other order, and where the gateway can look transactions up
+// it has to confirm them, unless `skipGatewayCheck` is set for money sent to
+// a personal wallet the merchant API cannot see. Claims the trxID like a
+// gateway callback does.
+const recordManualPayment = async (order, { transactionId, senderNumber, amount, verifiedBy, skipGatewayCheck = false }) => {
+    const trxID = String(transactionId || '').trim();
+
+    if (!trxID || amount === undefined || amount === null || amount === '') {
+        throw paymentError('Transaction ID and amount are required');
+    }
+    if (!['pending', 'failed'].includes(order.paymentStatus)) {
+        throw paymentError(`Order is already ${order.paymentStatus.replace('_', ' ')}`, 409);
+    }
+    if (order.orderStatus === 'cancelled') {
+        throw paymentError('Cancelled orders cannot be paid', 409);
+    }
+    const amountDue = getOnlineAmountDue(order);
+    if (!sameAmount(amount, amountDue)) {
+        throw paymentError(`Amount ৳${amount} does not match the ৳${amountDue} due`);
+    }
+
+    const other = await findOrderWithTrxID(trxID, order._id);
+    if (other) {
+        throw paymentError(`Transaction ${trxID} was already used for order ${other.orderNumber}`, 409);
+    }
+
+    const provider = getOrderProvider(order);
+    let gatewayResponse;
+    if (provider && provider.searchTransaction && !skipGatewayCheck) {
+        let result;
+        try {
+            result = await provider.searchTransaction(trxID);
+        } catch (error) {
+            throw paymentError(`Could not look up the transaction at ${provider.label}: ${error.message}`, 502);
+        }
+        if (result.status !== 'completed') {
+            throw paymentError(`${provider.label} has no completed transaction ${trxID}`);
+        }
+        if (!sameAmount(result.amount, amountDue)) {
+            throw paymentError(`${provider.label} reports ৳${result.amount} for ${trxID}, not ৳${amountDue}`);
+        }
+        gatewayResponse = result.raw;
+    }
+
+    // The unique index rejects a trxID claimed meanwhile by a callback or another admin
+    let claim;
+    try {
+        claim = await PaymentAttempt.create({
+            provider: provider ? provider.id : order.paymentMethod,
+            order: order._id,
+            orderNumber: order.orderNumber,
+            trxID,
+            amount: Number(amount),
+            callbackStatus: 'manual',
+            status: 'completed',
+            request: { method: 'MANUAL', body: { transactionId: trxID, senderNumber, amount, verifiedBy, skipGatewayCheck } },
+            gatewayResponse
+        });
+    } catch (error) {
+        if (error.code === 11000) throw paymentError(`Transaction ${trxID} has already been used`, 409);
+        throw error;
+    }
+
+    // An expired payment released its stock; hold it again
+    if (order.inventoryStatus === 'released') {
+        const reservation = await reserveStock(order.items);
+        if (!reservation.success) {
+            claim.status = 'rejected';
+            claim.rejectionReason = 'out_of_stock';
+            await claim.save();
+            throw paymentError(`${reservation.error}; refund the customer instead`, 409);
+        }
+        order.inventoryStatus = 'reserved';
+    }
+
+    const verifiedAt = new Date();
+    Object.assign(order.paymentDetails, {
+        transactionId: trxID,
+        senderNumber,
+        amount: Number(amount),
+        verifiedBy,
+        verifiedAt
+    });
+    applyPayment(order, {
+        method: provider ? provider.id : order.paymentMethod,
+        source: 'manual',
+        amount,
+        reference: trxID,
+        recordedBy: verifiedBy
+    });
+    order.timeline.push({
+        status: 'payment_verified',
+        message: `Payment ${trxID} (৳${amount}) verified manually${skipGatewayCheck ? ' without gateway lookup' : ''}`,
+        source: 'admin',
+        timestamp: verifiedAt,
+        updatedBy: verifiedBy
+    });
+    await order.save();
+
+    return order;
+};
+
+// ========== REFUND LEDGER ==========
+
+// Everything received for the order. Orders from before the ledger count
+// their total once paid, or once delivered for cash on delivery.
+const getPaidAmount = (order) => {
+    if ((order.payments || []).length > 0) return roundTaka(order.amountPaid || 0);
+    const collected = ['paid', 'refunded'].includes(order.paymentStatus)
+        || (order.paymentMethod === 'cod' && !!order.deliveredAt);
+    return collected ? order.totalAmount : 0;
+};
+
+// Total already refunded through the gateway for this order
+const getGatewayRefundedAmount = (order) => ((getGatewayDetails(order) || {}).refunds || [])
+    .reduce((sum, refund) => sum + (Number(refund.amount) || 0), 0);
+
+// Everything given back: the refund ledger, plus gateway refunds it does not
+// hold (made before the ledger, or not recorded on it yet). Ledger entries
+// for gateway refunds carry the gateway's refund reference.
+const getRefundedAmount = (order) => {
+    const ledger = order.refunds || [];
+    const recorded = new Set(ledger.map(refund => refund.reference).filter(Boolean));
+    const untracked = ((getGatewayDetails(order) || {}).refunds || [])
+        .filter(refund => !refund.reference || !recorded.has(refund.reference))
+        .reduce((sum, refund) => sum + (Number(refund.amount) || 0), 0);
+    return roundTaka(ledger.reduce((sum, refund) => sum + refund.amount, 0) + untracked);
+};
+
+// Record a refund that has been made (not saved). The order turns
+// 'refunded' once everything it was paid has gone back.
+const recordRefund = (order, { amount, destination, method, reference, reason, refundedBy }) => {
+    const paid = getPaidAmount(order);
+    order.refunds.push({
+        amount: roundTaka(amount),
+        destination,
+        method,
+        reference,
+        reason,
+        refundedAt: new Date(),
+        refundedBy
+    });
+    order.amountRefunded = getRefundedAmount(order);
+    if (paid > 0 && order.amountRefunded >= paid) {
+        order.paymentStatus = 'refunded';
+    }
+};
+
+// ========== REFUNDS ==========
+
+const REFUND_LOCK_MS = 10 * 60 * 1000; // after this a lock left by a crashed refund is taken over
+
+// Run `refund` holding the order's refund lock, so two refunds at once cannot
+// both pass the check on what is left to refund. Throws 409 while another
+// refund is running, or when one was recorded since `order` was loaded.
+const withRefundLock = async (order, refund) => {
+    const lockedAt = new Date();
+    const current = await Order.findOneAndUpdate(
+        {
+            _id: order._id,
+            $or: [
+                { refundLockedAt: { $exists: false } },
+                { refundLockedAt: null },
+                { refundLockedAt: { $lt: new Date(lockedAt.getTime() - REFUND_LOCK_MS) } }
+            ]
+        },
+        { $set: { refundLockedAt: lockedAt } },
+        { new: true }
+    );
+    if (!current) {
+        throw paymentError('Another refund for this order is in progress', 409);
+    }
+
+    try {
+        if (getRefundedAmount(current) !== getRefundedAmount(order) || getPaidAmount(current) !== getPaidAmount(order)) {
+            throw paymentError('Order was changed meanwhile. Please reload and try again.', 409);
+        }
+        return await refund();
+    } finally {
+        await Order.updateOne({ _id: order._id, refundLockedAt: lockedAt }, { $unset: { refundLockedAt: 1 } });
+    }
+};
+
+// Give `amount` of an order back as wallet balance of its customer
+const refundOrderToWallet = async (order, amount, { reason, createdBy } = {}) => {
+    if (!order.user) {
+        return { success: false, error: 'Wallet refunds need a customer account' };
+    }
+    const transaction = await refundToWallet(order.user, amount, {
+        order,
+        reason: reason || `Refund for order ${order.orderNumber}`,
+        createdBy
+    });
+    return { success: true, reference: String(transaction._id) };
+};
+
+// Refund `amount` of an order back the way it was paid: through the gateway,
+// or into the wallet for wallet orders. Returns { success, reference, raw } or
+// { success: false, manual, error } when the method has no automatic refund,
+// or the amount goes beyond what was paid online (cash collected on
+// delivery), and staff must send the money themselves.
+const refundToOriginalMethod = async (order, amount, reason) => {
+    if (order.paymentMethod === 'wallet') {
+        return refundOrderToWallet(order, amount, { reason });
+    }
+
+    const provider = getOrderProvider(order);
+    const details = getGatewayDetails(order);
+
+    if (!provider || !details || !details.paymentId) {
+        return { success: false, manual: true, error: `Automatic refunds are not available for ${order.paymentMethod}` };
+    }
+
+    const refundable = getOnlinePaidAmount(order) - getGatewayRefundedAmount(order);
+    if (Number(amount) > refundable) {
+        return { success: false, manual: true, error: `Only ৳${refundable} can be refunded through ${provider.label}` };
+    }
+
+    try {
+        const refund = await provider.refundPayment(
+            { ...details, trxID: details.trxID || order.paymentDetails.transactionId },
+            amount,
+            reason
+        );
+
+        if (!refund.success) {
+            if (refund.manual) return refund;
+            throw new Error(refund.error || 'Refund not completed');
+        }
+
+        order.paymentDetails[provider.detailsKey] = {
+            ...details,
+            refunds: [...(details.refunds || []), {
+                amount: Number(amount),
+                reference: refund.reference,
+                reason,
+                refundedAt: new Date(),
+                raw: refund.raw
+            }]
+        };
+        order.markModified(`paymentDetails.${provider.detailsKey}`);
+
+        return { success: true, reference: refund.reference, raw: refund.raw };
+    } catch (error) {
+        console.error(`${provider.label} refund failed for order ${order.orderNumber}:`, error);
+        return { success: false, error: error.message };
+    }
+};
+
+// Admin refund of what an order was paid, in full (amount omitted) or in
+// part. `destination` 'original' goes back through the gateway (or wallet)
+// it came from; money that cannot, such as cash collected on delivery, needs
+// the `reference` of a refund staff made themselves. 'wallet' credits the
+// customer's wallet instead. Records the refund and saves the order, holding
+// the order's refund lock meanwhile.
+const refundOrderPayment = async (order, { amount, destination = 'original', reason, reference, updatedBy } = {}) => {
+    if (!['original', 'wallet'].includes(destination)) {
+        throw paymentError("Refund destination must be 'original' or 'wallet'");
+    }
+    if (!['paid', 'partially_paid', 'refunded'].includes(order.paymentStatus)) {
+        throw paymentError('Only paid orders can be refunded');
+    }
+
+    return withRefundLock(order, async () => {
+        const refundable = roundTaka(getPaidAmount(order) - getRefundedAmount(order));
+        if (refundable <= 0) {
+            throw paymentError('Order has already been fully refunded');
+        }
+
+        const refundAmount = amount !== undefined ? roundTaka(amount) : refundable;
+        if (!(refundAmount > 0) || refundAmount > refundable) {
+            throw paymentError(`Refund amount must be between 1 and ${refundable}`);
+        }
+
+        const note = reason || `Refund for order ${order.orderNumber}`;
+        const provider = getOrderProvider(order);
+        let entry;
+
+        if (destination === 'wallet') {
+            const refund = await refundOrderToWallet(order, refundAmount, { reason: note, createdBy: updatedBy });
+            if (!refund.success) throw paymentError(refund.error);
+            entry = { destination: 'wallet', method: 'wallet', reference: refund.reference };
+        } else {
+            const refund = await refundToOriginalMethod(order, refundAmount, note);
+            if (refund.success) {
+                entry = {
+                    destination: order.paymentMethod === 'wallet' ? 'wallet' : 'original',
+                    method: provider ? provider.id : order.paymentMethod,
+                    reference: refund.reference
+                };
+            } else if (refund.manual && reference) {
+                entry = { destination: 'manual', method: order.paymentMethod, reference };
+            } else {
+                throw paymentError(refund.manual
+                    ? `${refund.error}; provide the reference of the manual refund`
+                    : `${provider ? provider.label : order.paymentMethod} refund failed: ${refund.error}`, refund.manual ? 400 : 502);
+            }
+        }
+
+        recordRefund(order, { ...entry, amount: refundAmount, reason, refundedBy: updatedBy });
+        const fullyRefunded = refundAmount >= refundable;
+        const via = {
+            wallet: 'to the wallet',
+            manual: `manually (${entry.reference})`,
+            original: `via ${provider ? provider.label : entry.method} (${entry.reference})`
+        }[entry.destination];
+        order.timeline.push({
+            status: fullyRefunded ? 'payment_refunded' : 'payment_partially_refunded',
+            message: `৳${refundAmount} refunded ${via}`,
+            reason,
+            source: 'admin',
+            timestamp: new Date(),
+            updatedBy
+        });
+        await order.save();
+
+        return {
+            amount: refundAmount,
+            destination: entry.destination,
+            reference: entry.reference,
+            remaining: roundTaka(refundable - refundAmount),
+            fullyRefunded
+        };
+    });
+};
+
+module.exports = {
+    getOnlineAmountDue,
+    getBalanceDue,
+    getOnlinePaidAmount,
+    paymentTotals,
+    paymentEntry,
+    applyPayment,
+    createOnlinePayment,
+    recordManualPayment,
+    getPaidAmount,
+    getGatewayRefundedAmount,
+    getRefundedAmount,
+    recordRefund,
+    refundToOriginalMethod,
+    withRefundLock,
+    refundOrderPayment
+};
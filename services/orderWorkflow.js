@@ -0,0 +1,285 @@
+const { Order, Return } = require('../models');
+const { releaseStock } = require('../utils/inventory');
+const { releaseCoupon } = require('../utils/coupons');
+const { sendDeliveryUpdateSMS } = require('../utils/helpers');
+const { applyPayment, getBalanceDue } = require('./orderPayments');
+const { hasActiveConsignment, cancelConsignment } = require('./courierBooking');
+
+// ========== ORDER STATUS STATE MACHINE ==========
+
+// Allowed moves for `orderStatus`. Terminal states have no outgoing edges.
+const ORDER_STATUS_TRANSITIONS = {
+    pending: ['confirmed', 'cancelled'],
+    confirmed: ['processing', 'cancelled'],
+    processing: ['shipped', 'cancelled'],
+    shipped: ['delivered', 'returned'], // returned = sent back to us by the courier
+    delivered: ['returned'],
+    cancelled: [],
+    returned: []
+};
+
+const ORDER_STATUSES = Object.keys(ORDER_STATUS_TRANSITIONS);
+
+const getAllowedTransitions = (status) => ORDER_STATUS_TRANSITIONS[status] || [];
+
+const canTransition = (from, to) => getAllowedTransitions(from).includes(to);
+
+// Ask for reserved stock to be given back. transitionOrder makes the claim
+// in the database with the status change, so it is returned exactly once
+// whichever path (cancel, return, payment expiry) gets there first.
+const claimRestock = (order) => {
+    if (order.inventoryStatus === 'released') return false;
+    order.inventoryStatus = 'released';
+    return true;
+};
+
+// The order lines with whatever its returns have not restocked already
+const getUnrestockedItems = async (order) => {
+    const returns = await Return.find({ order: order._id, 'items.restocked': true });
+    const restocked = new Map();
+    returns.forEach(rma => rma.items
+        .filter(item => item.restocked)
+        .forEach(item => {
+            const key = String(item.orderItem);
+            restocked.set(key, (restocked.get(key) || 0) + item.quantity);
+        }));
+
+    return order.items
+        .map(item => ({
+            product: item.product,
+            variantId: item.variantId,
+            name: item.name,
+            quantity: item.quantity - (restocked.get(String(item._id)) || 0)
+        }))
+        .filter(item => item.quantity > 0);
+};
+
+// Hooks run on entering a status. `before` mutates the order prior to saving;
+// `after` performs side effects once the new status is persisted.
+const transitionHooks = {
+    cancelled: {
+        before: async (order, context) => {
+            order.cancelledAt = new Date();
+            context.restock = claimRestock(order);
+        },
+        after: async (order, context) => {
+            if (context.restock) await releaseStock(order.items);
+            if (order.couponCode) await releaseCoupon(order.couponCode, { userId: order.user, phone: order.customer?.phone });
+            if (hasActiveConsignment(order)) {
+                try {
+                    await cancelConsignment(order, { reason: 'Order cancelled', cancelledBy: context.updatedBy, source: context.source });
+                } catch (error) {
+                    console.warn(`Order ${order.orderNumber} cancelled but its consignment is still booked:`, error.message);
+                }
+            }
+        }
+    },
+    returned: {
+        before: async (order, context) => {
+            context.restock = claimRestock(order);
+        },
+        after: async (order, context) => {
+            if (context.restock) await releaseStock(await getUnrestockedItems(order));
+        }
+    },
+    delivered: {
+        before: async (order, context) => {
+            order.deliveredAt = order.deliveredAt || new Date();
+
+            // The courier collected whatever a COD order still owed
+            const balance = getBalanceDue(order);
+            if (order.paymentMethod === 'cod' && ['pending', 'partially_paid'].includes(order.paymentStatus) && balance > 0) {
+                applyPayment(order, {
+                    method: 'cod',
+                    source: 'courier',
+                    amount: balance,
+                    reference: order.courier?.trackingNumber || order.trackingNumber,
+                    recordedBy: context.updatedBy
+                });
+            }
+        }
+    }
+};
+
+// Keep the courier leg in step when staff move the order themselves
+const syncLogistics = (order, from, to) => {
+    const current = order.logistics.currentStatus;
+    let status = null;
+    if (to === 'delivered') status = 'delivered';
+    if (to === 'returned' && from === 'shipped') status = 'returned';
+    if (to === 'shipped' && ['pending', 'confirmed'].includes(current)) status = 'dispatched';
+    if (!status || status === current) return;
+
+    order.logistics.currentStatus = status;
+    order.logistics.statusLogs.push({ status, updatedBy: 'order-status', timestamp: new Date(), notes: `Order marked ${to}` });
+};
+
+// Move an order to `nextStatus`, record it on the timeline and run the status hooks.
+// `source` says who caused it (see TIMELINE_SOURCES in models).
+// Throws an error with `status` 409 when the transition is not allowed or
+// another change to the order's status got there first.
+const transitionOrder = async (order, nextStatus, options = {}) => {
+    const { message, reason, updatedBy, source = 'system', notify = true } = options;
+    const currentStatus = order.orderStatus;
+
+    if (!canTransition(currentStatus, nextStatus)) {
+        const error = new Error(`Cannot change order status from '${currentStatus}' to '${nextStatus}'`);
+        error.status = 409;
+        error.allowed = getAllowedTransitions(currentStatus);
+        throw error;
+    }
+
+    const hooks = transitionHooks[nextStatus] || {};
+    const context = { updatedBy, source };
+
+    if (hooks.before) await hooks.before(order, context);
+
+    // Only one of several transitions racing from the same status wins, and
+    // stock released meanwhile (e.g. by the payment sweeper) is not released again
+    const previous = await Order.findOneAndUpdate(
+        { _id: order._id, orderStatus: currentStatus },
+        { $set: { orderStatus: nextStatus, ...(context.restock && { inventoryStatus: 'released' }) } }
+    ).select('inventoryStatus');
+    if (!previous) {
+        const error = new Error('Order status changed meanwhile. Please reload and try again.');
+        error.status = 409;
+        throw error;
+    }
+    if (previous.inventoryStatus === 'released') context.restock = false;
+
+    order.orderStatus = nextStatus;
+    if (source !== 'courier') syncLogistics(order, currentStatus, nextStatus);
+    order.timeline.push({
+        status: nextStatus,
+        message: message || `Order ${nextStatus}`,
+        reason,
+        source,
+        timestamp: new Date(),
+        updatedBy
+    });
+
+    await order.save();
+
+    if (hooks.after) {
+        try {
+            await hooks.after(order, context);
+        } catch (error) {
+            console.error(`Order ${order.orderNumber} ${nextStatus} hook failed:`, error);
+        }
+    }
+
+    if (notify && order.customer?.phone) {
+        try {
+            await sendDeliveryUpdateSMS(order.customer.phone, order.orderNumber, nextStatus);
+        } catch (error) {
+            console.error('Order status notification failed:', error);
+        }
+    }
+
+    return order;
+};
+
+// ========== COURIER EVENTS ==========
+
+// Order status each logistics status implies. `pending` (consignment
+// cancelled) and anything unknown leave the order alone.
+const LOGISTICS_ORDER_STATUS = {
+    confirmed: 'processing', // courier has accepted the parcel
+    dispatched: 'shipped',
+    'in-transit': 'shipped',
+    delayed: 'shipped',
+    delivered: 'delivered',
+    returned: 'returned' // sent back to us undelivered
+};
+
+// The forward path courier events may walk an order along. Pending orders
+// still wait on payment or staff and are never moved by a courier, and an
+// order never moves backwards.
+const FULFILMENT_PATH = ['confirmed', 'processing', 'shipped', 'delivered'];
+
+const walkTo = (from, to) => {
+    const start = FULFILMENT_PATH.indexOf(from);
+    const end = FULFILMENT_PATH.indexOf(to);
+    return start === -1 || end <= start ? [] : FULFILMENT_PATH.slice(start + 1, end + 1);
+};
+
+// Statuses an order passes through for a courier event, in order
+const getCourierTransitions = (from, logisticsStatus) => {
+    const target = LOGISTICS_ORDER_STATUS[logisticsStatus];
+    if (!target) return [];
+    if (target === 'returned') {
+        if (from === 'shipped') return ['returned'];
+        const toShipped = walkTo(from, 'shipped');
+        return toShipped.length ? [...toShipped, 'returned'] : [];
+    }
+    return walkTo(from, target);
+};
+
+// Move the order as far as the courier's latest status says, one transition
+// at a time so every hook (deliveredAt, COD collection, restock) runs.
+// Only the last step notifies the customer. Returns the statuses entered.
+const applyCourierStatus = async (order, logisticsStatus, { message } = {}) => {
+    const steps = getCourierTransitions(order.orderStatus, logisticsStatus);
+
+    for (const [index, status] of steps.entries()) {
+        const last = index === steps.length - 1;
+        await transitionOrder(order, status, {
+            message: last ? message : `Order ${status} (courier update)`,
+            source: 'courier',
+            notify: last
+        });
+    }
+
+    return steps;
+};
+
+// ========== FULFILMENT STATUS ==========
+
+// What customers see: the order status, refined by the courier's progress
+// while the order is with them.
+const FULFILMENT_STAGES = {
+    pending: 'Order placed',
+    confirmed: 'Order confirmed',
+    processing: 'Being packed',
+    awaiting_pickup: 'Waiting for courier pickup',
+    shipped: 'Handed to courier',
+    in_transit: 'On the way',
+    delayed: 'Delivery delayed',
+    delivered: 'Delivered',
+    cancelled: 'Cancelled',
+    returned: 'Returned'
+};
+
+const getFulfilmentStage = (order) => {
+    const courierStatus = order.logistics && order.logistics.currentStatus;
+    if (['confirmed', 'processing'].includes(order.orderStatus) && courierStatus === 'confirmed') return 'awaiting_pickup';
+    if (order.orderStatus === 'shipped' && courierStatus === 'in-transit') return 'in_transit';
+    if (order.orderStatus === 'shipped' && courierStatus === 'delayed') return 'delayed';
+    return order.orderStatus;
+};
+
+const getFulfilmentStatus = (order) => {
+    const stage = getFulfilmentStage(order);
+    const latest = (order.timeline || []).reduce((last, entry) => (!last || entry.timestamp > last ? entry.timestamp : last), null);
+
+    return {
+        status: order.orderStatus,
+        stage,
+        label: FULFILMENT_STAGES[stage] || stage,
+        courierStatus: (order.logistics && order.logistics.currentStatus) || null,
+        deliveredAt: order.deliveredAt,
+        updatedAt: latest
+    };
+};
+
+module.exports = {
+    ORDER_STATUSES,
+    ORDER_STATUS_TRANSITIONS,
+    FULFILMENT_STAGES,
+    getAllowedTransitions,
+    canTransition,
+    transitionOrder,
+    getCourierTransitions,
+    applyCourierStatus,
+    getFulfilmentStatus
+};
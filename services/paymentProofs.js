@@ -0,0 +1,206 @@
+const { Order } = require('../models');
+const { PAYMENT_METHODS, acceptsPaymentProof, getPaymentProvider, getOrderProvider } = require('./payments');
+const { recordManualPayment, getOnlineAmountDue } = require('./orderPayments');
+const { transitionOrder } = require('./orderWorkflow');
+const { sendPaymentProofResultSMS } = require('../utils/helpers');
+
+const proofError = (message, status = 400) => {
+    const error = new Error(message);
+    error.status = status;
+    return error;
+};
+
+const notifyCustomer = async (order, approved, reason) => {
+    if (!order.customer?.phone) return;
+    try {
+        await sendPaymentProofResultSMS(order.customer.phone, order.orderNumber, approved, reason);
+    } catch (error) {
+        console.error('Payment proof notification failed:', error);
+    }
+};
+
+// ========== SUBMISSION ==========
+
+// Customer reports a send-money payment for an unpaid order (or for the
+// advance on a COD order). One proof can wait for review at a time, and a
+// trxID can only be claimed by one order.
+const submitPaymentProof = async (order, { trxID, senderNumber, amount, screenshot, submittedBy }) => {
+    const provider = getOrderProvider(order);
+    if (!provider || !acceptsPaymentProof(provider.id)) {
+        const labels = PAYMENT_METHODS.filter(acceptsPaymentProof).map(method => getPaymentProvider(method).label);
+        throw proofError(`Payment proofs are only accepted for ${labels.join(', ')} orders`);
+    }
+    if (!['pending', 'failed'].includes(order.paymentStatus) || order.orderStatus === 'cancelled') {
+        throw proofError('This order is not awaiting payment', 409);
+    }
+
+    const trx = String(trxID || '').trim();
+    const paid = Number(amount);
+    if (!trx || !senderNumber || !amount) {
+        throw proofError('Transaction ID, sender number and amount are required');
+    }
+    if (!(paid > 0)) {
+        throw proofError('Amount must be a positive number');
+    }
+    const amountDue = getOnlineAmountDue(order);
+    if (paid.toFixed(2) !== Number(amountDue).toFixed(2)) {
+        throw proofError(`Please send the amount due of ৳${amountDue}`);
+    }
+
+    if (order.paymentProofs.some(proof => proof.status === 'pending')) {
+        throw proofError('A payment proof for this order is already waiting for review', 409);
+    }
+    if (order.paymentProofs.some(proof => proof.trxID === trx)) {
+        throw proofError('This transaction was already submitted for this order', 409);
+    }
+
+    const claimed = await Order.exists({
+        _id: { $ne: order._id },
+        paymentProofs: { $elemMatch: { trxID: trx, status: { $ne: 'rejected' } } }
+    });
+    if (claimed) {
+        throw proofError('This transaction has already been submitted for another order', 409);
+    }
+
+    order.paymentProofs.push({
+        method: provider.id,
+        trxID: trx,
+        senderNumber: String(senderNumber).trim(),
+        amount: paid,
+        screenshot,
+        submittedBy
+    });
+    order.timeline.push({
+        status: 'payment_proof_submitted',
+        message: `Customer reported ${provider.label} payment ${trx}`,
+        source: 'customer',
+        timestamp: new Date(),
+        updatedBy: submittedBy
+    });
+    await order.save();
+
+    return order.paymentProofs[order.paymentProofs.length - 1];
+};
+
+// ========== REVIEW ==========
+
+const findPendingProof = (order, proofId) => {
+    const proof = order.paymentProofs.id(proofId);
+    if (!proof) {
+        throw proofError('Payment proof not found', 404);
+    }
+    if (proof.status !== 'pending') {
+        throw proofError(`Payment proof was already ${proof.status}`, 409);
+    }
+    return proof;
+};
+
+// Accept a proof: the payment goes through the same checks as
+// verify-payment (amount, trxID reuse, gateway lookup unless skipped),
+// then the order is confirmed and the customer told.
+const approvePaymentProof = async (order, proofId, { reviewedBy, skipGatewayCheck = false } = {}) => {
+    const proof = findPendingProof(order, proofId);
+
+    proof.status = 'approved';
+    proof.reviewedBy = reviewedBy;
+    proof.reviewedAt = new Date();
+
+    await recordManualPayment(order, {
+        transactionId: proof.trxID,
+        senderNumber: proof.senderNumber,
+        amount: proof.amount,
+        verifiedBy: reviewedBy,
+        skipGatewayCheck
+    });
+
+    if (order.orderStatus === 'pending') {
+        await transitionOrder(order, 'confirmed', {
+            message: `Payment ${proof.trxID} verified`,
+            source: 'admin',
+            updatedBy: reviewedBy,
+            notify: false
+        });
+    }
+
+    await notifyCustomer(order, true);
+    return proof;
+};
+
+const rejectPaymentProof = async (order, proofId, { reviewedBy, reason } = {}) => {
+    if (!reason) {
+        throw proofError('Rejection reason is required');
+    }
+
+    const proof = findPendingProof(order, proofId);
+
+    proof.status = 'rejected';
+    proof.rejectionReason = reason;
+    proof.reviewedBy = reviewedBy;
+    proof.reviewedAt = new Date();
+    order.timeline.push({
+        status: 'payment_proof_rejected',
+        message: `Payment ${proof.trxID} could not be verified`,
+        reason,
+        source: 'admin',
+        timestamp: proof.reviewedAt,
+        updatedBy: reviewedBy
+    });
+    await order.save();
+
+    await notifyCustomer(order, false, reason);
+    return proof;
+};
+
+// ========== QUEUE ==========
+
+// Proofs with the given status, oldest submission first, with the order
+// details a reviewer needs. Returns { proofs, total }.
+const listPaymentProofs = async ({ status = 'pending', method, page = 1, limit = 20 } = {}) => {
+    const match = { 'paymentProofs.status': status };
+    if (method) match['paymentProofs.method'] = method;
+
+    const [proofs, [counted]] = await Promise.all([
+        Order.aggregate([
+            { $match: match },
+            { $unwind: '$paymentProofs' },
+            { $match: match },
+            { $sort: { 'paymentProofs.submittedAt': 1 } },
+            { $skip: (page - 1) * limit },
+            { $limit: limit },
+            {
+                $project: {
+                    orderNumber: 1,
+                    customer: 1,
+                    paymentMethod: 1,
+                    paymentStatus: 1,
+                    orderStatus: 1,
+                    totalAmount: 1,
+                    createdAt: 1,
+                    proof: '$paymentProofs'
+                }
+            }
+        ]),
+        Order.aggregate([
+            { $match: match },
+            { $unwind: '$paymentProofs' },
+            { $match: match },
+            { $count: 'total' }
+        ])
+    ]);
+
+    const now = Date.now();
+    return {
+        proofs: proofs.map(entry => ({
+            ...entry,
+            waitingMinutes: Math.floor((now - new Date(entry.proof.submittedAt).getTime()) / 60000)
+        })),
+        total: counted ? counted.total : 0
+    };
+};
+
+module.exports = {
+    submitPaymentProof,
+    approvePaymentProof,
+    rejectPaymentProof,
+    listPaymentProofs
+};
@@ -0,0 +1,200 @@
+const { Order, PaymentAttempt } = require('../models');
+const { PAYMENT_METHODS, isOnlineMethod, getOrderProvider, getGatewayDetails } = require('./payments');
+const { settlePayment } = require('./payments/callback');
+const { transitionOrder } = require('./orderWorkflow');
+const { releaseStock } = require('../utils/inventory');
+const { sendPaymentRetrySMS } = require('../utils/helpers');
+const { getSetting } = require('../utils/settings');
+
+const DEFAULT_INTERVAL_MS = 5 * 60 * 1000;
+const BATCH_SIZE = 100;
+
+const ONLINE_METHODS = PAYMENT_METHODS.filter(isOnlineMethod);
+
+// Orders expected to pay online: online methods, and COD orders owing an advance
+const PAYS_ONLINE = [
+    { paymentMethod: { $in: ONLINE_METHODS } },
+    { 'advancePayment.required': true }
+];
+
+const retryPaymentUrl = (orderNumber) => `${process.env.FRONTEND_URL || 'https://tuavec.com'}/?retryPayment=${encodeURIComponent(orderNumber)}`;
+
+// ========== EXPIRY ==========
+
+// Ask the gateway before giving up on an order: the customer may have paid
+// and the callback simply never reached us.
+const recoverPayment = async (provider, order, paymentId) => {
+    const result = await provider.queryPayment(paymentId);
+    if (result.status !== 'completed') return null;
+
+    const attempt = await PaymentAttempt.create({
+        provider: provider.id,
+        order: order._id,
+        orderNumber: order.orderNumber,
+        paymentId,
+        callbackStatus: 'success',
+        request: { method: 'SWEEP' }
+    });
+    return settlePayment(provider, order, result, attempt);
+};
+
+// 'fail': mark the payment failed and give the stock back, leaving the order
+// open so the customer can retry. Returns false if the order moved on meanwhile.
+const failUnpaidOrder = async (order, provider, smsEnabled) => {
+    const now = new Date();
+    const previous = await Order.findOneAndUpdate(
+        { _id: order._id, paymentStatus: 'pending', orderStatus: 'pending', 'paymentProofs.status': { $ne: 'pending' } },
+        {
+            $set: { paymentStatus: 'failed', inventoryStatus: 'released', paymentExpiredAt: now, updatedAt: now },
+            $push: {
+                timeline: {
+                    status: 'payment_expired',
+                    message: `${provider.label} payment not received in time; stock released`,
+                    reason: 'payment_timeout',
+                    timestamp: now
+                }
+            }
+        }
+    );
+    if (!previous) return false;
+
+    if (previous.inventoryStatus !== 'released') {
+        await releaseStock(previous.items);
+    }
+
+    if (smsEnabled && previous.customer?.phone) {
+        try {
+            await sendPaymentRetrySMS(previous.customer.phone, previous.orderNumber, retryPaymentUrl(previous.orderNumber));
+        } catch (error) {
+            console.error('Payment retry SMS failed:', error);
+        }
+    }
+    return true;
+};
+
+// 'cancel': close the order outright; the cancelled hook restocks and frees the coupon
+const cancelUnpaidOrder = async (order, provider) => {
+    const claimed = await Order.findOneAndUpdate(
+        { _id: order._id, paymentStatus: 'pending', orderStatus: 'pending', 'paymentProofs.status': { $ne: 'pending' } },
+        { $set: { paymentStatus: 'failed', paymentExpiredAt: new Date() } },
+        { new: true }
+    );
+    if (!claimed) return false;
+
+    await transitionOrder(claimed, 'cancelled', {
+        message: `Cancelled: ${provider.label} payment not received in time`,
+        reason: 'payment_timeout'
+    });
+    return true;
+};
+
+// ========== SWEEP ==========
+
+// Expire online-payment orders left unpaid past the timeout, then cancel
+// expired orders the customer never came back to pay.
+// Returns counts of { checked, recovered, expired, cancelled, errors }.
+const sweepUnpaidOrders = async () => {
+    const [timeoutMinutes, action, cancelAfterHours, smsEnabled] = await Promise.all([
+        getSetting('unpaidOrderTimeoutMinutes'),
+        getSetting('unpaidOrderAction'),
+        getSetting('unpaidOrderCancelAfterHours'),
+        getSetting('paymentRetrySms')
+    ]);
+
+    const stats = { checked: 0, recovered: 0, expired: 0, cancelled: 0, errors: 0 };
+    const cutoff = new Date(Date.now() - Number(timeoutMinutes) * 60 * 1000);
+
+    const unpaid = await Order.find({
+        $or: PAYS_ONLINE,
+        paymentStatus: 'pending',
+        orderStatus: 'pending',
+        'paymentProofs.status': { $ne: 'pending' }, // customer says they paid; staff decide
+        createdAt: { $lte: cutoff }
+    }).sort({ createdAt: 1 }).limit(BATCH_SIZE);
+
+    for (const order of unpaid) {
+        const provider = getOrderProvider(order);
+        const details = getGatewayDetails(order);
+
+        // A retry restarts the clock
+        if (details && details.createdAt && new Date(details.createdAt) > cutoff) continue;
+
+        stats.checked++;
+        try {
+            if (details && details.paymentId) {
+                const recovered = await recoverPayment(provider, order, details.paymentId);
+                if (recovered) {
+                    if (recovered.outcome === 'paid') stats.recovered++;
+                    continue;
+                }
+            }
+
+            const expired = action === 'cancel'
+                ? await cancelUnpaidOrder(order, provider)
+                : await failUnpaidOrder(order, provider, smsEnabled);
+            if (expired) stats.expired++;
+        } catch (error) {
+            // Gateway unreachable or similar; leave the order for the next run
+            stats.errors++;
+            console.error(`Payment sweep failed for order ${order.orderNumber}:`, error.message);
+        }
+    }
+
+    if (cancelAfterHours !== null && cancelAfterHours !== undefined) {
+        const abandonedBefore = new Date(Date.now() - Number(cancelAfterHours) * 60 * 60 * 1000);
+        const abandoned = await Order.find({
+            $or: PAYS_ONLINE,
+            paymentStatus: 'failed',
+            orderStatus: 'pending',
+            'paymentProofs.status': { $ne: 'pending' },
+            paymentExpiredAt: { $lte: abandonedBefore }
+        }).limit(BATCH_SIZE);
+
+        for (const order of abandoned) {
+            try {
+                await transitionOrder(order, 'cancelled', {
+                    message: 'Cancelled: payment was never completed',
+                    reason: 'payment_timeout'
+                });
+                stats.cancelled++;
+            } catch (error) {
+                stats.errors++;
+                console.error(`Failed to cancel unpaid order ${order.orderNumber}:`, error.message);
+            }
+        }
+    }
+
+    return stats;
+};
+
+// Run the sweep now and then every PAYMENT_SWEEP_INTERVAL_MS. Overlapping runs
+// are skipped, and the timer does not keep the process alive on shutdown.
+const startPaymentSweeper = () => {
+    const intervalMs = parseInt(process.env.PAYMENT_SWEEP_INTERVAL_MS) || DEFAULT_INTERVAL_MS;
+    let running = false;
+
+    const run = async () => {
+        if (running) return;
+        running = true;
+        try {
+            const stats = await sweepUnpaidOrders();
+            if (stats.recovered || stats.expired || stats.cancelled || stats.errors) {
+                console.log('💳 Payment sweep:', stats);
+            }
+        } catch (error) {
+            console.error('Payment sweep error:', error);
+        } finally {
+            running = false;
+        }
+    };
+
+    run();
+    const timer = setInterval(run, intervalMs);
+    timer.unref();
+    return timer;
+};
+
+module.exports = {
+    sweepUnpaidOrders,
+    startPaymentSweeper
+};
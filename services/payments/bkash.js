@@ -0,0 +1,94 @@
+const bkash = require('../../utils/bkash');
+const mock = require('./mockGateway');
+
+const PROVIDER = 'bkash';
+
+const normalise = (result) => ({
+    status: result && result.transactionStatus === 'Completed' ? 'completed'
+        : result && result.transactionStatus === 'Initiated' ? 'pending'
+            : 'failed',
+    paymentId: result && result.paymentID,
+    trxID: result && result.trxID,
+    amount: result ? Number(result.amount) : undefined,
+    invoiceNumber: result && result.merchantInvoiceNumber,
+    raw: result
+});
+
+module.exports = {
+    id: PROVIDER,
+    label: 'bKash',
+    online: true,
+    detailsKey: 'bKash',
+    acceptsSendMoney: true,
+
+    isMock: () => mock.isMockEnabled(PROVIDER),
+
+    async createPayment(order, { callbackUrl, amount = order.totalAmount }) {
+        if (this.isMock()) {
+            const session = mock.createSession(PROVIDER, {
+                amount,
+                invoiceNumber: order.orderNumber,
+                callbackUrl
+            });
+            return { paymentId: session.paymentId, paymentUrl: session.paymentUrl, raw: { mock: true } };
+        }
+
+        const payment = await bkash.createPayment({
+            amount,
+            orderId: order._id,
+            orderNumber: order.orderNumber,
+            callbackUrl
+        });
+
+        return {
+            paymentId: payment.paymentId || null,
+            paymentUrl: payment.paymentUrl || (payment.raw && payment.raw.bkashURL) || null,
+            raw: payment.raw || null
+        };
+    },
+
+    parseCallback: (params) => ({
+        paymentId: params.paymentID || params.paymentId,
+        status: params.status
+    }),
+
+    // Execute the payment; if bKash says it was already executed (a retried
+    // callback, or execute timed out on our side), fall back to querying it.
+    async verifyPayment(paymentId) {
+        if (this.isMock()) return mock.describeSession(mock.getSession(PROVIDER, paymentId));
+
+        try {
+            return normalise(await bkash.executePayment(paymentId));
+        } catch (error) {
+            console.warn(`bKash execute failed for ${paymentId}, querying instead:`, error.message);
+            return this.queryPayment(paymentId);
+        }
+    },
+
+    async queryPayment(paymentId) {
+        if (this.isMock()) return mock.describeSession(mock.getSession(PROVIDER, paymentId));
+        return normalise(await bkash.queryPayment(paymentId));
+    },
+
+    // Look a transaction up by trxID alone, e.g. a send-money payment typed in by staff
+    async searchTransaction(trxID) {
+        if (this.isMock()) return mock.describeSession(mock.findSessionByTrx(PROVIDER, trxID));
+        return normalise(await bkash.searchTransaction(trxID));
+    },
+
+    async refundPayment(details, amount, reason) {
+        if (this.isMock()) return mock.refundSession(PROVIDER, details.paymentId, amount);
+
+        const refund = await bkash.refundPayment({
+            paymentId: details.paymentId,
+            trxId: details.trxID,
+            amount,
+            reason
+        });
+
+        if (!refund || refund.transactionStatus !== 'Completed') {
+            return { success: false, error: (refund && refund.statusMessage) || 'Refund not completed', raw: refund };
+        }
+        return { success: true, reference: refund.refundTrxID, amount: Number(refund.amount), raw: refund };
+    }
+};
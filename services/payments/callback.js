@@ -0,0 +1,207 @@
+const { Order, PaymentAttempt } = require('../../models');
+const { transitionOrder } = require('../orderWorkflow');
+const { reserveStock, releaseStock } = require('../../utils/inventory');
+const { getOnlineAmountDue, paymentTotals, paymentEntry } = require('../orderPayments');
+const { paidOnlineWith } = require('./index');
+
+const sameAmount = (a, b) => Number(a).toFixed(2) === Number(b).toFixed(2);
+
+const finishAttempt = async (attempt, status, fields = {}) => {
+    Object.assign(attempt, { status, ...fields });
+    await attempt.save();
+    return attempt;
+};
+
+// Money arrived for an order that can no longer take it (cancelled meanwhile);
+// send it straight back rather than leaving it with us.
+const refundUnpayableOrder = async (provider, details, result, orderNumber) => {
+    try {
+        return await provider.refundPayment(
+            { ...details, trxID: result.trxID, amount: result.amount },
+            result.amount,
+            `Order ${orderNumber} was no longer payable`
+        );
+    } catch (error) {
+        console.error(`${provider.label} auto-refund failed for ${result.paymentId}; refund manually:`, error);
+        return { success: false, error: error.message };
+    }
+};
+
+const rejectAttempt = async (attempt, httpStatus, reason, message, fields) => {
+    await finishAttempt(attempt, 'rejected', { rejectionReason: reason, ...fields });
+    return { outcome: 'rejected', httpStatus, message, attempt };
+};
+
+// ========== SETTLEMENT ==========
+
+// Apply a verified gateway result to the order: check it really pays this
+// order, claim its trxID and mark the order paid. Shared by callbacks and the
+// unpaid-order sweeper, which finds payments whose callback never arrived.
+const settlePayment = async (provider, order, result, attempt) => {
+    const paymentId = order.paymentDetails[provider.detailsKey].paymentId;
+    const existing = order.paymentDetails[provider.detailsKey];
+    const detailsPath = `paymentDetails.${provider.detailsKey}`;
+    const reject = (httpStatus, reason, message, fields) => rejectAttempt(attempt, httpStatus, reason, message, fields);
+
+    const facts = {
+        gatewayResponse: result.raw,
+        trxID: result.trxID,
+        amount: result.amount,
+        invoiceNumber: result.invoiceNumber
+    };
+
+    if (result.status !== 'completed') {
+        await finishAttempt(attempt, result.status === 'cancelled' ? 'cancelled' : 'failed', {
+            ...facts,
+            rejectionReason: `transaction_${result.status}`
+        });
+        return { outcome: result.status === 'cancelled' ? 'cancelled' : 'failed', httpStatus: 400, message: 'Payment was not completed', order, attempt };
+    }
+    if (result.paymentId !== paymentId || !result.trxID) {
+        return reject(400, 'payment_mismatch', 'Payment does not match', facts);
+    }
+    if (result.invoiceNumber !== (existing.invoiceNumber || order.orderNumber)) {
+        return reject(400, 'invoice_mismatch', 'Payment does not belong to this order', facts);
+    }
+    if (!sameAmount(result.amount, getOnlineAmountDue(order))) {
+        return reject(400, 'amount_mismatch', 'Paid amount does not match the amount due', facts);
+    }
+
+    // Claim the trxID; the unique index turns a concurrent second claim into a duplicate key error.
+    // A claim by an earlier callback for this same payment is a retry, not a reuse.
+    try {
+        await finishAttempt(attempt, 'completed', facts);
+    } catch (error) {
+        if (error.code !== 11000) throw error;
+
+        const claim = await PaymentAttempt.findOne({ provider: provider.id, trxID: result.trxID, status: 'completed' });
+        if (!claim || claim.paymentId !== paymentId || String(claim.order) !== String(order._id)) {
+            return reject(409, 'trx_already_used', 'Transaction has already been used', { ...facts, trxID: undefined });
+        }
+        await finishAttempt(attempt, 'duplicate', facts);
+    }
+
+    // A payment that expired released its stock; it has to be held again before we accept the money
+    const needsStock = order.inventoryStatus === 'released' && order.orderStatus !== 'cancelled';
+    if (needsStock) {
+        const reservation = await reserveStock(order.items);
+        if (!reservation.success) {
+            const refund = await refundUnpayableOrder(provider, existing, result, order.orderNumber);
+            await finishAttempt(attempt, 'rejected', {
+                rejectionReason: 'out_of_stock',
+                gatewayResponse: { payment: result.raw, refund }
+            });
+            return { outcome: 'rejected', httpStatus: 409, message: `${reservation.error}; the payment is being refunded`, order, attempt };
+        }
+    }
+
+    // Only an unpaid, open order can be marked paid; this also settles racing callbacks.
+    // A COD order's advance leaves it partially paid.
+    const paidAt = new Date();
+    const update = await Order.updateOne(
+        { _id: order._id, paymentStatus: { $in: ['pending', 'failed'] }, orderStatus: { $ne: 'cancelled' } },
+        {
+            $push: {
+                payments: paymentEntry(order, { method: provider.id, source: 'gateway', amount: result.amount, reference: result.trxID })
+            },
+            $set: {
+                ...paymentTotals(order, result.amount),
+                inventoryStatus: 'reserved',
+                [detailsPath]: {
+                    ...existing,
+                    trxID: result.trxID,
+                    amount: result.amount,
+                    verifiedAt: paidAt,
+                    verification: result.raw
+                },
+                'paymentDetails.transactionId': result.trxID,
+                'paymentDetails.amount': result.amount,
+                'paymentDetails.verifiedAt': paidAt
+            }
+        }
+    );
+
+    const fresh = await Order.findById(order._id);
+
+    if (update.modifiedCount === 0) {
+        if (needsStock) await releaseStock(order.items);
+
+        if (['paid', 'partially_paid'].includes(fresh.paymentStatus)) {
+            await finishAttempt(attempt, 'duplicate');
+            return { outcome: 'already_paid', httpStatus: 200, message: 'Payment already verified', order: fresh, attempt };
+        }
+
+        const refund = await refundUnpayableOrder(provider, existing, result, order.orderNumber);
+        await finishAttempt(attempt, 'rejected', {
+            rejectionReason: 'order_not_payable',
+            gatewayResponse: { payment: result.raw, refund }
+        });
+        return { outcome: 'rejected', httpStatus: 409, message: 'Order can no longer be paid; the payment is being refunded', order: fresh, attempt };
+    }
+
+    if (fresh.orderStatus === 'pending') {
+        await transitionOrder(fresh, 'confirmed', { message: `Payment received via ${provider.label} (${result.trxID})`, source: 'payment' });
+    }
+
+    return { outcome: 'paid', httpStatus: 200, message: 'Order payment verified and updated', order: fresh, attempt };
+};
+
+// ========== CALLBACK PROCESSING ==========
+
+// Handle one gateway callback. Only the payment id from the callback is trusted;
+// everything else is read back from the gateway and checked against the order.
+// Returns { outcome, httpStatus, message, order, attempt }, where outcome is
+// paid | already_paid | cancelled | failed | rejected.
+const processPaymentCallback = async (provider, { params = {}, request }) => {
+    const callback = provider.parseCallback(params);
+    const { paymentId, status } = callback;
+
+    const attempt = await PaymentAttempt.create({
+        provider: provider.id,
+        paymentId,
+        callbackStatus: status,
+        request
+    });
+
+    const reject = (httpStatus, reason, message, fields) => rejectAttempt(attempt, httpStatus, reason, message, fields);
+
+    if (!paymentId) {
+        return reject(400, 'missing_payment_id', 'Payment ID is required');
+    }
+
+    const order = await Order.findOne({ [`paymentDetails.${provider.detailsKey}.paymentId`]: paymentId, ...paidOnlineWith(provider.id) });
+    if (!order) {
+        return reject(404, 'unknown_payment', 'Order not found');
+    }
+
+    attempt.order = order._id;
+    attempt.orderNumber = order.orderNumber;
+
+    // Repeated callback for a payment we already accepted
+    const existing = order.paymentDetails[provider.detailsKey];
+    if (['paid', 'partially_paid'].includes(order.paymentStatus) && existing.trxID) {
+        await finishAttempt(attempt, 'duplicate', { trxID: existing.trxID });
+        return { outcome: 'already_paid', httpStatus: 200, message: 'Payment already verified', order, attempt };
+    }
+
+    if (status && status !== 'success') {
+        const outcome = status === 'cancel' ? 'cancelled' : 'failed';
+        await finishAttempt(attempt, outcome);
+        return { outcome, httpStatus: 200, message: `Payment ${outcome}`, order, attempt };
+    }
+
+    let result;
+    try {
+        result = await provider.verifyPayment(paymentId, callback);
+    } catch (error) {
+        console.error(`${provider.label} verification error:`, error);
+        return reject(502, 'verification_failed', 'Payment verification failed', { gatewayResponse: { error: error.message } });
+    }
+
+    return settlePayment(provider, order, result, attempt);
+};
+
+module.exports = {
+    settlePayment,
+    processPaymentCallback
+};
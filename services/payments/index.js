@@ -0,0 +1,80 @@
+// ========== PAYMENT PROVIDER REGISTRY ==========
+//
+// Every online provider implements the same adapter interface:
+//
+//   id, label, online, detailsKey      detailsKey = where its data lives under order.paymentDetails
+//   acceptsSendMoney                   customers may pay by personal send money and submit proof
+//   isMock()                           true when PAYMENT_MOCK or <PROVIDER>_MOCK is set
+//   createPayment(order, { callbackUrl, amount })   amount defaults to order.totalAmount
+//       -> { paymentId, paymentUrl, instructions?, invoiceNumber?, raw }
+//   parseCallback(params)              -> { paymentId, status: success|failure|cancel, ... }
+//   verifyPayment(paymentId, callback) -> normalised result (execute / validate)
+//   queryPayment(paymentId)            -> normalised result
+//   searchTransaction(trxID)           -> normalised result (optional; bKash only)
+//   refundPayment(details, amount, reason)
+//       -> { success, reference, amount, raw } or { success: false, manual?, error }
+//
+// A normalised result is { status: completed|pending|failed|cancelled,
+// paymentId, trxID, amount, invoiceNumber, raw }.
+
+const bkash = require('./bkash');
+const nagad = require('./nagad');
+const rocket = require('./rocket');
+const sslcommerz = require('./sslcommerz');
+
+const PROVIDERS = { bkash, nagad, rocket, sslcommerz };
+
+// Methods settled without a gateway
+const OFFLINE_METHODS = {
+    cod: { id: 'cod', label: 'Cash on Delivery', online: false },
+    wallet: { id: 'wallet', label: 'Wallet balance', online: false } // signed-in customers only
+};
+
+const PAYMENT_METHODS = [...Object.keys(OFFLINE_METHODS), ...Object.keys(PROVIDERS)];
+
+const isValidPaymentMethod = (method) => PAYMENT_METHODS.includes(method);
+
+// Adapter for an online method, or null for offline/unknown ones
+const getPaymentProvider = (method) => PROVIDERS[method] || null;
+
+const isOnlineMethod = (method) => !!getPaymentProvider(method);
+
+const listPaymentMethods = () => PAYMENT_METHODS.map(method => {
+    const provider = getPaymentProvider(method);
+    return provider
+        ? { id: provider.id, label: provider.label, online: true, mock: provider.isMock(), acceptsSendMoney: !!provider.acceptsSendMoney }
+        : { ...OFFLINE_METHODS[method] };
+});
+
+const acceptsPaymentProof = (method) => !!(getPaymentProvider(method) || {}).acceptsSendMoney;
+
+// Provider taking an order's online money: its payment method, or for a COD
+// order the gateway chosen for the advance. Null when nothing is paid online.
+const getOrderProvider = (order) => getPaymentProvider(order.paymentMethod)
+    || (order.advancePayment && order.advancePayment.required ? getPaymentProvider(order.advancePayment.method) : null);
+
+// Query matching orders whose online money goes through `providerId`
+const paidOnlineWith = (providerId) => ({
+    $or: [
+        { paymentMethod: providerId },
+        { 'advancePayment.required': true, 'advancePayment.method': providerId }
+    ]
+});
+
+// Gateway data stored on an order for its online provider
+const getGatewayDetails = (order) => {
+    const provider = getOrderProvider(order);
+    return (provider && order.paymentDetails && order.paymentDetails[provider.detailsKey]) || null;
+};
+
+module.exports = {
+    PAYMENT_METHODS,
+    isValidPaymentMethod,
+    isOnlineMethod,
+    getPaymentProvider,
+    listPaymentMethods,
+    acceptsPaymentProof,
+    getOrderProvider,
+    paidOnlineWith,
+    getGatewayDetails
+};
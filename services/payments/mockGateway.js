@@ -0,0 +1,96 @@
+const crypto = require('crypto');
+
+// In-process stand-in for a payment gateway, used by every adapter in mock
+// mode. Sessions live in memory only, which is all local testing needs.
+const sessions = new Map(); // `${provider}:${paymentId}` -> session
+
+const sessionKey = (provider, paymentId) => `${provider}:${paymentId}`;
+
+const randomId = (prefix) => `${prefix}${crypto.randomBytes(6).toString('hex').toUpperCase()}`;
+
+const apiBaseUrl = () => process.env.API_BASE_URL || 'http://localhost:5000';
+
+// Mock mode is on for a provider when PAYMENT_MOCK=true or <PROVIDER>_MOCK=true
+const isMockEnabled = (provider) => (
+    process.env.PAYMENT_MOCK === 'true' || process.env[`${provider.toUpperCase()}_MOCK`] === 'true'
+);
+
+const createSession = (provider, { amount, invoiceNumber, callbackUrl }) => {
+    const session = {
+        provider,
+        paymentId: randomId('MOCK'),
+        amount: Number(amount),
+        invoiceNumber,
+        callbackUrl,
+        status: 'pending',
+        refunds: []
+    };
+    sessions.set(sessionKey(provider, session.paymentId), session);
+
+    return {
+        ...session,
+        paymentUrl: `${apiBaseUrl()}/api/payments/${provider}/mock-checkout/${session.paymentId}`
+    };
+};
+
+const getSession = (provider, paymentId) => sessions.get(sessionKey(provider, paymentId)) || null;
+
+const findSessionByTrx = (provider, trxID) => [...sessions.values()]
+    .find(session => session.provider === provider && session.trxID === trxID) || null;
+
+// What the hosted checkout page would do: record the customer's decision
+// and return the URL the browser is sent back to.
+const decideSession = (provider, paymentId, outcome = 'success') => {
+    const session = getSession(provider, paymentId);
+    if (!session) return null;
+
+    if (outcome === 'success' && session.status === 'pending') {
+        session.status = 'completed';
+        session.trxID = randomId('TRX');
+        session.completedAt = new Date();
+    } else if (session.status === 'pending') {
+        session.status = outcome === 'cancel' ? 'cancelled' : 'failed';
+    }
+
+    const separator = session.callbackUrl.includes('?') ? '&' : '?';
+    return `${session.callbackUrl}${separator}paymentID=${session.paymentId}&status=${outcome}`;
+};
+
+// Normalised verification result, same shape the live adapters return
+const describeSession = (session) => (session ? {
+    status: session.status,
+    paymentId: session.paymentId,
+    trxID: session.trxID,
+    amount: session.amount,
+    invoiceNumber: session.invoiceNumber,
+    raw: { mock: true, ...session }
+} : {
+    status: 'failed',
+    raw: { mock: true, error: 'Unknown payment' }
+});
+
+const refundSession = (provider, paymentId, amount) => {
+    const session = getSession(provider, paymentId);
+    if (!session || session.status !== 'completed') {
+        return { success: false, error: 'Payment not found or not completed' };
+    }
+
+    const refunded = session.refunds.reduce((sum, refund) => sum + refund.amount, 0);
+    if (refunded + Number(amount) > session.amount) {
+        return { success: false, error: 'Refund exceeds the paid amount' };
+    }
+
+    const refund = { amount: Number(amount), reference: randomId('RFD'), refundedAt: new Date() };
+    session.refunds.push(refund);
+    return { success: true, reference: refund.reference, amount: refund.amount, raw: { mock: true, ...refund } };
+};
+
+module.exports = {
+    isMockEnabled,
+    createSession,
+    getSession,
+    findSessionByTrx,
+    decideSession,
+    describeSession,
+    refundSession
+};
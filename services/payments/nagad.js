@@ -0,0 +1,212 @@
+const axios = require('axios');
+const crypto = require('crypto');
+const mock = require('./mockGateway');
+
+const PROVIDER = 'nagad';
+
+const getConfig = () => ({
+    baseUrl: process.env.NAGAD_BASE_URL || 'http://sandbox.mynagad.com:10080/remote-payment-gateway-1.0',
+    merchantId: process.env.NAGAD_MERCHANT_ID || '',
+    merchantNumber: process.env.NAGAD_MERCHANT_NUMBER || '',
+    pgPublicKey: process.env.NAGAD_PG_PUBLIC_KEY || '',
+    merchantPrivateKey: process.env.NAGAD_MERCHANT_PRIVATE_KEY || '',
+    serverIp: process.env.NAGAD_SERVER_IP || '127.0.0.1'
+});
+
+const describeError = (err) => (err.response && err.response.data ? JSON.stringify(err.response.data) : err.message);
+
+// Keys may be configured as full PEM or as the bare base64 body Nagad hands out
+const toPem = (key, type) => (key.includes('BEGIN')
+    ? key.replace(/\\n/g, '\n')
+    : `-----BEGIN ${type}-----\n${key.match(/.{1,64}/g).join('\n')}\n-----END ${type}-----`);
+
+// Nagad wants local Bangladesh time as yyyyMMddHHmmss
+const nagadDateTime = (date = new Date()) => new Date(date.getTime() + 6 * 60 * 60 * 1000)
+    .toISOString().replace(/[-:T]/g, '').slice(0, 14);
+
+// ========== SIGNED REQUESTS ==========
+// Sensitive data is encrypted with Nagad's public key and signed with ours;
+// responses are encrypted with our public key.
+
+const encrypt = (config, data) => crypto.publicEncrypt({
+    key: toPem(config.pgPublicKey, 'PUBLIC KEY'),
+    padding: crypto.constants.RSA_PKCS1_PADDING
+}, Buffer.from(JSON.stringify(data))).toString('base64');
+
+const sign = (config, data) => crypto.createSign('SHA256')
+    .update(JSON.stringify(data))
+    .sign(toPem(config.merchantPrivateKey, 'PRIVATE KEY'), 'base64');
+
+// Node 20+ refuses PKCS#1 v1.5 private decryption unless the process runs with
+// --security-revert=CVE-2023-46809; Nagad offers no other padding.
+const decrypt = (config, data) => {
+    try {
+        return JSON.parse(crypto.privateDecrypt({
+            key: toPem(config.merchantPrivateKey, 'PRIVATE KEY'),
+            padding: crypto.constants.RSA_PKCS1_PADDING
+        }, Buffer.from(data, 'base64')).toString());
+    } catch (error) {
+        if (error.code === 'ERR_INVALID_ARG_VALUE') {
+            throw new Error('Cannot decrypt Nagad response: start Node with --security-revert=CVE-2023-46809');
+        }
+        throw error;
+    }
+};
+
+const headers = (config) => ({
+    'Content-Type': 'application/json',
+    'X-KM-Api-Version': 'v-0.2.0',
+    'X-KM-IP-V4': config.serverIp,
+    'X-KM-Client-Type': 'PC_WEB'
+});
+
+const signedBody = (config, data) => ({
+    sensitiveData: encrypt(config, data),
+    signature: sign(config, data)
+});
+
+// Nagad order ids are alphanumeric and at most 20 characters; a short suffix
+// keeps them unique across payment retries for the same order.
+const nagadOrderId = (orderNumber) => `${orderNumber.replace(/[^A-Za-z0-9]/g, '').slice(0, 16)}${Date.now().toString(36).slice(-4)}`;
+
+const normalise = (result) => ({
+    status: result && result.status === 'Success' ? 'completed'
+        : result && ['Ready', 'InProgress'].includes(result.status) ? 'pending'
+            : result && result.status === 'Aborted' ? 'cancelled'
+                : 'failed',
+    paymentId: result && result.paymentRefId,
+    trxID: result && result.issuerPaymentRefNo,
+    amount: result ? Number(result.amount) : undefined,
+    invoiceNumber: result && result.orderId,
+    raw: result
+});
+
+module.exports = {
+    id: PROVIDER,
+    label: 'Nagad',
+    online: true,
+    detailsKey: 'nagad',
+    acceptsSendMoney: true,
+
+    isMock: () => mock.isMockEnabled(PROVIDER),
+
+    async createPayment(order, { callbackUrl, amount = order.totalAmount }) {
+        if (this.isMock()) {
+            const session = mock.createSession(PROVIDER, {
+                amount,
+                invoiceNumber: order.orderNumber,
+                callbackUrl
+            });
+            return { paymentId: session.paymentId, paymentUrl: session.paymentUrl, raw: { mock: true } };
+        }
+
+        const config = getConfig();
+        if (!config.merchantId || !config.pgPublicKey || !config.merchantPrivateKey) {
+            throw new Error('Nagad merchant credentials not configured');
+        }
+
+        const orderId = nagadOrderId(order.orderNumber);
+        const dateTime = nagadDateTime();
+
+        try {
+            const init = await axios.post(
+                `${config.baseUrl}/api/dfs/check-out/initialize/${config.merchantId}/${orderId}`,
+                {
+                    accountNumber: config.merchantNumber,
+                    dateTime,
+                    ...signedBody(config, {
+                        merchantId: config.merchantId,
+                        datetime: dateTime,
+                        orderId,
+                        challenge: crypto.randomBytes(20).toString('hex')
+                    })
+                },
+                { headers: headers(config) }
+            );
+
+            const session = decrypt(config, init.data.sensitiveData);
+
+            const complete = await axios.post(
+                `${config.baseUrl}/api/dfs/check-out/complete/${session.paymentReferenceId}`,
+                {
+                    ...signedBody(config, {
+                        merchantId: config.merchantId,
+                        orderId,
+                        currencyCode: '050',
+                        amount: Number(amount).toFixed(2),
+                        challenge: session.challenge
+                    }),
+                    merchantCallbackURL: callbackUrl,
+                    additionalMerchantInfo: { orderNumber: order.orderNumber }
+                },
+                { headers: headers(config) }
+            );
+
+            if (!complete.data || complete.data.status !== 'Success') {
+                throw new Error((complete.data && complete.data.message) || 'Checkout was not created');
+            }
+
+            return {
+                paymentId: session.paymentReferenceId,
+                paymentUrl: complete.data.callBackUrl,
+                invoiceNumber: orderId,
+                raw: complete.data
+            };
+        } catch (err) {
+            throw new Error('Failed to create Nagad payment: ' + describeError(err));
+        }
+    },
+
+    parseCallback: (params) => ({
+        paymentId: params.payment_ref_id || params.paymentID,
+        status: params.status === 'Success' ? 'success'
+            : params.status === 'Aborted' ? 'cancel'
+                : params.status && params.status !== 'success' && params.status !== 'cancel' ? 'failure'
+                    : params.status
+    }),
+
+    async verifyPayment(paymentId) {
+        return this.queryPayment(paymentId);
+    },
+
+    async queryPayment(paymentId) {
+        if (this.isMock()) return mock.describeSession(mock.getSession(PROVIDER, paymentId));
+
+        const config = getConfig();
+        try {
+            const resp = await axios.get(`${config.baseUrl}/api/dfs/verify/payment/${paymentId}`, {
+                headers: headers(config)
+            });
+            return normalise(resp.data);
+        } catch (err) {
+            throw new Error('Failed to verify Nagad payment: ' + describeError(err));
+        }
+    },
+
+    // Nagad refunds through its purchase cancel API, partial amounts allowed
+    async refundPayment(details, amount, reason) {
+        if (this.isMock()) return mock.refundSession(PROVIDER, details.paymentId, amount);
+
+        const config = getConfig();
+        try {
+            const resp = await axios.post(`${config.baseUrl}/api/dfs/purchase/cancel`, {
+                ...signedBody(config, {
+                    merchantId: config.merchantId,
+                    originalRequestDate: nagadDateTime(new Date(details.createdAt || Date.now())).slice(0, 8),
+                    originalAmount: Number(details.amount).toFixed(2),
+                    cancelAmount: Number(amount).toFixed(2),
+                    referenceNo: details.paymentId,
+                    referenceMessage: reason || 'Order refund'
+                })
+            }, { headers: headers(config) });
+
+            const result = resp.data && resp.data.sensitiveData ? decrypt(config, resp.data.sensitiveData) : resp.data;
+            if (!result || !result.cancelTrxId) {
+                return { success: false, error: (resp.data && resp.data.message) || 'Refund was not accepted', raw: resp.data };
+            }
+            return { success: true, reference: result.cancelTrxId, amount: Number(amount), raw: result };
+        } catch (err) {
+            return { success: false, error: describeError(err) };
+        }
+    }
+};
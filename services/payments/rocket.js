@@ -0,0 +1,69 @@
+const mock = require('./mockGateway');
+
+const PROVIDER = 'rocket';
+
+// DBBL has no public merchant checkout API for Rocket. Customers send the money
+// to our merchant wallet with the order number as reference, and staff confirm
+// it with the verify-payment endpoint. Only mock mode has a hosted checkout.
+const getConfig = () => ({
+    merchantNumber: process.env.ROCKET_MERCHANT_NUMBER || ''
+});
+
+const manualOnly = { success: false, manual: true, error: 'Rocket payments are confirmed and refunded manually' };
+
+module.exports = {
+    id: PROVIDER,
+    label: 'Rocket',
+    online: true,
+    detailsKey: 'rocket',
+    acceptsSendMoney: true,
+
+    isMock: () => mock.isMockEnabled(PROVIDER),
+
+    async createPayment(order, { callbackUrl, amount = order.totalAmount }) {
+        if (this.isMock()) {
+            const session = mock.createSession(PROVIDER, {
+                amount,
+                invoiceNumber: order.orderNumber,
+                callbackUrl
+            });
+            return { paymentId: session.paymentId, paymentUrl: session.paymentUrl, raw: { mock: true } };
+        }
+
+        const { merchantNumber } = getConfig();
+        if (!merchantNumber) {
+            throw new Error('Rocket merchant number not configured');
+        }
+
+        return {
+            paymentId: order.orderNumber,
+            paymentUrl: null,
+            instructions: {
+                sendTo: merchantNumber,
+                amount,
+                reference: order.orderNumber,
+                message: `Send ৳${amount} to Rocket merchant ${merchantNumber} with reference ${order.orderNumber}`
+            },
+            raw: null
+        };
+    },
+
+    parseCallback: (params) => ({
+        paymentId: params.paymentID,
+        status: params.status
+    }),
+
+    async verifyPayment(paymentId) {
+        return this.queryPayment(paymentId);
+    },
+
+    async queryPayment(paymentId) {
+        if (this.isMock()) return mock.describeSession(mock.getSession(PROVIDER, paymentId));
+        return { status: 'pending', paymentId, raw: null };
+    },
+
+    async refundPayment(details, amount) {
+        if (this.isMock()) return mock.refundSession(PROVIDER, details.paymentId, amount);
+        return manualOnly;
+    }
+};
@@ -0,0 +1,171 @@
+const axios = require('axios');
+const mock = require('./mockGateway');
+
+const PROVIDER = 'sslcommerz';
+
+const getConfig = () => ({
+    baseUrl: process.env.SSLCOMMERZ_BASE_URL || (process.env.SSLCOMMERZ_LIVE === 'true'
+        ? 'https://securepay.sslcommerz.com'
+        : 'https://sandbox.sslcommerz.com'),
+    storeId: process.env.SSLCOMMERZ_STORE_ID || '',
+    storePassword: process.env.SSLCOMMERZ_STORE_PASSWORD || ''
+});
+
+const credentials = (config) => ({
+    store_id: config.storeId,
+    store_passwd: config.storePassword,
+    format: 'json'
+});
+
+const describeError = (err) => (err.response && err.response.data ? JSON.stringify(err.response.data) : err.message);
+
+const withStatus = (url, status) => `${url}${url.includes('?') ? '&' : '?'}status=${status}`;
+
+// SSLCommerz reports VALID for a fresh validation and VALIDATED once it has
+// been validated before; both mean the money was taken.
+const normalise = (result) => ({
+    status: result && ['VALID', 'VALIDATED'].includes(result.status) ? 'completed'
+        : result && result.status === 'PENDING' ? 'pending'
+            : 'failed',
+    paymentId: result && result.tran_id,
+    trxID: result && result.bank_tran_id,
+    amount: result ? Number(result.amount) : undefined,
+    invoiceNumber: result && result.value_a,
+    raw: result
+});
+
+const CALLBACK_STATUSES = {
+    VALID: 'success',
+    VALIDATED: 'success',
+    FAILED: 'failure',
+    CANCELLED: 'cancel',
+    UNATTEMPTED: 'cancel',
+    EXPIRED: 'failure'
+};
+
+module.exports = {
+    id: PROVIDER,
+    label: 'Card / Internet Banking (SSLCommerz)',
+    online: true,
+    detailsKey: 'sslcommerz',
+    acceptsSendMoney: false,
+
+    isMock: () => mock.isMockEnabled(PROVIDER),
+
+    async createPayment(order, { callbackUrl, amount = order.totalAmount }) {
+        if (this.isMock()) {
+            const session = mock.createSession(PROVIDER, {
+                amount,
+                invoiceNumber: order.orderNumber,
+                callbackUrl
+            });
+            return { paymentId: session.paymentId, paymentUrl: session.paymentUrl, raw: { mock: true } };
+        }
+
+        const config = getConfig();
+        if (!config.storeId || !config.storePassword) {
+            throw new Error('SSLCommerz store credentials not configured');
+        }
+
+        // tran_id must be unique per session, so retries get their own
+        const tranId = `${order.orderNumber}-${Date.now().toString(36)}`;
+        const form = new URLSearchParams({
+            ...credentials(config),
+            total_amount: Number(amount).toFixed(2),
+            currency: 'BDT',
+            tran_id: tranId,
+            success_url: withStatus(callbackUrl, 'success'),
+            fail_url: withStatus(callbackUrl, 'failure'),
+            cancel_url: withStatus(callbackUrl, 'cancel'),
+            ipn_url: callbackUrl,
+            shipping_method: 'NO',
+            num_of_item: String(order.items.length),
+            product_name: order.items.map(item => item.name).join(', ').slice(0, 255),
+            product_category: 'General',
+            product_profile: 'physical-goods',
+            cus_name: order.customer.name,
+            cus_email: order.customer.email || 'noreply@tuavec.com',
+            cus_phone: order.customer.phone,
+            cus_add1: order.shippingAddress.address || order.shippingAddress.area || order.shippingAddress.city,
+            cus_city: order.shippingAddress.city || order.shippingAddress.region,
+            cus_country: 'Bangladesh',
+            value_a: order.orderNumber
+        });
+
+        try {
+            const resp = await axios.post(`${config.baseUrl}/gwprocess/v4/api.php`, form.toString(), {
+                headers: { 'Content-Type': 'application/x-www-form-urlencoded' }
+            });
+
+            if (!resp.data || resp.data.status !== 'SUCCESS' || !resp.data.GatewayPageURL) {
+                throw new Error((resp.data && resp.data.failedreason) || 'Session was not created');
+            }
+
+            return { paymentId: tranId, paymentUrl: resp.data.GatewayPageURL, raw: resp.data };
+        } catch (err) {
+            throw new Error('Failed to create SSLCommerz session: ' + describeError(err));
+        }
+    },
+
+    // Browser redirects carry our ?status=; the IPN and the POSTed form carry SSLCommerz's own
+    parseCallback: (params) => ({
+        paymentId: params.tran_id || params.paymentID,
+        status: CALLBACK_STATUSES[params.status] || params.status,
+        valId: params.val_id
+    }),
+
+    async verifyPayment(paymentId, callback = {}) {
+        if (this.isMock()) return mock.describeSession(mock.getSession(PROVIDER, paymentId));
+        if (!callback.valId) return this.queryPayment(paymentId);
+
+        const config = getConfig();
+        try {
+            const resp = await axios.get(`${config.baseUrl}/validator/api/validationserverAPI.php`, {
+                params: { ...credentials(config), val_id: callback.valId }
+            });
+            return normalise(resp.data);
+        } catch (err) {
+            throw new Error('Failed to validate SSLCommerz payment: ' + describeError(err));
+        }
+    },
+
+    async queryPayment(paymentId) {
+        if (this.isMock()) return mock.describeSession(mock.getSession(PROVIDER, paymentId));
+
+        const config = getConfig();
+        try {
+            const resp = await axios.get(`${config.baseUrl}/validator/api/merchantTransIDvalidationAPI.php`, {
+                params: { ...credentials(config), tran_id: paymentId }
+            });
+
+            const sessions = (resp.data && resp.data.element) || [];
+            const paid = sessions.find(session => ['VALID', 'VALIDATED'].includes(session.status));
+            return normalise(paid || sessions[0] || { tran_id: paymentId, status: 'FAILED' });
+        } catch (err) {
+            throw new Error('Failed to query SSLCommerz payment: ' + describeError(err));
+        }
+    },
+
+    async refundPayment(details, amount, reason) {
+        if (this.isMock()) return mock.refundSession(PROVIDER, details.paymentId, amount);
+
+        const config = getConfig();
+        try {
+            const resp = await axios.get(`${config.baseUrl}/validator/api/merchantTransIDvalidationAPI.php`, {
+                params: {
+                    ...credentials(config),
+                    bank_tran_id: details.trxID,
+                    refund_amount: Number(amount).toFixed(2),
+                    refund_remarks: reason || 'Order refund'
+                }
+            });
+
+            if (!resp.data || resp.data.status !== 'success') {
+                return { success: false, error: (resp.data && resp.data.errorReason) || 'Refund was not accepted', raw: resp.data };
+            }
+            return { success: true, reference: resp.data.refund_ref_id, amount: Number(amount), raw: resp.data };
+        } catch (err) {
+            return { success: false, error: describeError(err) };
+        }
+    }
+};
@@ -0,0 +1,415 @@
+const { Order, ReconciliationRun } = require('../models');
+const { getPaymentProvider, paidOnlineWith } = require('./payments');
+const { getOnlineAmountDue } = require('./orderPayments');
+const { parseCsv } = require('../utils/csv');
+const { getSetting } = require('../utils/settings');
+
+const MAX_API_ORDERS = 500;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const reconciliationError = (message, status = 400) => {
+    const error = new Error(message);
+    error.status = status;
+    return error;
+};
+
+const sameAmount = (a, b) => Number(a).toFixed(2) === Number(b).toFixed(2);
+
+// ========== STATEMENT PARSING ==========
+
+// Header names seen in bKash and Nagad merchant exports, compared after
+// lower-casing and dropping everything but letters and digits
+const COLUMN_ALIASES = {
+    trxID: ['trxid', 'transactionid', 'txnid', 'trxno', 'transactionno', 'issuerpaymentrefno'],
+    amount: ['amount', 'transactionamount', 'amountbdt', 'credit', 'creditamount'],
+    invoiceNumber: ['invoicenumber', 'merchantinvoicenumber', 'invoiceno', 'reference', 'orderid', 'merchantorderid'],
+    paymentId: ['paymentid', 'paymentrefid', 'paymentreferenceid'],
+    date: ['date', 'datetime', 'transactiondate', 'transactiontime', 'completedtime', 'time'],
+    sender: ['from', 'sender', 'customermsisdn', 'customermobile', 'customeraccount'],
+    status: ['status', 'transactionstatus']
+};
+
+const SUCCESS_STATUSES = ['completed', 'complete', 'success', 'successful'];
+
+const normaliseHeader = (name) => String(name).toLowerCase().replace(/[^a-z0-9]/g, '');
+
+// Map each field to the first statement column that looks like it
+const findColumns = (record, columnAliases = COLUMN_ALIASES) => {
+    const headers = Object.keys(record);
+    return Object.keys(columnAliases).reduce((columns, field) => {
+        const aliases = columnAliases[field];
+        columns[field] = aliases
+            .map(alias => headers.find(header => normaliseHeader(header) === alias))
+            .find(Boolean);
+        return columns;
+    }, {});
+};
+
+const parseAmount = (value) => {
+    const amount = parseFloat(String(value || '').replace(/[^0-9.-]/g, ''));
+    return Number.isFinite(amount) ? amount : null;
+};
+
+// Statements carry local business time: "2024-01-15 14:23:11" or "15/01/2024 14:23"
+const parseStatementDate = (value, offsetMinutes) => {
+    if (!value) return null;
+    const text = String(value).trim();
+
+    const iso = text.match(/^(\d{4})-(\d{1,2})-(\d{1,2})(?:[ T](\d{1,2}):(\d{2})(?::(\d{2}))?)?$/);
+    const dmy = text.match(/^(\d{1,2})[/.-](\d{1,2})[/.-](\d{4})(?:[ T](\d{1,2}):(\d{2})(?::(\d{2}))?)?$/);
+    const parts = iso
+        ? [iso[1], iso[2], iso[3], iso[4], iso[5], iso[6]]
+        : dmy && [dmy[3], dmy[2], dmy[1], dmy[4], dmy[5], dmy[6]];
+
+    if (parts) {
+        const [year, month, day, hour = 0, minute = 0, second = 0] = parts.map(part => Number(part || 0));
+        return new Date(Date.UTC(year, month - 1, day, hour, minute, second) - offsetMinutes * 60 * 1000);
+    }
+
+    const parsed = new Date(text);
+    return Number.isNaN(parsed.getTime()) ? null : parsed;
+};
+
+// Turn statement CSV into credit entries { trxID, amount, invoiceNumber,
+// paymentId, date, sender }. Rows without a trxID, without a positive amount
+// or with a non-successful status are skipped and counted.
+const parseStatement = (text, offsetMinutes) => {
+    const records = parseCsv(text);
+    if (records.length === 0) {
+        throw reconciliationError('Statement is empty');
+    }
+
+    const columns = findColumns(records[0]);
+    if (!columns.trxID || !columns.amount) {
+        throw reconciliationError('Statement needs a transaction ID column and an amount column');
+    }
+
+    const entries = [];
+    let skippedRows = 0;
+
+    records.forEach(record => {
+        const trxID = record[columns.trxID];
+        const amount = parseAmount(record[columns.amount]);
+        const status = columns.status ? normaliseHeader(record[columns.status]) : null;
+
+        if (!trxID || !(amount > 0) || (status && !SUCCESS_STATUSES.includes(status))) {
+            skippedRows++;
+            return;
+        }
+
+        entries.push({
+            trxID,
+            amount,
+            invoiceNumber: columns.invoiceNumber ? record[columns.invoiceNumber] || undefined : undefined,
+            paymentId: columns.paymentId ? record[columns.paymentId] || undefined : undefined,
+            date: columns.date ? parseStatementDate(record[columns.date], offsetMinutes) : null,
+            sender: columns.sender ? record[columns.sender] || undefined : undefined
+        });
+    });
+
+    return { entries, statementRows: records.length, skippedRows };
+};
+
+// ========== GATEWAY PULL ==========
+
+// Build the statement from the gateway itself: every order of the provider
+// (COD advances included) placed in the period is looked up by its paymentId, or by trxID where the
+// provider supports searching (manually entered bKash payments). A pulled
+// statement cannot contain orphans, but still catches unrecorded payments,
+// amount mismatches and reused trxIDs.
+const pullStatement = async (provider, { periodStart, periodEnd }) => {
+    const key = provider.detailsKey;
+    const orders = await Order.find({
+        ...paidOnlineWith(provider.id),
+        createdAt: { $gte: periodStart, $lte: periodEnd }
+    }).sort({ createdAt: 1 }).limit(MAX_API_ORDERS);
+
+    const entries = [];
+    let gatewayErrors = 0;
+
+    for (const order of orders) {
+        const details = (order.paymentDetails && order.paymentDetails[key]) || {};
+        const trxID = order.paymentDetails && order.paymentDetails.transactionId;
+
+        try {
+            let result = null;
+            if (details.paymentId) {
+                result = await provider.queryPayment(details.paymentId);
+            } else if (trxID && provider.searchTransaction) {
+                result = await provider.searchTransaction(trxID);
+            }
+
+            if (result && result.status === 'completed' && result.trxID) {
+                entries.push({
+                    trxID: result.trxID,
+                    amount: Number(result.amount),
+                    invoiceNumber: result.invoiceNumber,
+                    paymentId: result.paymentId,
+                    date: null
+                });
+            }
+        } catch (error) {
+            gatewayErrors++;
+            console.error(`${provider.label} lookup failed for order ${order.orderNumber}:`, error.message);
+        }
+    }
+
+    return { entries, statementRows: entries.length, skippedRows: 0, gatewayErrors };
+};
+
+// ========== MATCHING ==========
+
+const recordedTrxID = (order, key) => (order.paymentDetails && order.paymentDetails[key] && order.paymentDetails[key].trxID)
+    || (order.paymentDetails && order.paymentDetails.transactionId)
+    || null;
+
+const PAID_STATUSES = ['paid', 'partially_paid', 'refunded'];
+
+const isPaid = (order) => PAID_STATUSES.includes(order.paymentStatus);
+
+// Compare statement entries with our orders and return the run items.
+// Orders marked paid within the period but absent from the statement are
+// reported only when the period is known.
+const matchEntries = async (provider, entries, { periodStart, periodEnd }) => {
+    const key = provider.detailsKey;
+    const trxIDs = [...new Set(entries.map(entry => entry.trxID))];
+    const invoices = [...new Set(entries.map(entry => entry.invoiceNumber).filter(Boolean))];
+
+    const [byTrxOrders, byInvoiceOrders, paidInPeriod] = await Promise.all([
+        Order.find({
+            $and: [
+                paidOnlineWith(provider.id),
+                {
+                    $or: [
+                        { 'paymentDetails.transactionId': { $in: trxIDs } },
+                        { [`paymentDetails.${key}.trxID`]: { $in: trxIDs } }
+                    ]
+                }
+            ]
+        }),
+        invoices.length === 0 ? [] : Order.find({
+            $and: [
+                paidOnlineWith(provider.id),
+                {
+                    $or: [
+                        { orderNumber: { $in: invoices } },
+                        { [`paymentDetails.${key}.invoiceNumber`]: { $in: invoices } }
+                    ]
+                }
+            ]
+        }),
+        periodStart && periodEnd ? Order.find({
+            ...paidOnlineWith(provider.id),
+            paymentStatus: { $in: PAID_STATUSES },
+            'paymentDetails.verifiedAt': { $gte: periodStart, $lte: periodEnd }
+        }) : []
+    ]);
+
+    const uniqueOrders = (orders) => [...new Map(orders.map(order => [String(order._id), order])).values()];
+
+    // Paid orders of the period join in so trxIDs reused between them show up too
+    const byTrx = new Map();
+    uniqueOrders([...byTrxOrders, ...paidInPeriod]).forEach(order => {
+        const trxID = recordedTrxID(order, key);
+        if (trxID) byTrx.set(trxID, [...(byTrx.get(trxID) || []), order]);
+    });
+
+    const byInvoice = new Map();
+    byInvoiceOrders.forEach(order => {
+        byInvoice.set(order.orderNumber, order);
+        const invoice = order.paymentDetails && order.paymentDetails[key] && order.paymentDetails[key].invoiceNumber;
+        if (invoice) byInvoice.set(invoice, order);
+    });
+
+    const items = [];
+    const accounted = new Set();
+    const seen = new Map();
+
+    // The same trxID recorded on several orders: at most one of them was really paid
+    byTrx.forEach((orders, trxID) => {
+        if (orders.length < 2) return;
+        items.push({
+            type: 'duplicate_trx',
+            trxID,
+            orderNumbers: orders.map(order => order.orderNumber),
+            note: `Transaction recorded on ${orders.length} orders`
+        });
+    });
+
+    entries.forEach(entry => {
+        const base = {
+            trxID: entry.trxID,
+            invoiceNumber: entry.invoiceNumber,
+            transactionDate: entry.date,
+            statementAmount: entry.amount
+        };
+
+        const count = (seen.get(entry.trxID) || 0) + 1;
+        seen.set(entry.trxID, count);
+        if (count > 1) {
+            items.push({ ...base, type: 'duplicate_trx', note: `Transaction appears ${count} times in the statement` });
+            return;
+        }
+
+        const trxOrders = byTrx.get(entry.trxID);
+        if (trxOrders) {
+            const order = trxOrders[0];
+            trxOrders.forEach(match => accounted.add(String(match._id)));
+            items.push({
+                ...base,
+                type: sameAmount(entry.amount, getOnlineAmountDue(order)) ? 'matched' : 'amount_mismatch',
+                order: order._id,
+                orderNumber: order.orderNumber,
+                orderAmount: getOnlineAmountDue(order)
+            });
+            return;
+        }
+
+        const order = entry.invoiceNumber && byInvoice.get(entry.invoiceNumber);
+        if (!order) {
+            items.push({ ...base, type: 'orphan_payment', note: 'No order for this transaction' });
+            return;
+        }
+
+        accounted.add(String(order._id));
+        const orderFields = { order: order._id, orderNumber: order.orderNumber, orderAmount: getOnlineAmountDue(order) };
+
+        if (isPaid(order)) {
+            items.push({
+                ...base,
+                ...orderFields,
+                type: 'trx_mismatch',
+                note: `Order was marked paid with transaction ${recordedTrxID(order, key) || '(none)'}`
+            });
+        } else {
+            items.push({
+                ...base,
+                ...orderFields,
+                type: 'unrecorded_payment',
+                note: `Order is ${order.paymentStatus}/${order.orderStatus}${sameAmount(entry.amount, getOnlineAmountDue(order)) ? '' : '; amount differs'}`
+            });
+        }
+    });
+
+    paidInPeriod
+        .filter(order => !accounted.has(String(order._id)))
+        .forEach(order => {
+            items.push({
+                type: 'missing_payment',
+                trxID: recordedTrxID(order, key) || undefined,
+                order: order._id,
+                orderNumber: order.orderNumber,
+                orderAmount: getOnlineAmountDue(order),
+                note: 'Order is marked paid but the transaction is not in the statement'
+            });
+        });
+
+    return { items, ordersChecked: uniqueOrders([...byTrxOrders, ...byInvoiceOrders, ...paidInPeriod]).length };
+};
+
+const SUMMARY_KEYS = {
+    matched: 'matched',
+    amount_mismatch: 'amountMismatches',
+    trx_mismatch: 'trxMismatches',
+    duplicate_trx: 'duplicates',
+    unrecorded_payment: 'unrecordedPayments',
+    orphan_payment: 'orphanPayments',
+    missing_payment: 'missingPayments'
+};
+
+const summarise = (items) => items.reduce((summary, item) => {
+    summary[SUMMARY_KEYS[item.type]]++;
+    return summary;
+}, Object.values(SUMMARY_KEYS).reduce((summary, key) => ({ ...summary, [key]: 0 }), {}));
+
+// ========== RUNS ==========
+
+// A date-only `to` covers the whole of that day
+const parsePeriodEnd = (value, offsetMinutes) => {
+    const date = parseStatementDate(value, offsetMinutes);
+    if (date && /^\d{4}-\d{1,2}-\d{1,2}$/.test(String(value).trim())) {
+        return new Date(date.getTime() + DAY_MS - 1);
+    }
+    return date;
+};
+
+// Reconcile one provider. Pass `csv` to check an uploaded statement, or
+// leave it out to pull the period from the gateway (default: the last day).
+// The period defaults to the dates the statement covers.
+const runReconciliation = async ({ provider: providerId, csv, fileName, from, to, createdBy }) => {
+    const provider = getPaymentProvider(providerId);
+    if (!provider) {
+        throw reconciliationError('Unknown payment provider');
+    }
+
+    const offsetMinutes = Number(await getSetting('businessUtcOffsetMinutes')) || 0;
+    let periodStart = from ? parseStatementDate(from, offsetMinutes) : null;
+    let periodEnd = to ? parsePeriodEnd(to, offsetMinutes) : null;
+
+    if ((from && !periodStart) || (to && !periodEnd)) {
+        throw reconciliationError('Invalid from/to date');
+    }
+
+    let statement;
+    if (csv) {
+        statement = parseStatement(csv, offsetMinutes);
+        const dates = statement.entries.map(entry => entry.date).filter(Boolean).map(date => date.getTime());
+        if (dates.length > 0) {
+            periodStart = periodStart || new Date(Math.min(...dates));
+            periodEnd = periodEnd || new Date(Math.max(...dates));
+        }
+    } else {
+        periodEnd = periodEnd || new Date();
+        periodStart = periodStart || new Date(periodEnd.getTime() - DAY_MS);
+        statement = await pullStatement(provider, { periodStart, periodEnd });
+    }
+
+    const { items, ordersChecked } = await matchEntries(provider, statement.entries, { periodStart, periodEnd });
+
+    return ReconciliationRun.create({
+        provider: provider.id,
+        source: csv ? 'upload' : 'api',
+        fileName,
+        periodStart,
+        periodEnd,
+        summary: {
+            statementRows: statement.statementRows,
+            skippedRows: statement.skippedRows,
+            gatewayErrors: statement.gatewayErrors || 0,
+            ordersChecked,
+            ...summarise(items)
+        },
+        items,
+        createdBy
+    });
+};
+
+// Everything in a run that needs a person: what only the statement has, what
+// only our orders have, amounts or trxIDs that disagree, and duplicates.
+const buildReport = (run, { includeResolved = false } = {}) => {
+    const open = run.items.filter(item => item.type !== 'matched' && (includeResolved || !item.resolved));
+    const ofType = (...types) => open.filter(item => types.includes(item.type));
+
+    return {
+        id: run._id,
+        provider: run.provider,
+        source: run.source,
+        periodStart: run.periodStart,
+        periodEnd: run.periodEnd,
+        summary: run.summary,
+        unmatchedStatement: ofType('orphan_payment', 'unrecorded_payment'),
+        unmatchedOrders: ofType('missing_payment'),
+        mismatches: ofType('amount_mismatch', 'trx_mismatch'),
+        duplicates: ofType('duplicate_trx')
+    };
+};
+
+module.exports = {
+    findColumns,
+    parseAmount,
+    parseStatementDate,
+    parsePeriodEnd,
+    parseStatement,
+    runReconciliation,
+    buildReport
+};
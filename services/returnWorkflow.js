@@ -0,0 +1,230 @@
+const { Return } = require('../models');
+const { releaseStock } = require('../utils/inventory');
+const { canTransition, transitionOrder } = require('./orderWorkflow');
+const { refundToOriginalMethod, recordRefund, getPaidAmount, getRefundedAmount, withRefundLock } = require('./orderPayments');
+const { refundToWallet } = require('./walletService');
+
+// ========== RETURN (RMA) STATE MACHINE ==========
+
+const RETURN_STATUS_TRANSITIONS = {
+    requested: ['approved', 'rejected'],
+    approved: ['pickup_scheduled', 'received'], // customers may also drop parcels off
+    pickup_scheduled: ['in_transit', 'received'],
+    in_transit: ['received'],
+    received: ['inspected'],
+    inspected: ['refunded'],
+    rejected: [],
+    refunded: []
+};
+
+const RETURN_STEP_MESSAGES = {
+    requested: 'Return requested',
+    approved: 'Return approved',
+    rejected: 'Return rejected',
+    pickup_scheduled: 'Return pickup scheduled',
+    in_transit: 'Return parcel picked up',
+    received: 'Returned items received',
+    inspected: 'Returned items inspected',
+    refunded: 'Return refunded'
+};
+
+// A return claims its quantities unless it was rejected.
+const isOpenOrCompleted = (rma) => rma.status !== 'rejected';
+
+const isReceived = (rma) => ['received', 'inspected', 'refunded'].includes(rma.status);
+
+const returnError = (message, status = 400) => {
+    const error = new Error(message);
+    error.status = status;
+    return error;
+};
+
+// Record an RMA step on the order timeline. Callers save the order.
+const recordReturnStep = (order, rma, status, { message, updatedBy } = {}) => {
+    order.timeline.push({
+        status: `return_${status}`,
+        message: `Return ${rma.returnNumber}: ${message || RETURN_STEP_MESSAGES[status]}`,
+        source: status === 'requested' ? 'customer' : 'admin',
+        timestamp: new Date(),
+        updatedBy
+    });
+};
+
+// Quantity per order line covered by the order's returns that match `predicate`.
+const sumReturnedQuantities = async (order, predicate) => {
+    const returns = await Return.find({ order: order._id });
+    const totals = new Map(order.items.map(item => [String(item._id), 0]));
+
+    returns.filter(predicate).forEach(rma => {
+        rma.items.forEach(item => {
+            const key = String(item.orderItem);
+            totals.set(key, (totals.get(key) || 0) + item.quantity);
+        });
+    });
+
+    return totals;
+};
+
+// Quantities per order line that are still eligible for a return.
+const getReturnableQuantities = async (order) => {
+    const claimed = await sumReturnedQuantities(order, isOpenOrCompleted);
+    return new Map(order.items.map(item => {
+        const key = String(item._id);
+        return [key, Math.max(0, item.quantity - claimed.get(key))];
+    }));
+};
+
+const assertCanAdvance = (rma, nextStatus) => {
+    if (!(RETURN_STATUS_TRANSITIONS[rma.status] || []).includes(nextStatus)) {
+        throw returnError(`Cannot move return from '${rma.status}' to '${nextStatus}'`, 409);
+    }
+};
+
+// Move an RMA to its next status and record the step on the order.
+const advanceReturn = async (rma, order, nextStatus, { message, updatedBy } = {}) => {
+    assertCanAdvance(rma, nextStatus);
+
+    rma.status = nextStatus;
+
+    if (order.returnRequest && order.returnRequest.returnNumber === rma.returnNumber) {
+        if (nextStatus === 'approved') order.returnRequest.status = 'approved';
+        if (nextStatus === 'rejected') order.returnRequest.status = 'rejected';
+    }
+
+    recordReturnStep(order, rma, nextStatus, { message, updatedBy });
+
+    await rma.save();
+    await order.save();
+    return rma;
+};
+
+// Put received items back on the shelf and close out the order once everything came back.
+const receiveReturn = async (rma, order, { restock = true, updatedBy } = {}) => {
+    assertCanAdvance(rma, 'received');
+    rma.receivedAt = new Date();
+
+    if (restock) {
+        // Saved as restocked before the stock moves, so a retry after a
+        // failed save cannot put the same lines back twice
+        const pending = rma.items.filter(item => !item.restocked);
+        pending.forEach(item => { item.restocked = true; });
+        await rma.save();
+        await releaseStock(pending);
+    }
+
+    await advanceReturn(rma, order, 'received', {
+        message: restock ? 'Returned items received and restocked' : 'Returned items received (not restocked)',
+        updatedBy
+    });
+
+    const received = await sumReturnedQuantities(order, isReceived);
+    const everythingReturned = order.items.every(item => received.get(String(item._id)) >= item.quantity);
+    if (everythingReturned && canTransition(order.orderStatus, 'returned')) {
+        // Items were restocked line by line above, so the order-level restock must not run again.
+        order.inventoryStatus = 'released';
+        await transitionOrder(order, 'returned', {
+            message: `All items returned (${rma.returnNumber})`,
+            source: 'admin',
+            updatedBy
+        });
+    }
+
+    return rma;
+};
+
+const getReturnValue = (rma) => rma.items.reduce((sum, item) => sum + item.price * item.quantity, 0);
+
+// Refund a return that passed inspection to the original payment method or
+// as store credit in the customer's wallet. Either way it goes on the order's refund ledger.
+const refundReturn = async (rma, order, { method, amount, reference, updatedBy } = {}) => {
+    assertCanAdvance(rma, 'refunded');
+
+    if (!rma.inspection || rma.inspection.passed !== true) {
+        throw returnError('Only returns that passed inspection can be refunded', 409);
+    }
+
+    // The order's refund lock keeps two refunds of this return (or of the
+    // order) from both passing the cap below
+    await withRefundLock(order, async () => {
+        const refundAmount = amount !== undefined ? Number(amount) : getReturnValue(rma);
+
+        // Never more than the order was paid, less what earlier refunds gave back
+        const refundable = Math.round((getPaidAmount(order) - getRefundedAmount(order)) * 100) / 100;
+        if (!(refundAmount > 0) || refundAmount > refundable) {
+            throw returnError(refundable > 0
+                ? `Refund amount must be between 1 and ${refundable}`
+                : 'Order has nothing left to refund');
+        }
+
+        let refundReference = reference;
+        let destination = 'original';
+
+        if (method === 'store_credit') {
+            if (!order.user) {
+                throw returnError('Store credit requires a customer account');
+            }
+            const transaction = await refundToWallet(order.user, refundAmount, {
+                order,
+                reason: `Return ${rma.returnNumber}`,
+                createdBy: updatedBy
+            });
+            refundReference = String(transaction._id);
+            destination = 'wallet';
+        } else if (method === 'original') {
+            if (!['paid', 'partially_paid'].includes(order.paymentStatus)) {
+                if (!reference) {
+                    throw returnError('Order was not paid online; provide the reference of the manual refund');
+                }
+                destination = 'manual';
+            } else {
+                const result = await refundToOriginalMethod(order, refundAmount, `Return ${rma.returnNumber}`);
+                if (result.success) {
+                    refundReference = result.reference;
+                    if (order.paymentMethod === 'wallet') destination = 'wallet';
+                } else if (result.manual && reference) {
+                    refundReference = reference;
+                    destination = 'manual';
+                } else {
+                    throw returnError(result.manual
+                        ? `${result.error}; provide the reference of the manual refund`
+                        : `Refund failed: ${result.error}`, result.manual ? 400 : 502);
+                }
+            }
+        } else {
+            throw returnError("Refund method must be 'original' or 'store_credit'");
+        }
+
+        rma.refund = {
+            method,
+            amount: refundAmount,
+            reference: refundReference,
+            refundedAt: new Date(),
+            refundedBy: updatedBy
+        };
+
+        recordRefund(order, {
+            amount: refundAmount,
+            destination,
+            method: destination === 'wallet' ? 'wallet' : order.paymentMethod,
+            reference: refundReference,
+            reason: `Return ${rma.returnNumber}`,
+            refundedBy: updatedBy
+        });
+
+        await advanceReturn(rma, order, 'refunded', {
+            message: `৳${refundAmount} refunded ${method === 'store_credit' ? 'as wallet credit' : `via ${order.paymentMethod}`}`,
+            updatedBy
+        });
+    });
+
+    return rma;
+};
+
+module.exports = {
+    RETURN_STATUS_TRANSITIONS,
+    recordReturnStep,
+    getReturnableQuantities,
+    advanceReturn,
+    receiveReturn,
+    refundReturn
+};
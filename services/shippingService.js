@@ -0,0 +1,128 @@
+const { ShippingZone } = require('../models');
+const { getSetting } = require('../utils/settings');
+const { calculateShipping } = require('../utils/helpers');
+
+const normalizePlace = (value) => String(value || '').trim().toLowerCase();
+
+// ========== ZONE MATCHING ==========
+
+// Most specific active zone for an address: area beats district beats division.
+const findShippingZone = async ({ region, city, area }) => {
+    if (!region) return null;
+
+    const division = normalizePlace(region);
+    const district = normalizePlace(city);
+    const place = normalizePlace(area);
+
+    const zones = await ShippingZone.find({ isActive: true });
+    const candidates = zones.filter(zone => {
+        if (normalizePlace(zone.division) !== division) return false;
+        if (zone.district && normalizePlace(zone.district) !== district) return false;
+        if (zone.area && normalizePlace(zone.area) !== place) return false;
+        return true;
+    });
+
+    const specificity = (zone) => (zone.area ? 2 : 0) + (zone.district ? 1 : 0);
+    candidates.sort((a, b) => specificity(b) - specificity(a));
+
+    return candidates[0] || null;
+};
+
+// ========== PARCEL WEIGHT ==========
+
+// Actual and volumetric weight of a parcel, in grams.
+// Lines are { product, quantity } with full product documents.
+const computeParcelWeight = async (lines) => {
+    const divisor = await getSetting('volumetricDivisor');
+    const defaultWeight = await getSetting('defaultItemWeightGrams');
+
+    let actualWeight = 0;
+    let volumetricWeight = 0;
+
+    lines.forEach(({ product, quantity }) => {
+        actualWeight += (product.weight || defaultWeight) * quantity;
+
+        const { length, width, height } = product.dimensions || {};
+        if (length && width && height) {
+            volumetricWeight += ((length * width * height) / divisor) * 1000 * quantity;
+        }
+    });
+
+    actualWeight = Math.round(actualWeight);
+    volumetricWeight = Math.round(volumetricWeight);
+
+    return {
+        actualWeight,
+        volumetricWeight,
+        chargeableWeight: Math.max(actualWeight, volumetricWeight)
+    };
+};
+
+// ========== RATES ==========
+
+const priceRate = (rate, chargeableWeight) => {
+    const extraWeight = Math.max(0, chargeableWeight - rate.baseWeight);
+    const extraUnits = Math.ceil(extraWeight / rate.additionalWeightUnit);
+    return rate.basePrice + extraUnits * rate.additionalPrice;
+};
+
+const priceCodSurcharge = (rate, collectAmount) => {
+    if (!rate.codSurchargePercent && !rate.minCodSurcharge) return 0;
+    return Math.max(rate.minCodSurcharge || 0, Math.round(collectAmount * (rate.codSurchargePercent || 0) / 100));
+};
+
+// Quote delivery for a parcel. Returns the selected courier option plus every
+// available option so checkout can offer a choice. Falls back to the flat
+// regional table in utils/helpers when no zone covers the address.
+const quoteShipping = async ({ address = {}, lines = [], subtotal = 0, paymentMethod, courier }) => {
+    const weight = await computeParcelWeight(lines);
+    const itemCount = lines.reduce((sum, line) => sum + line.quantity, 0);
+    const isCod = paymentMethod === 'cod';
+
+    const zone = await findShippingZone(address);
+    const rates = zone ? zone.rates.filter(rate => rate.isActive !== false) : [];
+
+    if (!zone || rates.length === 0) {
+        const shippingCost = calculateShipping(address.region, itemCount);
+        const fallback = { courier: null, shippingCost, codSurcharge: 0, total: shippingCost };
+        return {
+            zone: null,
+            weight,
+            freeShipping: false,
+            freeShippingThreshold: null,
+            ...fallback,
+            options: [fallback]
+        };
+    }
+
+    const freeShipping = typeof zone.freeShippingThreshold === 'number' && subtotal >= zone.freeShippingThreshold;
+
+    const options = rates.map(rate => {
+        const shippingCost = freeShipping ? 0 : priceRate(rate, weight.chargeableWeight);
+        const codSurcharge = isCod ? priceCodSurcharge(rate, subtotal + shippingCost) : 0;
+        return {
+            courier: rate.courier,
+            shippingCost,
+            codSurcharge,
+            total: shippingCost + codSurcharge
+        };
+    }).sort((a, b) => a.total - b.total);
+
+    const requested = courier && options.find(option => normalizePlace(option.courier) === normalizePlace(courier));
+    const selected = requested || options[0];
+
+    return {
+        zone: { id: zone._id, name: zone.name },
+        weight,
+        freeShipping,
+        freeShippingThreshold: zone.freeShippingThreshold ?? null,
+        ...selected,
+        options
+    };
+};
+
+module.exports = {
+    findShippingZone,
+    computeParcelWeight,
+    quoteShipping
+};
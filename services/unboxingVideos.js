@@ -0,0 +1,276 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const mongoose = require('mongoose');
+const { Order, UnboxingVideo, UNBOXING_VIDEO_TYPES } = require('../models');
+const { getSetting } = require('../utils/settings');
+
+// Not under uploads/, which is served publicly; videos go through the API
+const VIDEO_DIR = path.join(__dirname, '../storage/unboxing-videos');
+
+const CHUNK_MAX_BYTES = 8 * 1024 * 1024;
+const UPLOAD_TTL_MS = 24 * 60 * 60 * 1000; // to finish an upload once started
+const DEFAULT_INTERVAL_MS = 60 * 60 * 1000;
+const BATCH_SIZE = 100;
+
+const EXTENSIONS = { 'video/mp4': '.mp4', 'video/webm': '.webm' };
+
+// What the first bytes of each container look like
+const SIGNATURES = {
+    'video/mp4': (head) => head.length >= 8 && head.toString('ascii', 4, 8) === 'ftyp',
+    'video/webm': (head) => head.length >= 4 && head.readUInt32BE(0) === 0x1A45DFA3
+};
+
+const videoError = (message, status = 400) => {
+    const error = new Error(message);
+    error.status = status;
+    return error;
+};
+
+const videoPath = (video) => path.join(VIDEO_DIR, video.storageKey);
+
+const getVideoUrl = (video) => `/api/unboxing-videos/${video._id}/video`;
+
+const removeFile = async (video) => {
+    try {
+        await fs.promises.unlink(videoPath(video));
+    } catch (error) {
+        if (error.code !== 'ENOENT') console.error(`Could not delete unboxing video ${video.storageKey}:`, error);
+    }
+};
+
+const discardUpload = async (video) => {
+    video.status = 'expired';
+    await video.save();
+    await removeFile(video);
+};
+
+// ========== UPLOAD ==========
+
+// Start (or resume) an upload for a delivered order. Calling again with the
+// same file picks up the unfinished upload instead of starting over; a
+// different file replaces it. Only one finished video is kept per order.
+const startUnboxingUpload = async (order, { userId, fileName, mimeType, size }) => {
+    if (order.orderStatus !== 'delivered' || !order.deliveredAt) {
+        throw videoError('Unboxing videos can only be added to delivered orders');
+    }
+
+    const windowHours = await getSetting('unboxingVideoWindowHours');
+    const deadline = new Date(order.deliveredAt.getTime() + (Number(windowHours) || 48) * 60 * 60 * 1000);
+    if (new Date() > deadline) {
+        throw videoError(`Unboxing videos must be uploaded within ${windowHours} hours of delivery`, 409);
+    }
+
+    if (!UNBOXING_VIDEO_TYPES.includes(mimeType)) {
+        throw videoError('Only MP4 and WebM videos are accepted');
+    }
+
+    const bytes = Number(size);
+    const maxSizeMB = await getSetting('unboxingVideoMaxSizeMB');
+    if (!Number.isInteger(bytes) || bytes < 1) {
+        throw videoError('Size must be the video size in bytes');
+    }
+    if (bytes > maxSizeMB * 1024 * 1024) {
+        throw videoError(`Video is too large. Maximum ${maxSizeMB}MB allowed.`);
+    }
+
+    if (await UnboxingVideo.exists({ order: order._id, status: 'complete' })) {
+        throw videoError('An unboxing video was already uploaded for this order', 409);
+    }
+
+    const unfinished = await UnboxingVideo.find({ order: order._id, status: 'uploading' });
+    for (const video of unfinished) {
+        if (video.mimeType === mimeType && video.size === bytes && video.fileName === fileName && video.expiresAt > new Date()) {
+            return video;
+        }
+        await discardUpload(video);
+    }
+
+    await fs.promises.mkdir(VIDEO_DIR, { recursive: true });
+    const storageKey = `${order.orderNumber}-${crypto.randomBytes(8).toString('hex')}${EXTENSIONS[mimeType]}`;
+    await fs.promises.writeFile(path.join(VIDEO_DIR, storageKey), Buffer.alloc(0));
+
+    return UnboxingVideo.create({
+        order: order._id,
+        orderNumber: order.orderNumber,
+        user: userId,
+        fileName: fileName ? String(fileName).slice(0, 200) : undefined,
+        mimeType,
+        size: bytes,
+        storageKey,
+        expiresAt: new Date(Date.now() + UPLOAD_TTL_MS)
+    });
+};
+
+const hashFile = (file) => new Promise((resolve, reject) => {
+    const hash = crypto.createHash('sha256');
+    fs.createReadStream(file)
+        .on('data', (data) => hash.update(data))
+        .on('error', reject)
+        .on('end', () => resolve(hash.digest('hex')));
+});
+
+// Last chunk in: link the video to its order
+const finishUpload = async (video) => {
+    video.status = 'complete';
+    video.completedAt = new Date();
+    video.sha256 = await hashFile(videoPath(video));
+    video.expiresAt = undefined;
+    await video.save();
+
+    const order = await Order.findById(video.order);
+    if (order) {
+        order.logistics.unboxingVideo = video._id;
+        order.logistics.unboxingVideoUrl = getVideoUrl(video);
+        order.timeline.push({
+            status: 'unboxing_video',
+            message: 'Unboxing video uploaded',
+            source: 'customer',
+            timestamp: video.completedAt,
+            updatedBy: video.user
+        });
+        await order.save();
+    }
+
+    return video;
+};
+
+// Write `chunk` at byte `offset`. Chunks must arrive in order: an offset
+// other than receivedBytes is refused with the offset to resume from
+// (`error.receivedBytes`), and the file is left untouched.
+const appendUnboxingChunk = async (video, { offset, chunk }) => {
+    if (video.status === 'complete') {
+        throw videoError('This video has already been uploaded', 409);
+    }
+    if (video.status !== 'uploading' || video.expiresAt <= new Date()) {
+        throw videoError('This upload has expired. Please start again.', 410);
+    }
+    if (!Buffer.isBuffer(chunk) || chunk.length === 0) {
+        throw videoError('Chunk is empty');
+    }
+    if (offset !== video.receivedBytes) {
+        const error = videoError(`Expected the chunk starting at byte ${video.receivedBytes}`, 409);
+        error.receivedBytes = video.receivedBytes;
+        throw error;
+    }
+    if (offset + chunk.length > video.size) {
+        throw videoError('Chunk runs past the announced video size');
+    }
+    if (offset === 0 && !SIGNATURES[video.mimeType](chunk)) {
+        await discardUpload(video);
+        throw videoError('The file is not a valid MP4 or WebM video');
+    }
+
+    // Claim the byte range before writing, so a parallel request for the
+    // same chunk cannot write over it
+    const updated = await UnboxingVideo.findOneAndUpdate(
+        { _id: video._id, status: 'uploading', receivedBytes: offset },
+        { $set: { receivedBytes: offset + chunk.length, updatedAt: new Date() } },
+        { new: true }
+    );
+    if (!updated) {
+        const current = await UnboxingVideo.findById(video._id);
+        const error = videoError('Chunk was already received', 409);
+        error.receivedBytes = current ? current.receivedBytes : 0;
+        throw error;
+    }
+
+    try {
+        const handle = await fs.promises.open(videoPath(video), 'r+');
+        try {
+            await handle.write(chunk, 0, chunk.length, offset);
+        } finally {
+            await handle.close();
+        }
+    } catch (error) {
+        // Give the range back so the chunk can be sent again
+        await UnboxingVideo.updateOne(
+            { _id: video._id, status: 'uploading', receivedBytes: offset + chunk.length },
+            { $set: { receivedBytes: offset, updatedAt: new Date() } }
+        );
+        throw error;
+    }
+
+    return updated.receivedBytes === updated.size ? finishUpload(updated) : updated;
+};
+
+// ========== EVIDENCE ==========
+
+// The finished unboxing video of `order`, for attaching to a return or damage claim
+const findEvidenceVideo = async (order, videoId) => {
+    const video = mongoose.Types.ObjectId.isValid(videoId)
+        ? await UnboxingVideo.findOne({ _id: videoId, order: order._id })
+        : null;
+    if (!video) {
+        throw videoError('Unboxing video not found for this order', 404);
+    }
+    if (video.status !== 'complete') {
+        throw videoError('The unboxing video has not finished uploading', 409);
+    }
+    return video;
+};
+
+const listUnboxingVideos = async ({ status = 'complete', orderNumber, limit = 50 } = {}) => {
+    const query = { status };
+    if (orderNumber) query.orderNumber = orderNumber;
+
+    return UnboxingVideo.find(query)
+        .populate('user', 'name phone')
+        .sort({ createdAt: -1 })
+        .limit(Math.min(parseInt(limit) || 50, 200));
+};
+
+// ========== SWEEPER ==========
+
+// Throw away uploads that were never finished
+const sweepUnboxingUploads = async () => {
+    const abandoned = await UnboxingVideo.find({
+        status: 'uploading',
+        expiresAt: { $lte: new Date() }
+    }).limit(BATCH_SIZE);
+
+    for (const video of abandoned) {
+        await discardUpload(video);
+    }
+
+    return { expired: abandoned.length };
+};
+
+// Run the sweep now and then every UNBOXING_SWEEP_INTERVAL_MS, skipping
+// overlapping runs.
+const startUnboxingUploadSweeper = () => {
+    const intervalMs = parseInt(process.env.UNBOXING_SWEEP_INTERVAL_MS) || DEFAULT_INTERVAL_MS;
+    let running = false;
+
+    const run = async () => {
+        if (running) return;
+        running = true;
+        try {
+            const stats = await sweepUnboxingUploads();
+            if (stats.expired) {
+                console.log('🎥 Unboxing upload sweep:', stats);
+            }
+        } catch (error) {
+            console.error('Unboxing upload sweep error:', error);
+        } finally {
+            running = false;
+        }
+    };
+
+    run();
+    const timer = setInterval(run, intervalMs);
+    timer.unref();
+    return timer;
+};
+
+module.exports = {
+    CHUNK_MAX_BYTES,
+    videoPath,
+    getVideoUrl,
+    startUnboxingUpload,
+    appendUnboxingChunk,
+    findEvidenceVideo,
+    listUnboxingVideos,
+    sweepUnboxingUploads,
+    startUnboxingUploadSweeper
+};
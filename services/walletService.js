@@ -0,0 +1,184 @@
+const { User, Wallet, WalletTransaction } = require('../models');
+const { getSetting } = require('../utils/settings');
+
+const walletError = (message, status = 400) => {
+    const error = new Error(message);
+    error.status = status;
+    return error;
+};
+
+const roundTaka = (amount) => Math.round(Number(amount) * 100) / 100;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// ========== LEDGER ==========
+
+// Append a transaction and move the balance with it. Debits and expiries only
+// go through when the balance covers them. Returns the transaction.
+const postTransaction = async (userId, { type, amount, order, reason, expiresAt, createdBy }) => {
+    const value = roundTaka(amount);
+    if (!(value > 0)) {
+        throw walletError('Amount must be a positive number');
+    }
+
+    const outgoing = type === 'debit' || type === 'expiry';
+    const wallet = await Wallet.findOneAndUpdate(
+        outgoing ? { user: userId, balance: { $gte: value } } : { user: userId },
+        { $inc: { balance: outgoing ? -value : value }, $set: { updatedAt: new Date() } },
+        { new: true, upsert: !outgoing, setDefaultsOnInsert: true }
+    );
+    if (!wallet) {
+        throw walletError('Insufficient wallet balance', 409);
+    }
+
+    try {
+        return await WalletTransaction.create({
+            wallet: wallet._id,
+            user: userId,
+            type,
+            amount: value,
+            balanceAfter: roundTaka(wallet.balance),
+            order: order ? order._id : undefined,
+            orderNumber: order ? order.orderNumber : undefined,
+            reason,
+            expiresAt,
+            createdBy
+        });
+    } catch (error) {
+        // No ledger line, no balance change
+        await Wallet.updateOne({ _id: wallet._id }, { $inc: { balance: outgoing ? value : -value } });
+        throw error;
+    }
+};
+
+// Store credit kept on the user before wallets existed
+const migrateStoreCredit = async (userId) => {
+    const user = await User.findOneAndUpdate(
+        { _id: userId, storeCredit: { $gt: 0 } },
+        { $set: { storeCredit: 0 } }
+    );
+    if (!user) return;
+
+    try {
+        await postTransaction(userId, { type: 'refund', amount: user.storeCredit, reason: 'Store credit carried over' });
+    } catch (error) {
+        // Not in the wallet, so keep it on the user for the next try
+        await User.updateOne({ _id: userId }, { $inc: { storeCredit: user.storeCredit } });
+        throw error;
+    }
+};
+
+// Unspent credit past its expiry date. Spending uses the credit expiring
+// soonest first, then money that never expires, so the ledger is replayed in
+// order to find what is left of each expired credit.
+const getExpiredCredit = async (userId, now = new Date()) => {
+    const transactions = await WalletTransaction.find({ user: userId })
+        .select('type amount expiresAt createdAt')
+        .sort({ createdAt: 1, _id: 1 });
+
+    const lots = [];
+    const consume = (amount, usable) => {
+        let left = amount;
+        lots.filter(usable)
+            .sort((a, b) => a.expiresAt - b.expiresAt)
+            .forEach(lot => {
+                const used = Math.min(lot.remaining, left);
+                lot.remaining -= used;
+                left -= used;
+            });
+    };
+
+    transactions.forEach(transaction => {
+        if (transaction.type === 'credit' && transaction.expiresAt) {
+            lots.push({ remaining: transaction.amount, expiresAt: transaction.expiresAt });
+        } else if (transaction.type === 'debit') {
+            consume(transaction.amount, lot => lot.expiresAt > transaction.createdAt);
+        } else if (transaction.type === 'expiry') {
+            consume(transaction.amount, lot => lot.expiresAt <= transaction.createdAt);
+        }
+    });
+
+    return roundTaka(lots
+        .filter(lot => lot.expiresAt <= now)
+        .reduce((sum, lot) => sum + lot.remaining, 0));
+};
+
+const expireCredits = async (userId) => {
+    const expired = await getExpiredCredit(userId);
+    if (!(expired > 0)) return null;
+
+    const wallet = await Wallet.findOne({ user: userId });
+    const amount = Math.min(expired, wallet ? wallet.balance : 0);
+    if (!(amount > 0)) return null;
+
+    try {
+        return await postTransaction(userId, { type: 'expiry', amount, reason: 'Store credit expired' });
+    } catch (error) {
+        // Spent meanwhile; the next look at the wallet tries again
+        if (error.status === 409) return null;
+        throw error;
+    }
+};
+
+// ========== WALLET ==========
+
+// The user's wallet, created on first use, with lapsed credit written off
+const getWallet = async (userId) => {
+    await migrateStoreCredit(userId);
+    await expireCredits(userId);
+
+    return Wallet.findOneAndUpdate(
+        { user: userId },
+        { $setOnInsert: { user: userId } },
+        { new: true, upsert: true, setDefaultsOnInsert: true }
+    );
+};
+
+// Goodwill or compensation credit from staff. Expires after
+// `walletCreditExpiryDays` unless `expiresInDays` says otherwise (null = never).
+const creditWallet = async (userId, amount, { reason, createdBy, expiresInDays } = {}) => {
+    const days = expiresInDays !== undefined ? expiresInDays : await getSetting('walletCreditExpiryDays');
+    const expiresAt = days !== null && days !== undefined && Number(days) > 0
+        ? new Date(Date.now() + Number(days) * DAY_MS)
+        : undefined;
+
+    return postTransaction(userId, { type: 'credit', amount, reason, expiresAt, createdBy });
+};
+
+// Money from an order given back as wallet balance; never expires
+const refundToWallet = async (userId, amount, { order, reason, createdBy } = {}) => postTransaction(userId, {
+    type: 'refund',
+    amount,
+    order,
+    reason,
+    createdBy
+});
+
+// Spend or take back balance. Fails with 409 when the balance is short.
+const debitWallet = async (userId, amount, { order, reason, createdBy } = {}) => {
+    await migrateStoreCredit(userId);
+    await expireCredits(userId);
+
+    return postTransaction(userId, { type: 'debit', amount, order, reason, createdBy });
+};
+
+// Newest first. Returns { transactions, total }.
+const listWalletTransactions = async (userId, { page = 1, limit = 20 } = {}) => {
+    const [transactions, total] = await Promise.all([
+        WalletTransaction.find({ user: userId })
+            .sort({ createdAt: -1, _id: -1 })
+            .skip((page - 1) * limit)
+            .limit(limit),
+        WalletTransaction.countDocuments({ user: userId })
+    ]);
+
+    return { transactions, total };
+};
+
+module.exports = {
+    getWallet,
+    creditWallet,
+    refundToWallet,
+    debitWallet,
+    listWalletTransactions
+};
@@ -1,96 +1,201 @@
 const axios = require('axios');
 
-const BKASH_BASE_URL = process.env.BKASH_BASE_URL || 'https://tokenized.sandbox.bka.sh';
-const APP_KEY = process.env.BKASH_APP_KEY || '';
-const APP_SECRET = process.env.BKASH_APP_SECRET || '';
-const USERNAME = process.env.BKASH_USERNAME || '';
-const PASSWORD = process.env.BKASH_PASSWORD || '';
+// Config is read on every call so tests (and the local mock in mocks/bkashServer.js)
+// can point the client somewhere else without reloading the module.
+const getConfig = () => ({
+    baseUrl: process.env.BKASH_BASE_URL || 'https://tokenized.sandbox.bka.sh/v1.2.0-beta',
+    appKey: process.env.BKASH_APP_KEY || '',
+    appSecret: process.env.BKASH_APP_SECRET || '',
+    username: process.env.BKASH_USERNAME || '',
+    password: process.env.BKASH_PASSWORD || ''
+});
+
+// Renew this long before the token actually expires
+const TOKEN_EXPIRY_MARGIN_MS = 60 * 1000;
+// bKash refresh tokens are valid for 28 days
+const REFRESH_TOKEN_TTL_MS = 28 * 24 * 60 * 60 * 1000;
+
+const describeError = (err) => (err.response && err.response.data ? JSON.stringify(err.response.data) : err.message);
+
+// ========== TOKEN CACHE ==========
+
+let tokenCache = null; // { idToken, refreshToken, expiresAt, refreshExpiresAt, appKey }
+let pendingToken = null;
+
+const clearTokenCache = () => {
+    tokenCache = null;
+};
 
-async function getAccessToken() {
-    if (!APP_KEY || !APP_SECRET) {
-        throw new Error('bKash app key/secret not configured');
+const storeToken = (data, config) => {
+    if (!data || !data.id_token) {
+        throw new Error('Invalid bKash token response');
     }
 
-    const url = `${BKASH_BASE_URL}/tokenized/checkout/token/grant`;
+    const now = Date.now();
+    tokenCache = {
+        idToken: data.id_token,
+        refreshToken: data.refresh_token || (tokenCache && tokenCache.refreshToken),
+        expiresAt: now + (Number(data.expires_in) || 3600) * 1000,
+        refreshExpiresAt: data.refresh_token ? now + REFRESH_TOKEN_TTL_MS : tokenCache && tokenCache.refreshExpiresAt,
+        appKey: config.appKey
+    };
+    return tokenCache.idToken;
+};
 
-    try {
-        const resp = await axios.post(url, {
-            app_key: APP_KEY,
-            app_secret: APP_SECRET
-        }, {
-            headers: {
-                'Content-Type': 'application/json'
-            }
-        });
+const tokenHeaders = (config) => ({
+    'Content-Type': 'application/json',
+    'Accept': 'application/json',
+    username: config.username,
+    password: config.password
+});
 
-        if (resp.data && resp.data.id_token) {
-            return resp.data.id_token;
-        }
+async function grantToken(config) {
+    try {
+        const resp = await axios.post(`${config.baseUrl}/tokenized/checkout/token/grant`, {
+            app_key: config.appKey,
+            app_secret: config.appSecret
+        }, { headers: tokenHeaders(config) });
 
-        throw new Error('Invalid bKash token response');
+        return storeToken(resp.data, config);
     } catch (err) {
-        throw new Error('Failed to get bKash token: ' + (err.response && err.response.data ? JSON.stringify(err.response.data) : err.message));
+        throw new Error('Failed to get bKash token: ' + describeError(err));
     }
 }
 
-async function createPayment({ amount, orderId, orderNumber, callbackUrl }) {
-    const token = await getAccessToken();
+async function refreshToken(config) {
+    try {
+        const resp = await axios.post(`${config.baseUrl}/tokenized/checkout/token/refresh`, {
+            app_key: config.appKey,
+            app_secret: config.appSecret,
+            refresh_token: tokenCache.refreshToken
+        }, { headers: tokenHeaders(config) });
 
-    const url = `${BKASH_BASE_URL}/tokenized/checkout/create`;
+        return storeToken(resp.data, config);
+    } catch (err) {
+        console.warn('bKash token refresh failed, requesting a new grant:', describeError(err));
+        clearTokenCache();
+        return grantToken(config);
+    }
+}
 
-    const body = {
-        amount: amount.toString(),
-        currency: 'BDT',
-        merchantInvoiceNumber: orderNumber || orderId,
-        intent: 'sale',
-        merchantCallbackURL: callbackUrl || `${process.env.API_BASE_URL || 'http://localhost:5000'}/api/bkash/callback`
-    };
+// Cached id_token; renewed with the refresh token shortly before it expires,
+// and granted from scratch when there is no usable refresh token.
+async function getAccessToken() {
+    const config = getConfig();
 
-    try {
-        const resp = await axios.post(url, body, {
-            headers: {
-                'Content-Type': 'application/json',
-                'authorization': token,
-                'x-app-key': APP_KEY
-            }
-        });
+    if (!config.appKey || !config.appSecret) {
+        throw new Error('bKash app key/secret not configured');
+    }
 
-        if (resp.data && resp.data.paymentID && resp.data.bkashURL) {
-            return {
-                paymentId: resp.data.paymentID,
-                paymentUrl: resp.data.bkashURL,
-                raw: resp.data
-            };
-        }
+    const now = Date.now();
+    if (tokenCache && tokenCache.appKey !== config.appKey) {
+        clearTokenCache();
+    }
+    if (tokenCache && tokenCache.expiresAt - TOKEN_EXPIRY_MARGIN_MS > now) {
+        return tokenCache.idToken;
+    }
 
-        // Some environments return a different shape; return full response for debugging
-        return { raw: resp.data };
-    } catch (err) {
-        throw new Error('Failed to create bKash payment: ' + (err.response && err.response.data ? JSON.stringify(err.response.data) : err.message));
+    // Concurrent callers share one token request
+    if (!pendingToken) {
+        const canRefresh = tokenCache && tokenCache.refreshToken && tokenCache.refreshExpiresAt > now;
+        pendingToken = (canRefresh ? refreshToken(config) : grantToken(config))
+            .finally(() => { pendingToken = null; });
     }
+    return pendingToken;
 }
 
-async function verifyPayment(paymentID) {
+// ========== CHECKOUT API ==========
+
+// POST to a tokenized checkout endpoint. A 401 means bKash dropped our token
+// early, so the cache is cleared and the call retried once with a fresh grant.
+async function callCheckoutApi(path, body, action, retry = true) {
+    const config = getConfig();
     const token = await getAccessToken();
-    const url = `${BKASH_BASE_URL}/tokenized/checkout/payment/execute`; // verify/execute endpoint may vary by integration
 
     try {
-        const resp = await axios.post(url, { paymentID }, {
+        const resp = await axios.post(`${config.baseUrl}${path}`, body, {
             headers: {
                 'Content-Type': 'application/json',
+                'Accept': 'application/json',
                 'authorization': token,
-                'x-app-key': APP_KEY
+                'x-app-key': config.appKey
             }
         });
 
         return resp.data;
     } catch (err) {
-        throw new Error('Failed to verify bKash payment: ' + (err.response && err.response.data ? JSON.stringify(err.response.data) : err.message));
+        if (retry && err.response && err.response.status === 401) {
+            clearTokenCache();
+            return callCheckoutApi(path, body, action, false);
+        }
+        throw new Error(`Failed to ${action}: ` + describeError(err));
     }
 }
 
+async function createPayment({ amount, orderId, orderNumber, callbackUrl }) {
+    const data = await callCheckoutApi('/tokenized/checkout/create', {
+        mode: '0011',
+        payerReference: orderNumber || String(orderId),
+        amount: amount.toString(),
+        currency: 'BDT',
+        merchantInvoiceNumber: orderNumber || orderId,
+        intent: 'sale',
+        callbackURL: callbackUrl || `${process.env.API_BASE_URL || 'http://localhost:5000'}/api/bkash/callback`
+    }, 'create bKash payment');
+
+    if (data && data.paymentID && data.bkashURL) {
+        return {
+            paymentId: data.paymentID,
+            paymentUrl: data.bkashURL,
+            raw: data
+        };
+    }
+
+    // Some environments return a different shape; return full response for debugging
+    return { raw: data };
+}
+
+// Complete a payment after the customer approved it on the bKash page
+async function executePayment(paymentID) {
+    return callCheckoutApi('/tokenized/checkout/execute', { paymentID }, 'execute bKash payment');
+}
+
+// Current state of a payment, e.g. to recover when execute timed out
+async function queryPayment(paymentID) {
+    return callCheckoutApi('/tokenized/checkout/payment/status', { paymentID }, 'query bKash payment');
+}
+
+async function searchTransaction(trxID) {
+    return callCheckoutApi('/tokenized/checkout/general/searchTran', { trxID }, 'search bKash transaction');
+}
+
+// Refund all or part of a completed payment. bKash allows several partial
+// refunds as long as their total does not exceed the paid amount.
+async function refundPayment({ paymentId, trxId, amount, sku, reason }) {
+    return callCheckoutApi('/tokenized/checkout/payment/refund', {
+        paymentID: paymentId,
+        trxID: trxId,
+        amount: Number(amount).toFixed(2),
+        sku: sku || 'order',
+        reason: reason || 'Order cancelled'
+    }, 'refund bKash payment');
+}
+
+// Refund status is the refund call without amount/sku/reason
+async function refundStatus({ paymentId, trxId }) {
+    return callCheckoutApi('/tokenized/checkout/payment/refund', {
+        paymentID: paymentId,
+        trxID: trxId
+    }, 'fetch bKash refund status');
+}
+
 module.exports = {
     getAccessToken,
+    clearTokenCache,
     createPayment,
-    verifyPayment
+    executePayment,
+    queryPayment,
+    searchTransaction,
+    refundPayment,
+    refundStatus
 };
@@ -0,0 +1,134 @@
+const { Coupon, Order } = require('../models');
+const { sanitizePhone } = require('./helpers');
+
+// ========== COUPON RULES ==========
+
+const normalizeCode = (code) => String(code || '').trim().toUpperCase();
+
+const computeDiscount = (coupon, subtotal, shippingCost) => {
+    switch (coupon.type) {
+        case 'percentage': {
+            const discount = Math.round(subtotal * (coupon.value / 100));
+            return coupon.maxDiscount ? Math.min(discount, coupon.maxDiscount) : discount;
+        }
+        case 'fixed':
+            return Math.min(coupon.value, subtotal);
+        case 'free_shipping':
+            return shippingCost;
+        default:
+            return 0;
+    }
+};
+
+// Count redemptions by the same customer (account or phone) on orders that still stand.
+const countCustomerRedemptions = async (code, userId, phone) => {
+    const who = [];
+    if (userId) who.push({ user: userId });
+    if (phone) who.push({ 'customer.phone': phone });
+    if (who.length === 0) return 0;
+
+    return await Order.countDocuments({
+        couponCode: code,
+        orderStatus: { $ne: 'cancelled' },
+        $or: who
+    });
+};
+
+// Validate a coupon against a cart. Returns { success, error } or
+// { success, coupon, discount, freeShipping } without redeeming it.
+const evaluateCoupon = async ({ code, subtotal = 0, itemCount = 0, shippingCost = 0, userId, phone }) => {
+    const normalized = normalizeCode(code);
+    if (!normalized) {
+        return { success: false, error: 'Coupon code is required' };
+    }
+
+    const coupon = await Coupon.findOne({ code: normalized });
+    if (!coupon || !coupon.isActive) {
+        return { success: false, error: 'Invalid coupon code' };
+    }
+
+    const now = new Date();
+    if (coupon.validFrom && coupon.validFrom > now) {
+        return { success: false, error: 'This coupon is not active yet' };
+    }
+    if (coupon.validUntil && coupon.validUntil < now) {
+        return { success: false, error: 'This coupon has expired' };
+    }
+
+    if (coupon.usageLimit != null && coupon.usedCount >= coupon.usageLimit) {
+        return { success: false, error: 'This coupon has reached its usage limit' };
+    }
+
+    if (subtotal < (coupon.minOrder || 0)) {
+        return { success: false, error: `Minimum order of ৳${coupon.minOrder} required for this coupon` };
+    }
+    if (itemCount < (coupon.minItems || 0)) {
+        return { success: false, error: `Add at least ${coupon.minItems} items to use this coupon` };
+    }
+
+    if (coupon.usageLimitPerCustomer != null) {
+        const used = await countCustomerRedemptions(coupon.code, userId, phone);
+        if (used >= coupon.usageLimitPerCustomer) {
+            return { success: false, error: 'You have already used this coupon' };
+        }
+    }
+
+    return {
+        success: true,
+        coupon,
+        discount: computeDiscount(coupon, subtotal, shippingCost),
+        freeShipping: coupon.type === 'free_shipping'
+    };
+};
+
+// Keys of coupon.customerUses a customer's redemptions count under
+const customerKeys = ({ userId, phone } = {}) => [
+    userId && `user_${userId}`,
+    phone && sanitizePhone(String(phone)) && `phone_${sanitizePhone(String(phone))}`
+].filter(Boolean);
+
+// Atomically claim one redemption, globally and for the customer ({ userId, phone }).
+// Fails when a concurrent checkout took the last one.
+const redeemCoupon = async (code, customer) => {
+    const normalized = normalizeCode(code);
+    const keys = customerKeys(customer);
+    const coupon = await Coupon.findOneAndUpdate(
+        {
+            code: normalized,
+            $and: [
+                { $or: [{ usageLimit: null }, { $expr: { $lt: ['$usedCount', '$usageLimit'] } }] },
+                ...keys.map(key => ({
+                    $or: [
+                        { usageLimitPerCustomer: null },
+                        { $expr: { $lt: [{ $ifNull: [`$customerUses.${key}`, 0] }, '$usageLimitPerCustomer'] } }
+                    ]
+                }))
+            ]
+        },
+        { $inc: { usedCount: 1, ...Object.fromEntries(keys.map(key => [`customerUses.${key}`, 1])) } },
+        { new: true }
+    );
+    return !!coupon;
+};
+
+const releaseCoupon = async (code, customer) => {
+    const normalized = normalizeCode(code);
+    if (!normalized) return;
+    await Coupon.updateOne(
+        { code: normalized, usedCount: { $gt: 0 } },
+        { $inc: { usedCount: -1 } }
+    );
+    for (const key of customerKeys(customer)) {
+        await Coupon.updateOne(
+            { code: normalized, [`customerUses.${key}`]: { $gt: 0 } },
+            { $inc: { [`customerUses.${key}`]: -1 } }
+        );
+    }
+};
+
+module.exports = {
+    normalizeCode,
+    evaluateCoupon,
+    redeemCoupon,
+    releaseCoupon
+};
@@ -0,0 +1,67 @@
+// ========== CSV PARSING ==========
+// Small RFC 4180 reader for merchant statements: quoted fields, escaped
+// quotes ("") and CRLF line endings. Enough for the exports bKash, Nagad and
+// the couriers hand out; not meant for arbitrary spreadsheets.
+
+// Split CSV text into rows of raw string fields
+const parseCsvRows = (text) => {
+    const rows = [];
+    let row = [];
+    let field = '';
+    let quoted = false;
+
+    const input = String(text || '').replace(/^\uFEFF/, '');
+
+    for (let i = 0; i < input.length; i++) {
+        const char = input[i];
+
+        if (quoted) {
+            if (char === '"' && input[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (char === '"') {
+                quoted = false;
+            } else {
+                field += char;
+            }
+        } else if (char === '"') {
+            quoted = true;
+        } else if (char === ',') {
+            row.push(field);
+            field = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && input[i + 1] === '\n') i++;
+            row.push(field);
+            rows.push(row);
+            row = [];
+            field = '';
+        } else {
+            field += char;
+        }
+    }
+
+    if (field !== '' || row.length > 0) {
+        row.push(field);
+        rows.push(row);
+    }
+
+    // Blank lines come through as a single empty field
+    return rows.filter(fields => fields.some(value => value.trim() !== ''));
+};
+
+// Parse CSV with a header line into objects keyed by the trimmed header names
+const parseCsv = (text) => {
+    const [header, ...rows] = parseCsvRows(text);
+    if (!header) return [];
+
+    const columns = header.map(name => name.trim());
+    return rows.map(fields => columns.reduce((record, column, index) => {
+        record[column] = (fields[index] || '').trim();
+        return record;
+    }, {}));
+};
+
+module.exports = {
+    parseCsvRows,
+    parseCsv
+};
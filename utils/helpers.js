@@ -61,7 +61,6 @@ const saveOTP = async (phone, purpose) => {
 const verifyOTP = async (phone, otp, purpose) => {
     const otpDoc = await OTP.findOne({
         phone,
-        otp,
         purpose,
         verified: false,
         expiresAt: { $gt: new Date() }
@@ -71,7 +70,7 @@ const verifyOTP = async (phone, otp, purpose) => {
         return { success: false, error: 'Invalid or expired OTP' };
     }
     
-    // Increment attempts
+    // Every try counts, right or wrong, so the code cannot be guessed
     otpDoc.attempts += 1;
     
     if (otpDoc.attempts > 3) {
@@ -79,6 +78,11 @@ const verifyOTP = async (phone, otp, purpose) => {
         return { success: false, error: 'Too many attempts. Please request a new OTP.' };
     }
     
+    if (otpDoc.otp !== String(otp)) {
+        await otpDoc.save();
+        return { success: false, error: 'Invalid or expired OTP' };
+    }
+    
     // Mark as verified
     otpDoc.verified = true;
     await otpDoc.save();
@@ -127,6 +131,26 @@ const sendOrderConfirmationSMS = async (phone, orderNumber) => {
     return await sendSMS(phone, message);
 };
 
+const sendPaymentRetrySMS = async (phone, orderNumber, retryUrl) => {
+    const message = `We did not receive payment for order #${orderNumber}. Complete your payment here: ${retryUrl}`;
+    return await sendSMS(phone, message);
+};
+
+const sendPaymentProofResultSMS = async (phone, orderNumber, approved, reason) => {
+    const message = approved
+        ? `Your payment for order #${orderNumber} has been verified. Thank you for shopping with Tu Avec!`
+        : `We could not verify your payment for order #${orderNumber}${reason ? `: ${reason}` : ''}. Please check the details and submit them again.`;
+    return await sendSMS(phone, message);
+};
+
+const sendDeliveryExceptionSMS = async (phone, orderNumber, failedAttempts, responseUrl) => {
+    const what = failedAttempts > 0
+        ? `We could not deliver order #${orderNumber} (attempt ${failedAttempts}).`
+        : `Delivery of order #${orderNumber} is on hold.`;
+    const message = `${what} Reschedule, change the address or cancel here: ${responseUrl}`;
+    return await sendSMS(phone, message);
+};
+
 const sendDeliveryUpdateSMS = async (phone, orderNumber, status) => {
     let message = '';
     
@@ -143,6 +167,16 @@ const sendDeliveryUpdateSMS = async (phone, orderNumber, status) => {
         case 'delivered':
             message = `Your order #${orderNumber} has been delivered. Thank you for shopping with Tu Avec!`;
             break;
+        case 'cancelled':
+            message = `Your order #${orderNumber} has been cancelled. Contact us if you have any questions.`;
+            break;
+        case 'returned':
+            message = `Your order #${orderNumber} has been marked as returned.`;
+            break;
+    }
+    
+    if (!message) {
+        return { success: true, skipped: true };
     }
     
     return await sendSMS(phone, message);
@@ -244,25 +278,6 @@ const calculateShipping = (region, itemCount = 1) => {
     return baseShipping + additionalFee;
 };
 
-const estimateDelivery = (region) => {
-    const deliveryDays = {
-        'Dhaka': 1,
-        'Chittagong': 2,
-        'Sylhet': 3,
-        'Rajshahi': 3,
-        'Khulna': 3,
-        'Barisal': 3,
-        'Rangpur': 3,
-        'Mymensingh': 2
-    };
-    
-    const days = deliveryDays[region] || 3;
-    const estimatedDate = new Date();
-    estimatedDate.setDate(estimatedDate.getDate() + days);
-    
-    return estimatedDate;
-};
-
 // ========== ORDER UTILITIES ==========
 
 const generateOrderNumber = () => {
@@ -271,6 +286,12 @@ const generateOrderNumber = () => {
     return `TUA-${timestamp.substr(-8)}-${random}`;
 };
 
+const generateReturnNumber = () => {
+    const timestamp = Date.now().toString();
+    const random = Math.random().toString(36).substr(2, 5).toUpperCase();
+    return `RMA-${timestamp.substr(-8)}-${random}`;
+};
+
 // ========== SLUG UTILITIES ==========
 
 const generateSlug = (text) => {
@@ -343,6 +364,9 @@ module.exports = {
     sendOTPSMS,
     sendOrderConfirmationSMS,
     sendDeliveryUpdateSMS,
+    sendPaymentRetrySMS,
+    sendPaymentProofResultSMS,
+    sendDeliveryExceptionSMS,
     
     // WhatsApp
     sendWhatsApp,
@@ -358,10 +382,10 @@ module.exports = {
     
     // Shipping
     calculateShipping,
-    estimateDelivery,
     
     // Order
     generateOrderNumber,
+    generateReturnNumber,
     
     // Utilities
     generateSlug,
@@ -0,0 +1,140 @@
+const { Product } = require('../models');
+
+// ========== VARIANTS ==========
+
+const isActiveVariant = (variant) => variant.active !== false;
+
+const hasActiveVariants = (product) => (product.variants || []).some(isActiveVariant);
+
+const getVariantLabel = (variant) => {
+    if (variant.name && variant.value) return `${variant.name}: ${variant.value}`;
+    return variant.value || variant.name || variant.sku;
+};
+
+// Find the variant an order line refers to, by variantId, sku, or the legacy free-text label.
+const findVariant = (product, { variantId, sku, variant }) => {
+    const variants = product.variants || [];
+
+    if (variantId) {
+        return variants.find(v => String(v._id) === String(variantId));
+    }
+    if (sku) {
+        return variants.find(v => v.sku === sku);
+    }
+    if (variant) {
+        const label = String(variant).trim().toLowerCase();
+        return variants.find(v => [v.sku, v.value, getVariantLabel(v)]
+            .some(candidate => candidate && String(candidate).toLowerCase() === label));
+    }
+    return undefined;
+};
+
+// ========== STOCK RESERVATION ==========
+
+// Conditionally decrement stock for one line. The filter makes the check and the
+// decrement a single atomic operation, so concurrent checkouts cannot oversell.
+// Lines with a variantId draw from that variant's stock instead of the parent product.
+const reserveItem = async (item) => {
+    const quantity = item.quantity;
+
+    if (item.variantId) {
+        const updated = await Product.findOneAndUpdate(
+            {
+                _id: item.product,
+                variants: {
+                    $elemMatch: {
+                        _id: item.variantId,
+                        active: { $ne: false },
+                        stock: { $gte: quantity }
+                    }
+                }
+            },
+            { $inc: { 'variants.$.stock': -quantity, salesCount: quantity } },
+            { new: true }
+        );
+        return !!updated;
+    }
+
+    const updated = await Product.findOneAndUpdate(
+        { _id: item.product, stock: { $gte: quantity } },
+        {
+            $inc: {
+                stock: -quantity,
+                'inventory.quantity': -quantity,
+                salesCount: quantity
+            }
+        },
+        { new: true }
+    );
+
+    return !!updated;
+};
+
+const releaseItem = async (item) => {
+    const quantity = item.quantity;
+
+    if (item.variantId) {
+        await Product.updateOne(
+            { _id: item.product, 'variants._id': item.variantId },
+            { $inc: { 'variants.$.stock': quantity, salesCount: -quantity } }
+        );
+        return;
+    }
+
+    await Product.updateOne(
+        { _id: item.product },
+        {
+            $inc: {
+                stock: quantity,
+                'inventory.quantity': quantity,
+                salesCount: -quantity
+            }
+        }
+    );
+};
+
+// Put reserved quantities back. Each line is released independently so one
+// failure does not leave the rest of the order locked.
+const releaseStock = async (items) => {
+    for (const item of items) {
+        try {
+            await releaseItem(item);
+        } catch (error) {
+            console.error('Stock release failed for product', String(item.product), error);
+        }
+    }
+};
+
+// Reserve every line of an order, or none of them.
+// Items are { product, variantId, quantity, name } as stored on the order.
+const reserveStock = async (items) => {
+    const reserved = [];
+
+    for (const item of items) {
+        let ok = false;
+        try {
+            ok = await reserveItem(item);
+        } catch (error) {
+            await releaseStock(reserved);
+            throw error;
+        }
+
+        if (!ok) {
+            await releaseStock(reserved);
+            return { success: false, error: `Insufficient stock for ${item.name}`, item };
+        }
+
+        reserved.push(item);
+    }
+
+    return { success: true, reserved };
+};
+
+module.exports = {
+    isActiveVariant,
+    hasActiveVariants,
+    findVariant,
+    getVariantLabel,
+    reserveStock,
+    releaseStock
+};
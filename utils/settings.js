@@ -0,0 +1,109 @@
+const { Setting } = require('../models');
+
+// ========== SETTING DEFAULTS ==========
+// Every admin-editable key must be listed here; unknown keys are rejected.
+const SETTING_DEFAULTS = {
+    // Hours after placing an order during which the customer may cancel it (null = no limit)
+    cancellationCutoffHours: 24,
+    // Order statuses from which a customer may still cancel
+    customerCancellableStatuses: ['pending', 'confirmed'],
+    // cm³ per kg used to turn parcel dimensions into volumetric weight
+    volumetricDivisor: 5000,
+    // Weight assumed for products without one, in grams
+    defaultItemWeightGrams: 500,
+    // Orders placed at or after this hour (business time) are dispatched next business day
+    warehouseCutoffHour: 15,
+    // Days of the week with no dispatch or delivery (0 = Sunday, 5 = Friday)
+    weeklyOffDays: [5],
+    // Business timezone as minutes east of UTC (Asia/Dhaka)
+    businessUtcOffsetMinutes: 360,
+    // Region used for delivery estimates when the customer has not given an address
+    defaultDeliveryRegion: 'Dhaka',
+    // Minutes an online-payment order may stay unpaid before the sweeper expires it
+    unpaidOrderTimeoutMinutes: 30,
+    // What expiry does: 'fail' releases the stock but lets the customer retry, 'cancel' closes the order
+    unpaidOrderAction: 'fail',
+    // Hours after which a failed, never-retried order is cancelled for good
+    unpaidOrderCancelAfterHours: 24,
+    // Text the customer a retry-payment link when their payment expires
+    paymentRetrySms: true,
+    // COD orders above this total (taka) must pay an advance online (null = never)
+    codAdvanceThreshold: 5000,
+    // Regions, cities or areas where every COD order needs an advance
+    codRiskyAreas: [],
+    // What the advance covers: 'shipping' (delivery charge and COD fee) or 'percentage' of the total
+    codAdvanceMode: 'shipping',
+    // Percent of the total taken upfront in 'percentage' mode, or when shipping is free
+    codAdvancePercent: 20,
+    // Days before store credit granted by staff expires (null = never); refunds never expire
+    walletCreditExpiryDays: 365,
+    // How far a signed logistics webhook's timestamp may be from our clock, in seconds
+    logisticsWebhookToleranceSeconds: 300,
+    // Failed delivery attempts after which a parcel goes to the admin exception queue
+    deliveryExceptionMaxAttempts: 3,
+    // Hours a customer has to answer a delivery exception before staff take over
+    deliveryExceptionResponseHours: 24,
+    // Days ahead a customer may reschedule a failed delivery to
+    deliveryRescheduleMaxDays: 7,
+    // Hours after delivery during which a customer may upload an unboxing video
+    unboxingVideoWindowHours: 48,
+    // Largest unboxing video accepted, in MB
+    unboxingVideoMaxSizeMB: 300,
+    // Percent of the cash collected each courier keeps as its COD charge
+    courierCodChargePercent: { pathao: 1, steadfast: 1, redx: 1 },
+    // Shortfalls up to this many taka per parcel are treated as rounding
+    codRemittanceTolerance: 1
+};
+
+const CACHE_TTL_MS = 30 * 1000;
+const cache = new Map();
+
+const isKnownSetting = (key) => Object.prototype.hasOwnProperty.call(SETTING_DEFAULTS, key);
+
+const getSetting = async (key) => {
+    if (!isKnownSetting(key)) {
+        throw new Error(`Unknown setting: ${key}`);
+    }
+
+    const cached = cache.get(key);
+    if (cached && cached.expiresAt > Date.now()) {
+        return cached.value;
+    }
+
+    const doc = await Setting.findOne({ key });
+    const value = doc && doc.value !== undefined ? doc.value : SETTING_DEFAULTS[key];
+    cache.set(key, { value, expiresAt: Date.now() + CACHE_TTL_MS });
+    return value;
+};
+
+const setSetting = async (key, value, userId) => {
+    if (!isKnownSetting(key)) {
+        throw new Error(`Unknown setting: ${key}`);
+    }
+
+    await Setting.findOneAndUpdate(
+        { key },
+        { value, updatedBy: userId, updatedAt: new Date() },
+        { upsert: true, new: true }
+    );
+    cache.delete(key);
+    return value;
+};
+
+const getAllSettings = async () => {
+    const docs = await Setting.find({ key: { $in: Object.keys(SETTING_DEFAULTS) } });
+    const stored = new Map(docs.map(doc => [doc.key, doc.value]));
+
+    return Object.keys(SETTING_DEFAULTS).reduce((all, key) => {
+        all[key] = stored.has(key) ? stored.get(key) : SETTING_DEFAULTS[key];
+        return all;
+    }, {});
+};
+
+module.exports = {
+    SETTING_DEFAULTS,
+    isKnownSetting,
+    getSetting,
+    setSetting,
+    getAllSettings
+};
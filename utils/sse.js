@@ -0,0 +1,44 @@
+// ========== SERVER-SENT EVENTS ==========
+
+const HEARTBEAT_MS = 25 * 1000; // keeps proxies from closing idle streams
+
+// Turn `res` into an event stream. Returns send(event, data); `onClose` runs
+// once when the client goes away.
+const openEventStream = (req, res, onClose) => {
+    res.status(200).set({
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache, no-transform',
+        'Connection': 'keep-alive',
+        'X-Accel-Buffering': 'no' // nginx
+    });
+    res.flushHeaders();
+
+    // compression() buffers writes until flushed
+    const write = (chunk) => {
+        res.write(chunk);
+        if (res.flush) res.flush();
+    };
+
+    write('retry: 5000\n\n');
+    const heartbeat = setInterval(() => write(': ping\n\n'), HEARTBEAT_MS);
+
+    req.on('close', () => {
+        clearInterval(heartbeat);
+        if (onClose) onClose();
+    });
+
+    return (event, data) => write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+};
+
+// EventSource (and <video>) cannot set headers, so streams also accept ?token=<jwt>
+const tokenFromQuery = (req, res, next) => {
+    if (!req.headers.authorization && req.query.token) {
+        req.headers.authorization = `Bearer ${req.query.token}`;
+    }
+    next();
+};
+
+module.exports = {
+    openEventStream,
+    tokenFromQuery
+};